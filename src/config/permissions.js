@@ -0,0 +1,116 @@
+/**
+ * Roles and permissions
+ * The single place that decides what each role may do. Routes check named
+ * permissions (requirePermission in middleware/auth.js, or hasPermission for
+ * inline checks), never role names, so adding a role only takes an entry here.
+ * A role holding '*' has every permission.
+ */
+
+// Every permission a route may check
+const PERMISSIONS = [
+  'appointments:readAll',    // view any patient's appointments
+  'appointments:writeAll',   // book and edit appointments for any patient
+  'appointments:status',     // change appointment status
+  'audit:read',
+  'chart:write',             // record and correct dental chart entries
+  'clinicalNotes:write',     // write, sign and amend clinical visit notes
+  'clinics:all',             // bypass clinic (branch) scoping
+  'clinics:manage',          // create and edit clinics and assign staff to them
+  'consents:manage',         // create and revise consent form templates
+  'dashboard:read',
+  'invites:manage',
+  'patientInfo:read',        // read any patient's medical information
+  'patientInfo:write',       // create and edit any patient's medical information
+  'payments:read',
+  'payments:write',
+  'records:allDoctors',      // bypass doctor ownership scoping
+  'reminders:read',
+  'reminders:write',
+  'schedules:write',
+  'security:read',           // failed login reports
+  'services:write',          // create services and edit or delete own services
+  'services:manageAll',      // edit or delete any doctor's services
+  'sessions:manage',         // list and revoke other users' sessions
+  'treatmentPlans:write',    // create, propose and cancel treatment plans
+  'users:assign',            // assign doctors to assistants and grant doctors access
+  'users:delete',
+  'users:read',
+  'users:roles',             // change user roles
+  'users:unlock',
+  'users:write'
+];
+
+const ROLE_PERMISSIONS = {
+  patient: [],
+  // Practice managers: everything, across all doctors
+  admin: ['*'],
+  doctor: [
+    'appointments:readAll',
+    'appointments:writeAll',
+    'appointments:status',
+    'audit:read',
+    'chart:write',
+    'clinicalNotes:write',
+    'consents:manage',
+    'dashboard:read',
+    'invites:manage',
+    'patientInfo:read',
+    'patientInfo:write',
+    'payments:read',
+    'payments:write',
+    'reminders:read',
+    'reminders:write',
+    'schedules:write',
+    'security:read',
+    'services:write',
+    'sessions:manage',
+    'treatmentPlans:write',
+    'users:read',
+    'users:unlock',
+    'users:write'
+  ],
+  assistant: [
+    'appointments:readAll',
+    'appointments:writeAll',
+    'appointments:status',
+    'audit:read',
+    'dashboard:read',
+    'invites:manage',
+    'patientInfo:read',
+    'patientInfo:write',
+    'payments:read',
+    'payments:write',
+    'reminders:read',
+    'reminders:write',
+    'schedules:write',
+    'security:read',
+    'sessions:manage',
+    'users:read',
+    'users:unlock',
+    'users:write'
+  ]
+};
+
+// All roles, and the roles that can only be obtained through an invite
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+const STAFF_ROLES = ROLES.filter(role => role !== 'patient');
+
+/**
+ * Check whether a user's role grants a permission
+ */
+const hasPermission = (user, permission) => {
+  if (!PERMISSIONS.includes(permission)) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  const granted = (user && ROLE_PERMISSIONS[user.role]) || [];
+  return granted.includes('*') || granted.includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  STAFF_ROLES,
+  hasPermission
+};
@@ -8,27 +8,52 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const morgan = require('morgan');
 require('dotenv').config(); // Load environment variables from .env file
+const { registerJob, startScheduler } = require('./jobs/scheduler');
+const { runReminderJob } = require('./jobs/reminders');
 
 const app = express();
 
 // Middleware configuration
 app.use(cors()); // Enable Cross-Origin Resource Sharing
-app.use(express.json()); // Parse JSON request bodies
+app.use(express.json({
+  // Keep the raw body for verifying payment webhook signatures
+  verify: (req, res, buf) => { req.rawBody = buf; }
+})); // Parse JSON request bodies
 app.use(morgan('dev')); // HTTP request logger
 
 // MongoDB database connection
 mongoose.connect(process.env.MONGODB_URI)
-.then(() => console.log('Connected to MongoDB'))
+.then(() => {
+  console.log('Connected to MongoDB');
+  startScheduler(); // Background jobs need the database
+})
 .catch((err) => console.error('MongoDB connection error:', err));
 
+// Background jobs: generate and deliver appointment reminders
+registerJob('reminders', (Number(process.env.REMINDER_INTERVAL_SECONDS) || 60) * 1000, runReminderJob);
+
 // API Routes configuration
 app.use('/api/auth', require('./routes/auth')); // Authentication routes (login, register, etc.)
 app.use('/api/users', require('./routes/users')); // User management routes
+app.use('/api/patients/:patientId/chart', require('./routes/dentalChart')); // Dental chart routes
+app.use('/api/patients/:patientId/documents', require('./routes/patientDocuments')); // Patient document and X-ray routes
+app.use('/api/patients/:patientId/consents', require('./routes/consents')); // Signed consent routes
+app.use('/api/patients/:patientId/insurance', require('./routes/insurance')); // Insurance policy and coverage estimate routes
+app.use('/api/patients/:patientId/treatment-plans', require('./routes/treatmentPlans')); // Treatment plan routes
+app.use('/api/clinics', require('./routes/clinics')); // Clinic branch routes
+app.use('/api/invites', require('./routes/invites')); // Staff invitation routes
 app.use('/api/appointments', require('./routes/appointments')); // Appointment scheduling routes
+app.use('/api/consent-templates', require('./routes/consentTemplates')); // Consent form template routes
+app.use('/api/clinical-notes', require('./routes/clinicalNotes')); // Clinical visit note routes
 app.use('/api/reminders', require('./routes/reminders')); // Reminder notification routes
 app.use('/api/payments', require('./routes/payments')); // Payment processing routes
+app.use('/api/invoices', require('./routes/invoices')); // Invoice routes
+app.use('/api/claims', require('./routes/claims')); // Insurance claim routes
+app.use('/api/checkout', require('./routes/checkout')); // Payment provider checkout and webhook routes
 app.use('/api/dashboard', require('./routes/dashboard')); // Dashboard analytics routes
 app.use('/api/services', require('./routes/services')); // Dental services routes
+app.use('/api/schedules', require('./routes/schedules')); // Working hours, doctor schedules and closures
+app.use('/api/audit', require('./routes/audit')); // Audit trail routes
 
 // Global error handling middleware
 app.use((err, req, res, next) => {
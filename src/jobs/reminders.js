@@ -0,0 +1,208 @@
+/**
+ * Reminder jobs
+ * Generates automatic reminders ahead of scheduled appointments (by default
+ * 24 and 2 hours before, see REMINDER_OFFSETS_HOURS) and delivers every due
+ * reminder, manual or automatic, by email.
+ *
+ * Generation is idempotent (an appointment time gets each reminder once,
+ * enforced by a unique index), and a reminder is claimed atomically before it
+ * is sent and marked sent right after, so a sent reminder is never picked up
+ * again. Delivery is at-least-once: a reminder left "sending" by a crash is
+ * retried once its lock expires, so a crash between the email going out and
+ * the reminder being marked sent sends it again. Failed deliveries are retried
+ * with exponential backoff, up to REMINDER_MAX_ATTEMPTS plus one attempt per
+ * manual retry.
+ */
+const Reminder = require('../models/Reminder');
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const { sendMail } = require('../utils/mailer');
+const { getClinicTimezone } = require('../utils/timezone');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_ATTEMPTS = Number(process.env.REMINDER_MAX_ATTEMPTS) || 5;
+const RETRY_MINUTES = Number(process.env.REMINDER_RETRY_MINUTES) || 5;
+const BATCH_SIZE = Number(process.env.REMINDER_BATCH_SIZE) || 50;
+// How long a claimed reminder stays locked to the scheduler delivering it
+const LOCK_MINUTES = 5;
+
+/**
+ * Hours before an appointment that automatic reminders are sent, largest first
+ */
+const getReminderOffsets = () => (process.env.REMINDER_OFFSETS_HOURS || '24,2')
+  .split(',')
+  .map(Number)
+  .filter(hours => hours > 0)
+  .sort((a, b) => b - a);
+
+/**
+ * Title and text of an automatic reminder, with the time in the patient's timezone
+ */
+const composeReminder = (appointment) => {
+  const timeZone = appointment.user.timezone || getClinicTimezone(appointment.clinic);
+  const when = appointment.date.toLocaleString('en-US', { timeZone, dateStyle: 'full', timeStyle: 'short' });
+  const service = appointment.service ? appointment.service.name : 'dental';
+  const doctor = appointment.doctor ? ` with ${appointment.doctor.name}` : '';
+  const clinic = appointment.clinic ? ` at ${appointment.clinic.name}` : '';
+
+  return {
+    title: 'Upcoming appointment',
+    message: `Hello ${appointment.user.name},\n\n` +
+      `This is a reminder of your ${service} appointment${doctor}${clinic} on ${when}.\n\n` +
+      'If you cannot make it, please cancel or reschedule it as soon as possible.'
+  };
+};
+
+/**
+ * Create the automatic reminders of upcoming scheduled appointments that do not have them yet
+ * Reminders whose time came before the appointment was booked are skipped
+ * Returns the number of reminders created
+ */
+const generateReminders = async (now = new Date()) => {
+  const offsets = getReminderOffsets();
+  if (!offsets.length) return 0;
+
+  const appointments = await Appointment.find({
+    status: 'scheduled',
+    date: { $gt: now, $lte: new Date(now.getTime() + (offsets[0] + 24) * HOUR_MS) }
+  })
+    .populate('user', 'name timezone')
+    .populate('doctor', 'name')
+    .populate('clinic', 'name timezone')
+    .populate('service', 'name');
+
+  let created = 0;
+  for (const appointment of appointments) {
+    if (!appointment.user) continue;
+    const { title, message } = composeReminder(appointment);
+
+    for (const offsetHours of offsets) {
+      const date = new Date(appointment.date.getTime() - offsetHours * HOUR_MS);
+      if (appointment.createdAt && date < appointment.createdAt) continue;
+
+      // Reminders already generated for this time, including cancelled ones, are left as they are
+      try {
+        const result = await Reminder.updateOne(
+          { appointment: appointment._id, appointmentDate: appointment.date, offsetHours, source: 'automatic' },
+          {
+            $setOnInsert: {
+              user: appointment.user._id,
+              title,
+              message,
+              date,
+              nextAttemptAt: date
+            }
+          },
+          { upsert: true }
+        );
+        created += result.upsertedCount;
+      } catch (error) {
+        // Another scheduler created the same reminder at the same time
+        if (error.code !== 11000) throw error;
+      }
+    }
+  }
+
+  return created;
+};
+
+/**
+ * Claim the next due reminder for delivery, including ones whose delivery was interrupted
+ */
+const claimDueReminder = (now) => Reminder.findOneAndUpdate(
+  {
+    $or: [
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { status: 'sending', lockedUntil: { $lt: now } }
+    ]
+  },
+  { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + LOCK_MINUTES * 60 * 1000) } },
+  { new: true, sort: { nextAttemptAt: 1 } }
+);
+
+/**
+ * Why a reminder should no longer be sent, if it should not
+ */
+const cancellationReason = (reminder, appointment, now) => {
+  if (!appointment || appointment.status === 'cancelled') {
+    return 'Appointment was cancelled';
+  }
+  if (reminder.source === 'automatic') {
+    if (appointment.status !== 'scheduled') return 'Appointment is no longer scheduled';
+    if (appointment.date.getTime() !== reminder.appointmentDate.getTime()) return 'Appointment was rescheduled';
+    if (appointment.date <= now) return 'Appointment has already started';
+  }
+  return null;
+};
+
+/**
+ * Deliver a claimed reminder and record the outcome
+ * Returns the reminder's new status
+ */
+const deliverReminder = async (reminder, now = new Date()) => {
+  const appointment = await Appointment.findById(reminder.appointment);
+  const reason = cancellationReason(reminder, appointment, now);
+  const user = reason ? null : await User.findById(reminder.user).select('name email');
+
+  reminder.lockedUntil = undefined;
+  if (reason || !user) {
+    reminder.status = 'cancelled';
+    reminder.lastError = reason || 'Recipient no longer exists';
+    await reminder.save();
+    return reminder.status;
+  }
+
+  reminder.attempts += 1;
+  try {
+    await sendMail({ to: user.email, subject: reminder.title, text: reminder.message });
+    reminder.status = 'sent';
+    reminder.sentAt = new Date();
+    reminder.lastError = undefined;
+    reminder.deliveryLog.push({ success: true });
+  } catch (error) {
+    // Back off exponentially between retries, then give up
+    reminder.lastError = error.message;
+    reminder.deliveryLog.push({ success: false, error: error.message });
+    if (reminder.attempts >= MAX_ATTEMPTS + (reminder.manualRetries || 0)) {
+      reminder.status = 'failed';
+    } else {
+      reminder.status = 'pending';
+      reminder.nextAttemptAt = new Date(Date.now() + RETRY_MINUTES * 2 ** (reminder.attempts - 1) * 60 * 1000);
+    }
+  }
+
+  await reminder.save();
+  return reminder.status;
+};
+
+/**
+ * Deliver due reminders, up to REMINDER_BATCH_SIZE per run
+ * Returns the number of reminders in each resulting status
+ */
+const deliverDueReminders = async (now = new Date()) => {
+  const results = {};
+  for (let count = 0; count < BATCH_SIZE; count++) {
+    const reminder = await claimDueReminder(now);
+    if (!reminder) break;
+
+    const status = await deliverReminder(reminder, now);
+    results[status] = (results[status] || 0) + 1;
+  }
+  return results;
+};
+
+/**
+ * Scheduled job: generate upcoming reminders, then deliver the due ones
+ * Returns a summary of the run when it did anything
+ */
+const runReminderJob = async () => {
+  const now = new Date();
+  const created = await generateReminders(now);
+  const delivered = await deliverDueReminders(now);
+  if (created || Object.keys(delivered).length) {
+    return `generated ${created}, delivered ${JSON.stringify(delivered)}`;
+  }
+  return null;
+};
+
+module.exports = { generateReminders, deliverDueReminders, runReminderJob };
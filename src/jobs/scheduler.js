@@ -0,0 +1,74 @@
+/**
+ * Job scheduler
+ * Runs registered background jobs on a fixed interval inside the server
+ * process. A job never overlaps with its own previous run, and an error in
+ * one run is logged without stopping the schedule. Jobs keep their state in
+ * the database, so they resume where they left off after a restart.
+ * Set SCHEDULER_ENABLED=false to run the API without background jobs (e.g.
+ * on all but one of several instances, although jobs are written to be safe
+ * when several run at once), and SCHEDULER_DEBUG=true to log each run.
+ */
+const jobs = [];
+let started = false;
+
+/**
+ * Log a scheduler message when SCHEDULER_DEBUG is set
+ */
+const debug = (message) => {
+  if (process.env.SCHEDULER_DEBUG === 'true') {
+    console.log(`[scheduler] ${message}`);
+  }
+};
+
+/**
+ * Register a job: an async function run every intervalMs milliseconds, which
+ * may return a summary of what the run did
+ */
+const registerJob = (name, intervalMs, run) => {
+  jobs.push({ name, intervalMs, run, running: false, timer: null });
+};
+
+/**
+ * Run a job unless its previous run is still going
+ */
+const runJob = async (job) => {
+  if (job.running) return;
+  job.running = true;
+  try {
+    const summary = await job.run();
+    if (summary) debug(`${job.name}: ${summary}`);
+  } catch (error) {
+    console.error(`[scheduler] ${job.name} failed:`, error.message);
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * Start running every registered job: once now, then on its interval
+ */
+const startScheduler = () => {
+  if (started || process.env.SCHEDULER_ENABLED === 'false') return;
+  started = true;
+
+  for (const job of jobs) {
+    runJob(job);
+    job.timer = setInterval(() => runJob(job), job.intervalMs);
+    // Do not keep the process alive just for background jobs
+    job.timer.unref();
+  }
+  debug(`Started ${jobs.map(job => job.name).join(', ')}`);
+};
+
+/**
+ * Stop every job's schedule (runs in progress finish on their own)
+ */
+const stopScheduler = () => {
+  for (const job of jobs) {
+    clearInterval(job.timer);
+    job.timer = null;
+  }
+  started = false;
+};
+
+module.exports = { registerJob, startScheduler, stopScheduler };
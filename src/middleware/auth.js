@@ -1,10 +1,14 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { verifyAccessToken } = require('../utils/tokens');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
 
-// JWT Secret fallback (for development only)
-const JWT_SECRET = process.env.JWT_SECRET;
-
-const auth = async (req, res, next) => {
+/**
+ * Build the authentication middleware
+ * Staff whose role requires two-factor authentication but who have not set it up
+ * are refused everywhere except routes built with allowMfaSetup (enrollment, profile, logout)
+ */
+const authenticate = ({ allowMfaSetup = false } = {}) => async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
@@ -12,24 +16,53 @@ const auth = async (req, res, next) => {
       throw new Error();
     }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = verifyAccessToken(token);
+
+    // Reject tokens whose session was revoked, has expired, or was superseded by a refresh
+    const session = decoded.sessionId && await Session.findById(decoded.sessionId);
+    if (!session || !session.isActive() || session.generation !== decoded.gen) {
+      throw new Error();
+    }
+
     const user = await User.findOne({ _id: decoded.userId });
 
-    if (!user) {
+    if (!user || !session.user.equals(user._id)) {
       throw new Error();
     }
 
+    // Security: Enforce mandatory two-factor authentication for configured roles
+    if (!allowMfaSetup && user.requiresMfa() && !user.mfa.enabled) {
+      return res.status(403).json({
+        message: 'Two-factor authentication must be set up for your account',
+        mfaSetupRequired: true
+      });
+    }
+
     req.user = user;
     req.token = token;
+    req.authSession = session;
     next();
   } catch (error) {
     res.status(401).json({ message: 'Please authenticate.' });
   }
 };
 
-const authorize = (...roles) => {
+const auth = authenticate();
+const authMfaSetup = authenticate({ allowMfaSetup: true });
+
+/**
+ * Require every listed permission (see config/permissions.js)
+ */
+const requirePermission = (...permissions) => {
+  // Fail at startup on a misspelled permission rather than on the first request
+  permissions.forEach(permission => {
+    if (!PERMISSIONS.includes(permission)) {
+      throw new Error(`Unknown permission: ${permission}`);
+    }
+  });
+
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    if (!permissions.every(permission => hasPermission(req.user, permission))) {
       return res.status(403).json({ 
         message: 'You do not have permission to perform this action' 
       });
@@ -38,4 +71,4 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { auth, authorize }; 
\ No newline at end of file
+module.exports = { auth, authMfaSetup, requirePermission }; 
\ No newline at end of file
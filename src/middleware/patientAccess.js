@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const { canAccessPatient } = require('../utils/ownership');
+
+/**
+ * Guard routes under /api/patients/:patientId (":patientId" may be "me")
+ * Lets through the patient themselves when allowSelf is set, and staff holding
+ * the permission who work with the patient; sets req.patient to the patient user
+ */
+const patientAccess = (permission, { allowSelf = false } = {}) => {
+  // Fail at startup on a misspelled permission rather than on the first request
+  if (!PERMISSIONS.includes(permission)) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const patientId = req.params.patientId === 'me' ? req.user._id.toString() : req.params.patientId;
+      if (!mongoose.isValidObjectId(patientId)) {
+        return res.status(400).json({ message: 'Invalid patient ID' });
+      }
+
+      const patient = await User.findById(patientId).select('name email role');
+      if (!patient || patient.role !== 'patient') {
+        return res.status(404).json({ message: 'Patient not found' });
+      }
+
+      const isSelf = patient._id.equals(req.user._id);
+      const isStaffInScope = hasPermission(req.user, permission) && await canAccessPatient(req.user, patient._id);
+      if (!(allowSelf && isSelf) && !isStaffInScope) {
+        return res.status(403).json({ message: 'Not authorized to access this patient\'s records' });
+      }
+
+      req.patient = patient;
+      next();
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  };
+};
+
+module.exports = { patientAccess };
@@ -0,0 +1,72 @@
+/**
+ * Migration: move a single-site database to multi-branch tenancy
+ * Creates a first clinic (DEFAULT_CLINIC_NAME, default "Main Clinic") when none exists and
+ * assigns it to every service, appointment, schedule, clinic-wide closure and staff member
+ * that has no branch yet. Safe to run more than once.
+ *
+ * Usage: npm run migrate:clinics
+ */
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Clinic = require('../models/Clinic');
+const User = require('../models/User');
+const Service = require('../models/services');
+const Appointment = require('../models/Appointment');
+const Schedule = require('../models/Schedule');
+const Closure = require('../models/Closure');
+
+const missing = (field) => ({ $or: [{ [field]: { $exists: false } }, { [field]: null }] });
+
+/**
+ * Drop an index left over from the single-site schema, if it still exists
+ */
+const dropLegacyIndex = async (model, name) => {
+  const indexes = await model.collection.indexes();
+  if (indexes.some(index => index.name === name)) {
+    await model.collection.dropIndex(name);
+    console.log(`Dropped legacy index ${model.collection.collectionName}.${name}`);
+  }
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let clinic = await Clinic.findOne().sort({ createdAt: 1 });
+  if (!clinic) {
+    clinic = await Clinic.create({
+      name: process.env.DEFAULT_CLINIC_NAME || 'Main Clinic',
+      timezone: process.env.CLINIC_TIMEZONE
+    });
+    console.log(`Created clinic "${clinic.name}"`);
+  }
+
+  // Service names and schedules used to be unique across the whole practice
+  await dropLegacyIndex(Service, 'name_1');
+  await dropLegacyIndex(Schedule, 'doctor_1');
+
+  const results = await Promise.all([
+    Service.updateMany(missing('clinic'), { clinic: clinic._id }),
+    Appointment.updateMany(missing('clinic'), { clinic: clinic._id }),
+    Schedule.updateMany(missing('clinic'), { clinic: clinic._id }),
+    // Doctor leave applies at every branch, so only clinic-wide closures get a branch
+    Closure.updateMany({ ...missing('clinic'), doctor: null }, { clinic: clinic._id }),
+    User.updateMany(
+      { role: { $ne: 'patient' }, $or: [{ clinics: { $exists: false } }, { clinics: { $size: 0 } }] },
+      { clinics: [clinic._id] }
+    )
+  ]);
+
+  ['services', 'appointments', 'schedules', 'closures', 'staff members'].forEach((label, index) => {
+    console.log(`Assigned ${results[index].modifiedCount} ${label} to "${clinic.name}"`);
+  });
+
+  await Promise.all([Service.syncIndexes(), Schedule.syncIndexes()]);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('Migration failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,53 @@
+/**
+ * Migration: set the end time of appointments booked before end times were stored
+ * Each appointment without an endDate gets one from its service's duration, so that
+ * it is taken into account by the overlap check and the available slots. Appointments
+ * whose service no longer exists are reported and left unchanged. Appointments that
+ * already have an end time are skipped, so the migration is safe to run more than once.
+ *
+ * Usage: npm run migrate:appointment-end
+ */
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Appointment = require('../models/Appointment');
+const Service = require('../models/services');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const durations = new Map();
+  const cursor = Appointment.collection.find({ $or: [{ endDate: { $exists: false } }, { endDate: null }] });
+
+  let updated = 0;
+  let skipped = 0;
+  for await (const doc of cursor) {
+    const serviceId = doc.service ? doc.service.toString() : null;
+    if (serviceId && !durations.has(serviceId)) {
+      const service = await Service.findById(serviceId).select('duration');
+      durations.set(serviceId, service ? service.duration : null);
+    }
+
+    const duration = serviceId ? durations.get(serviceId) : null;
+    if (!duration) {
+      console.warn(`Skipped appointment ${doc._id}: its service no longer exists`);
+      skipped++;
+      continue;
+    }
+
+    await Appointment.collection.updateOne(
+      { _id: doc._id },
+      { $set: { endDate: new Date(doc.date.getTime() + duration * 60000) } }
+    );
+    updated++;
+  }
+
+  console.log(`Set the end time of ${updated} appointments (${skipped} skipped)`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('Migration failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,57 @@
+/**
+ * Migration: give reminders created before scheduled delivery existed the delivery
+ * fields the scheduler works with
+ * Reminders without a status become manual reminders, pending from their date when
+ * they are still useful: their date is to come, or their appointment is still
+ * scheduled and has not started. The others are cancelled rather than emailed long
+ * after the fact. Reminders that already have a status are skipped, so the migration
+ * is safe to run more than once.
+ *
+ * Usage: npm run migrate:reminders
+ */
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Reminder = require('../models/Reminder');
+const Appointment = require('../models/Appointment');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const now = new Date();
+  const cursor = Reminder.collection.find({ $or: [{ status: { $exists: false } }, { status: null }] });
+
+  let pending = 0;
+  let cancelled = 0;
+  for await (const doc of cursor) {
+    let upcoming = doc.date > now;
+    if (!upcoming && doc.appointment) {
+      const appointment = await Appointment.findById(doc.appointment).select('status date');
+      upcoming = Boolean(appointment && appointment.status === 'scheduled' && appointment.date > now);
+    }
+
+    const update = {
+      source: doc.source || 'manual',
+      attempts: doc.attempts || 0,
+      status: upcoming ? 'pending' : 'cancelled'
+    };
+    if (upcoming) {
+      update.nextAttemptAt = doc.nextAttemptAt || doc.date;
+      pending++;
+    } else {
+      update.lastError = 'Due before reminders were delivered';
+      cancelled++;
+    }
+
+    await Reminder.collection.updateOne({ _id: doc._id }, { $set: update });
+  }
+
+  console.log(`Queued ${pending} reminders for delivery and cancelled ${cancelled} past ones`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('Migration failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
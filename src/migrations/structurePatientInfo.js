@@ -0,0 +1,85 @@
+/**
+ * Migration: convert free-text allergies, medications and medical history on
+ * PatientInfo into structured entries
+ * Each line, semicolon- or comma-separated item becomes one entry (commas inside
+ * parentheses are kept, e.g. "Penicillin (rash, hives)"). Severity is left unset for
+ * staff to review. Documents that are already structured are skipped, so the
+ * migration is safe to run more than once.
+ *
+ * Usage: npm run migrate:patient-info
+ */
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const PatientInfo = require('../models/patientInfo');
+
+// Field -> name of the entry property holding the free-text item
+const FIELDS = {
+  allergies: 'substance',
+  medications: 'name',
+  medicalHistory: 'condition'
+};
+
+const IMPORT_NOTE = 'Imported from free-text record';
+
+/**
+ * Split free text into items on newlines, semicolons and commas outside parentheses
+ */
+const splitItems = (text) => {
+  const items = [];
+  let current = '';
+  let depth = 0;
+
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth = Math.max(0, depth - 1);
+
+    if (char === '\n' || char === ';' || (char === ',' && depth === 0)) {
+      items.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  items.push(current);
+
+  // Drop empty items and placeholders such as "none" or "N/A"
+  return items
+    .map(item => item.trim().replace(/^[-*•]\s*/, ''))
+    .filter(item => item && !/^(none|no|nil|n\/a|na|-)$/i.test(item));
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Read raw documents: the string values no longer fit the schema
+  const cursor = PatientInfo.collection.find({
+    $or: Object.keys(FIELDS).map(field => ({ [field]: { $type: 'string' } }))
+  });
+
+  let converted = 0;
+  for await (const doc of cursor) {
+    const update = {};
+    for (const [field, nameField] of Object.entries(FIELDS)) {
+      if (typeof doc[field] === 'string') {
+        update[field] = splitItems(doc[field]).map(item => ({
+          _id: new mongoose.Types.ObjectId(),
+          [nameField]: item,
+          notes: IMPORT_NOTE
+        }));
+      }
+    }
+
+    await PatientInfo.collection.updateOne({ _id: doc._id }, { $set: update });
+    converted++;
+  }
+
+  console.log(`Converted medical information of ${converted} patients`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('Migration failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -11,15 +11,26 @@ const appointmentSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Branch where the appointment takes place
+  clinic: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: true
+  },
   date: {
     type: Date,
     required: true
   },
+  // End time derived from the booked service's duration
+  endDate: {
+    type: Date
+  },
   status: {
     type: String,
     enum: ['scheduled', 'completed', 'cancelled'],
     default: 'scheduled'
   },
+  // Booking remarks; clinical documentation goes in the visit's ClinicalNote
   notes: {
     type: String,
     trim: true
@@ -40,5 +51,23 @@ const appointmentSchema = new mongoose.Schema({
 // Index for efficient querying
 appointmentSchema.index({ date: 1, doctor: 1 });
 appointmentSchema.index({ user: 1 });
+appointmentSchema.index({ clinic: 1, date: 1 });
+
+/**
+ * Find a scheduled appointment of the given doctor that overlaps [start, end)
+ * excludeId lets a rescheduled appointment skip its own record
+ */
+appointmentSchema.statics.findOverlapping = function(doctor, start, end, excludeId) {
+  const query = {
+    doctor,
+    status: 'scheduled',
+    date: { $lt: end },
+    endDate: { $gt: start }
+  };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  return this.findOne(query);
+};
 
 module.exports = mongoose.model('Appointment', appointmentSchema); 
\ No newline at end of file
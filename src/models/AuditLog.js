@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  targetType: {
+    type: String,
+    trim: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Patient whose data was read or changed, for per-patient access reports
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changes: [changeSchema],
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for efficient querying
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ patient: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Audit entries are append-only: block edits of saved entries and all update/delete queries
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be modified'));
+  }
+  next();
+});
+
+const blockMutation = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndRemove'
+], blockMutation);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, blockMutation);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+
+// Allowed status changes: denied claims can be corrected and resubmitted
+const STATUS_TRANSITIONS = {
+  submitted: ['approved', 'denied'],
+  approved: ['paid'],
+  denied: ['submitted'],
+  paid: []
+};
+
+// Statuses whose amounts count against the policy's annual maximum
+const BENEFIT_STATUSES = ['submitted', 'approved', 'paid'];
+
+const claimItemSchema = new mongoose.Schema({
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  category: String,
+  // Amount billed for the item, and the part of it claimed from the insurer
+  billedAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  coveragePercent: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  claimedAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const statusChangeSchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  note: String,
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const claimSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  policy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InsurancePolicy',
+    required: true
+  },
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  // Copied from the appointment, to scope claims like appointments
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  clinic: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: true
+  },
+  items: [claimItemSchema],
+  totalBilled: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  claimedAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  approvedAmount: {
+    type: Number,
+    min: 0
+  },
+  paidAmount: {
+    type: Number,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    default: 'submitted'
+  },
+  statusHistory: [statusChangeSchema],
+  // The insurer's reference for the claim
+  carrierReference: {
+    type: String,
+    trim: true
+  },
+  denialReason: String,
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  decidedAt: Date,
+  paidAt: Date,
+  // Payment recording the insurer's settlement
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for efficient querying
+claimSchema.index({ patient: 1, createdAt: -1 });
+claimSchema.index({ policy: 1, status: 1, submittedAt: 1 });
+claimSchema.index({ appointment: 1 });
+
+/**
+ * Amount of a claim that counts against the annual maximum: what was paid,
+ * else what was approved, else what was claimed
+ */
+claimSchema.methods.benefitAmount = function() {
+  if (this.status === 'paid') return this.paidAmount || 0;
+  if (this.status === 'approved') return this.approvedAmount || 0;
+  return this.claimedAmount;
+};
+
+/**
+ * Check whether the claim may move to a status
+ */
+claimSchema.methods.canTransition = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * Move the claim to a new status, recording the change in its history
+ * Throws on a transition the lifecycle does not allow
+ */
+claimSchema.methods.transition = function(status, { changedBy, note } = {}) {
+  if (!this.canTransition(status)) {
+    throw new Error(`Claim cannot move from ${this.status} to ${status}`);
+  }
+  this.statusHistory.push({ from: this.status, to: status, note, changedBy });
+  this.status = status;
+};
+
+// Record the initial status
+claimSchema.pre('save', function(next) {
+  if (this.isNew && !this.statusHistory.length) {
+    this.statusHistory.push({ from: null, to: this.status, changedBy: this.createdBy });
+  }
+  next();
+});
+
+claimSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+claimSchema.statics.BENEFIT_STATUSES = BENEFIT_STATUSES;
+
+module.exports = mongoose.model('Claim', claimSchema);
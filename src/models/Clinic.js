@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { isValidTimezone } = require('../utils/timezone');
+
+const clinicSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // IANA timezone of the branch; falls back to CLINIC_TIMEZONE
+  timezone: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: (value) => !value || isValidTimezone(value),
+      message: 'Invalid timezone'
+    }
+  },
+  // Tax rate (percent) applied to invoice lines at the branch; falls back to DEFAULT_TAX_RATE
+  taxRate: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Clinic', clinicSchema);
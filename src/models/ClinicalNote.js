@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+const codeSchema = new mongoose.Schema({
+  // Coding system, e.g. ICD-10 or SNODENT for diagnoses, CDT for procedures
+  system: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Optional FDI tooth number the code applies to
+  tooth: {
+    type: Number
+  }
+}, { _id: false });
+
+// One version of the note's content; signed versions are never changed
+const versionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  subjective: {
+    type: String,
+    trim: true
+  },
+  objective: {
+    type: String,
+    trim: true
+  },
+  assessment: {
+    type: String,
+    trim: true
+  },
+  plan: {
+    type: String,
+    trim: true
+  },
+  diagnosisCodes: [codeSchema],
+  procedureCodes: [codeSchema],
+  // Why the signed note was amended (empty for the original version)
+  amendmentReason: {
+    type: String,
+    trim: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  signedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+const clinicalNoteSchema = new mongoose.Schema({
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true,
+    unique: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Copied from the appointment so notes can be scoped like appointments
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  clinic: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic'
+  },
+  // draft -> signed -> amended (after one or more amendments)
+  status: {
+    type: String,
+    enum: ['draft', 'signed', 'amended'],
+    default: 'draft'
+  },
+  // Oldest first; the last version is the current content
+  versions: [versionSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for efficient querying
+clinicalNoteSchema.index({ patient: 1, createdAt: -1 });
+
+// Current content of the note
+clinicalNoteSchema.virtual('current').get(function() {
+  return this.versions[this.versions.length - 1] || null;
+});
+
+// Update the updatedAt timestamp before saving
+clinicalNoteSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+/**
+ * Method to check whether the note has been signed (and can only be amended)
+ */
+clinicalNoteSchema.methods.isSigned = function() {
+  return this.status !== 'draft';
+};
+
+module.exports = mongoose.model('ClinicalNote', clinicalNoteSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const closureSchema = new mongoose.Schema({
+  // Branch that is closed; null for doctor leave, which applies at every branch
+  clinic: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    default: null
+  },
+  // null for clinic-wide closures, otherwise the doctor who is unavailable
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['holiday', 'closure', 'leave'],
+    default: 'closure'
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for efficient querying
+closureSchema.index({ startDate: 1, endDate: 1 });
+closureSchema.index({ clinic: 1 });
+closureSchema.index({ doctor: 1 });
+
+module.exports = mongoose.model('Closure', closureSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const consentTemplateSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Full wording shown to the patient before signing
+  body: {
+    type: String,
+    required: true
+  },
+  // Bumped whenever the wording changes; signatures only count for the version signed
+  version: {
+    type: Number,
+    default: 1
+  },
+  // Services that require this consent before they are performed
+  services: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for looking up the consents a service requires
+consentTemplateSchema.index({ services: 1, isActive: 1 });
+
+// Update the updatedAt timestamp before saving
+consentTemplateSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('ConsentTemplate', consentTemplateSchema);
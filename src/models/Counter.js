@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Named sequences for human-readable numbers (e.g. invoice numbers)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+/**
+ * Atomically take the next value of a sequence, starting at 1
+ */
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const { SURFACES, CONDITIONS, isFdiTooth, toUniversal } = require('../utils/teeth');
+
+const dentalChartEntrySchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // FDI (ISO 3950) tooth number, e.g. 36 for the lower left first molar
+  tooth: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: isFdiTooth,
+      message: 'Invalid FDI tooth number'
+    }
+  },
+  // Affected surfaces; empty when the condition applies to the whole tooth
+  surfaces: [{
+    type: String,
+    enum: SURFACES
+  }],
+  condition: {
+    type: String,
+    enum: CONDITIONS,
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  // Visit and service in which the finding was made or the work was done
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  },
+  // When the condition was observed or treated (defaults to when it was charted)
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Universal designation of the tooth ("1"-"32" or "A"-"T")
+dentalChartEntrySchema.virtual('universalTooth').get(function() {
+  return toUniversal(this.tooth);
+});
+
+// Index for efficient querying
+dentalChartEntrySchema.index({ patient: 1, tooth: 1, recordedAt: 1 });
+dentalChartEntrySchema.index({ appointment: 1 });
+
+// Update the updatedAt timestamp before saving
+dentalChartEntrySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+/**
+ * Current state of each charted tooth, replaying a patient's entries in order:
+ * a whole-tooth entry replaces the tooth's state, a surface entry updates those surfaces
+ */
+dentalChartEntrySchema.statics.buildChart = function(entries) {
+  const teeth = new Map();
+
+  [...entries]
+    .sort((a, b) => a.recordedAt - b.recordedAt)
+    .forEach(entry => {
+      if (!teeth.has(entry.tooth) || !entry.surfaces.length) {
+        teeth.set(entry.tooth, {
+          tooth: entry.tooth,
+          universalTooth: toUniversal(entry.tooth),
+          condition: null,
+          surfaces: {},
+          lastRecordedAt: null
+        });
+      }
+
+      const state = teeth.get(entry.tooth);
+      if (entry.surfaces.length) {
+        entry.surfaces.forEach(surface => {
+          state.surfaces[surface] = entry.condition;
+        });
+      } else {
+        state.condition = entry.condition;
+      }
+      state.lastRecordedAt = entry.recordedAt;
+    });
+
+  return [...teeth.values()].sort((a, b) => a.tooth - b.tooth);
+};
+
+module.exports = mongoose.model('DentalChartEntry', dentalChartEntrySchema);
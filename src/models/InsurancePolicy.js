@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const Service = require('./services');
+
+// Coverage percentage for each service category
+const coverageSchema = new mongoose.Schema(
+  Service.CATEGORIES.reduce((fields, category) => ({
+    ...fields,
+    [category]: { type: Number, default: 0, min: 0, max: 100 }
+  }), {}),
+  { _id: false }
+);
+
+const insurancePolicySchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  carrier: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  planName: {
+    type: String,
+    trim: true
+  },
+  memberId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  groupNumber: {
+    type: String,
+    trim: true
+  },
+  // Policy holder, when it is not the patient (e.g. a parent)
+  subscriberName: {
+    type: String,
+    trim: true
+  },
+  // Primary policies are used for estimates and claims unless another is chosen
+  priority: {
+    type: String,
+    enum: ['primary', 'secondary'],
+    default: 'primary'
+  },
+  coverage: {
+    type: coverageSchema,
+    default: () => ({})
+  },
+  // Most the insurer pays per benefit year; null when unlimited
+  annualMaximum: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Month (1-12) the benefit year starts in
+  benefitYearStartMonth: {
+    type: Number,
+    min: 1,
+    max: 12,
+    default: 1
+  },
+  effectiveDate: Date,
+  expirationDate: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for efficient querying
+insurancePolicySchema.index({ patient: 1, isActive: 1, priority: 1 });
+
+// Update the updatedAt timestamp before saving
+insurancePolicySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+/**
+ * Method to check whether the policy is active and in force on a date
+ */
+insurancePolicySchema.methods.isInForce = function(at = new Date()) {
+  return this.isActive &&
+    (!this.effectiveDate || this.effectiveDate <= at) &&
+    (!this.expirationDate || this.expirationDate >= at);
+};
+
+/**
+ * Start and end of the benefit year containing a date
+ */
+insurancePolicySchema.methods.benefitYear = function(at = new Date()) {
+  const month = (this.benefitYearStartMonth || 1) - 1;
+  const year = at.getUTCMonth() >= month ? at.getUTCFullYear() : at.getUTCFullYear() - 1;
+  return {
+    start: new Date(Date.UTC(year, month, 1)),
+    end: new Date(Date.UTC(year + 1, month, 1))
+  };
+};
+
+module.exports = mongoose.model('InsurancePolicy', insurancePolicySchema);
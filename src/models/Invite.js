@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { STAFF_ROLES } = require('../config/permissions');
+
+const inviteSchema = new mongoose.Schema({
+  // Optional: when set, only this email address can accept the invite
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  role: {
+    type: String,
+    enum: STAFF_ROLES,
+    required: true
+  },
+  // Branches the new staff member will work at
+  clinics: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic'
+  }],
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Method to check whether the invite can still be accepted
+inviteSchema.methods.isUsable = function() {
+  return !this.acceptedAt && !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Invite', inviteSchema);
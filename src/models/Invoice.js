@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+
+// Round a money amount to cents
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const lineItemSchema = new mongoose.Schema({
+  // Service the line bills for; extra items (materials, lab fees) may have none
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Line discount, as a percentage of quantity x unit price
+  discountPercent: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  // Tax rate (percent) of the line, taken from the branch when the line is added
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  // Computed by calculateTotals: amount after discounts, and the tax on it
+  amount: Number,
+  taxAmount: Number
+});
+
+const invoiceSchema = new mongoose.Schema({
+  // Assigned when the invoice is issued, e.g. INV-2026-000042
+  number: {
+    type: String,
+    trim: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true
+  },
+  // Copied from the appointment, to scope invoices like appointments
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  clinic: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: true
+  },
+  lineItems: [lineItemSchema],
+  // Discount on the whole invoice, applied after line discounts and before tax
+  discount: {
+    type: {
+      type: String,
+      enum: ['percent', 'fixed']
+    },
+    value: {
+      type: Number,
+      min: 0
+    },
+    reason: String
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  // draft -> issued -> partially-paid -> paid; draft or unpaid invoices can be voided
+  status: {
+    type: String,
+    enum: ['draft', 'issued', 'partially-paid', 'paid', 'void'],
+    default: 'draft'
+  },
+  // Computed by calculateTotals
+  subtotal: { type: Number, default: 0 },
+  discountTotal: { type: Number, default: 0 },
+  taxTotal: { type: Number, default: 0 },
+  total: { type: Number, default: 0 },
+  // Completed payments applied to the invoice less their refunds, kept by syncPayments
+  amountPaid: { type: Number, default: 0 },
+  balance: { type: Number, default: 0 },
+  issuedAt: Date,
+  dueDate: Date,
+  paidAt: Date,
+  voidedAt: Date,
+  voidReason: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for efficient querying
+invoiceSchema.index({ number: 1 }, { unique: true, partialFilterExpression: { number: { $type: 'string' } } });
+invoiceSchema.index({ patient: 1, createdAt: -1 });
+invoiceSchema.index({ appointment: 1 });
+invoiceSchema.index({ clinic: 1, status: 1, dueDate: 1 });
+
+// Issued invoices with a balance left after their due date
+invoiceSchema.virtual('isOverdue').get(function() {
+  return ['issued', 'partially-paid'].includes(this.status) && Boolean(this.dueDate) && this.dueDate < new Date();
+});
+
+/**
+ * Compute line amounts, tax and the invoice totals
+ * The invoice discount is shared across lines in proportion to their amount,
+ * so each line is taxed on what is actually charged for it
+ */
+invoiceSchema.methods.calculateTotals = function() {
+  let subtotal = 0;
+  let lineDiscounts = 0;
+  const netAmounts = this.lineItems.map(item => {
+    const gross = roundMoney(item.quantity * item.unitPrice);
+    const discount = roundMoney(gross * (item.discountPercent || 0) / 100);
+    subtotal += gross;
+    lineDiscounts += discount;
+    return gross - discount;
+  });
+
+  const net = netAmounts.reduce((total, amount) => total + amount, 0);
+  let invoiceDiscount = 0;
+  if (this.discount && this.discount.type === 'percent') {
+    invoiceDiscount = roundMoney(net * Math.min(this.discount.value || 0, 100) / 100);
+  } else if (this.discount && this.discount.type === 'fixed') {
+    invoiceDiscount = roundMoney(Math.min(this.discount.value || 0, net));
+  }
+
+  let taxTotal = 0;
+  this.lineItems.forEach((item, index) => {
+    const share = net ? invoiceDiscount * netAmounts[index] / net : 0;
+    item.amount = roundMoney(netAmounts[index] - share);
+    item.taxAmount = roundMoney(item.amount * (item.taxRate || 0) / 100);
+    taxTotal += item.taxAmount;
+  });
+
+  this.subtotal = roundMoney(subtotal);
+  this.discountTotal = roundMoney(lineDiscounts + invoiceDiscount);
+  this.taxTotal = roundMoney(taxTotal);
+  this.total = roundMoney(this.subtotal - this.discountTotal + this.taxTotal);
+  this.balance = roundMoney(this.total - this.amountPaid);
+};
+
+// Keep totals current and update the updatedAt timestamp before saving
+invoiceSchema.pre('save', function(next) {
+  this.calculateTotals();
+  this.updatedAt = Date.now();
+  next();
+});
+
+/**
+ * Recompute what has been paid on an invoice from its completed payments, net of
+ * refunds, and move it between issued, partially-paid and paid
+ */
+invoiceSchema.statics.syncPayments = async function(invoiceId) {
+  const invoice = await this.findById(invoiceId);
+  if (!invoice) {
+    return null;
+  }
+
+  const Payment = mongoose.model('Payment');
+  const [paid] = await Payment.aggregate([
+    { $match: { invoice: invoice._id, status: { $in: Payment.SETTLED_STATUSES } } },
+    { $group: { _id: null, total: { $sum: { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] } } } }
+  ]);
+  invoice.amountPaid = roundMoney(paid ? paid.total : 0);
+
+  if (!['draft', 'void'].includes(invoice.status)) {
+    if (invoice.amountPaid >= invoice.total) {
+      invoice.status = 'paid';
+      invoice.paidAt = invoice.paidAt || new Date();
+    } else {
+      invoice.status = invoice.amountPaid > 0 ? 'partially-paid' : 'issued';
+      invoice.paidAt = undefined;
+    }
+  }
+
+  await invoice.save();
+  return invoice;
+};
+
+invoiceSchema.statics.roundMoney = roundMoney;
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
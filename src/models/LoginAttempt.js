@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Set when the email belongs to an account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['success', 'unknown-email', 'bad-password', 'bad-mfa-code', 'account-locked', 'ip-blocked']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for efficient querying
+loginAttemptSchema.index({ ip: 1, success: 1, createdAt: -1 });
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+// Keep login history for 90 days
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const { isFdiTooth, toUniversal } = require('../utils/teeth');
+
+// Kinds of documents kept in a patient's record
+const DOCUMENT_TYPES = ['radiograph', 'intraoral-photo', 'consent-form', 'referral-letter', 'lab-report', 'other'];
+
+// File formats accepted for upload
+const MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/tiff', 'application/dicom'];
+
+const patientDocumentSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: DOCUMENT_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // When the image was taken or the letter written (defaults to the upload time)
+  takenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // FDI tooth numbers the document shows, e.g. the teeth on a periapical radiograph
+  teeth: [{
+    type: Number,
+    validate: {
+      validator: isFdiTooth,
+      message: 'Invalid FDI tooth number'
+    }
+  }],
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  // The uploaded file; storage holds its location in the storage backend
+  fileName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    enum: MIME_TYPES,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  storage: {
+    backend: { type: String, required: true },
+    key: { type: String, required: true }
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    virtuals: true,
+    // The storage location is internal; files are downloaded through the API
+    transform: (doc, ret) => {
+      delete ret.storage;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Universal designations of the linked teeth
+patientDocumentSchema.virtual('universalTeeth').get(function() {
+  return (this.teeth || []).map(toUniversal);
+});
+
+// Index for efficient querying
+patientDocumentSchema.index({ patient: 1, takenAt: -1 });
+patientDocumentSchema.index({ appointment: 1 });
+
+patientDocumentSchema.statics.DOCUMENT_TYPES = DOCUMENT_TYPES;
+patientDocumentSchema.statics.MIME_TYPES = MIME_TYPES;
+
+module.exports = mongoose.model('PatientDocument', patientDocumentSchema);
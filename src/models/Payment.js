@@ -1,5 +1,35 @@
 const mongoose = require('mongoose');
 
+// Allowed status changes; refunded statuses are only reached through refunds,
+// and each further partial refund is recorded as another partially-refunded entry
+const STATUS_TRANSITIONS = {
+  pending: ['completed', 'failed'],
+  failed: ['pending'],
+  completed: ['partially-refunded', 'refunded'],
+  'partially-refunded': ['partially-refunded', 'refunded'],
+  refunded: []
+};
+
+// Statuses of payments whose money was received (part of it may have been refunded since)
+const SETTLED_STATUSES = ['completed', 'partially-refunded', 'refunded'];
+
+const statusChangeSchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  reason: String,
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const paymentSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -11,6 +41,11 @@ const paymentSchema = new mongoose.Schema({
     ref: 'Appointment',
     required: true
   },
+  // Invoice the payment is applied to, if any
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
   amount: {
     type: Number,
     required: true,
@@ -18,21 +53,174 @@ const paymentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed'],
+    enum: Object.keys(STATUS_TRANSITIONS),
     default: 'pending'
   },
+  // Every status the payment went through, oldest first
+  statusHistory: [statusChangeSchema],
+  // Total of the refunds taken from this payment
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   paymentMethod: {
     type: String,
     trim: true
   },
+  // Payment provider handling the payment (see utils/paymentProviders.js), its
+  // reference for the payment, and the webhook events already applied
+  provider: {
+    type: String,
+    trim: true
+  },
+  providerReference: {
+    type: String,
+    trim: true
+  },
+  providerEvents: [String],
+  // Insurance claim the payment settles, for payments made by insurers
+  claim: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Claim'
+  },
+  // Payments recorded by patients stay pending until staff verify them
+  requiresVerification: {
+    type: Boolean,
+    default: false
+  },
+  verifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  verifiedAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
   }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
 // Index for efficient querying
 paymentSchema.index({ user: 1, createdAt: -1 });
 paymentSchema.index({ appointment: 1 });
+paymentSchema.index({ invoice: 1 });
+paymentSchema.index(
+  { provider: 1, providerReference: 1 },
+  { unique: true, partialFilterExpression: { providerReference: { $type: 'string' } } }
+);
+
+// Amount the practice keeps after refunds
+paymentSchema.virtual('netAmount').get(function() {
+  return SETTLED_STATUSES.includes(this.status) ? this.amount - (this.refundedAmount || 0) : 0;
+});
+
+/**
+ * Check whether the payment may move to a status
+ */
+paymentSchema.methods.canTransition = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * Move the payment to a new status, recording the change in its history
+ * Throws on a transition the state machine does not allow
+ */
+paymentSchema.methods.transition = function(status, { changedBy, reason } = {}) {
+  if (!this.canTransition(status)) {
+    throw new Error(`Payment cannot move from ${this.status} to ${status}`);
+  }
+  this.statusHistory.push({ from: this.status, to: status, reason, changedBy });
+  this.status = status;
+};
+
+// Record the initial status, and refuse status changes that bypass transition()
+paymentSchema.pre('save', function(next) {
+  if (this.isNew) {
+    if (!this.statusHistory.length) {
+      this.statusHistory.push({ from: null, to: this.status, changedBy: this.user });
+    }
+  } else if (this.isModified('status')) {
+    const last = this.statusHistory[this.statusHistory.length - 1];
+    if (!last || last.to !== this.status) {
+      return next(new Error('Payment status must be changed through transition()'));
+    }
+  }
+  next();
+});
+
+/**
+ * Atomically take a refund of `amount` from a completed payment: adds it to
+ * refundedAmount and moves the payment to partially-refunded or refunded in a
+ * single update, only while enough of the payment is left, so concurrent
+ * refunds can never together return more than was paid
+ * Returns the updated payment, or null when the payment cannot cover the refund
+ */
+paymentSchema.statics.reserveRefund = async function(paymentId, amount, { changedBy, reason } = {}) {
+  const payment = await this.findById(paymentId).select('amount');
+  if (!payment) {
+    return null;
+  }
+
+  // Refunded amounts are in cents, so compare with half a cent of tolerance; payments
+  // saved before refunds existed have no refundedAmount yet
+  const limit = Math.round((payment.amount - amount) * 100) / 100;
+  const refundedSoFar = { $ifNull: ['$refundedAmount', 0] };
+  const outcomes = [
+    ['refunded', { $and: [{ $gte: [refundedSoFar, limit - 0.005] }, { $lte: [refundedSoFar, limit + 0.005] }] }],
+    ['partially-refunded', { $lt: [refundedSoFar, limit - 0.005] }]
+  ];
+
+  for (const [status, fits] of outcomes) {
+    // Pipeline update: every expression reads the payment as it was before the update
+    // ($literal keeps a reason starting with "$" from being read as a field path)
+    const updated = await this.findOneAndUpdate(
+      { _id: paymentId, status: { $in: ['completed', 'partially-refunded'] }, $expr: fits },
+      [{
+        $set: {
+          refundedAmount: { $round: [{ $add: [refundedSoFar, amount] }, 2] },
+          status,
+          statusHistory: {
+            $concatArrays: [{ $ifNull: ['$statusHistory', []] }, [{ from: '$status', to: status, reason: { $literal: reason }, changedBy, changedAt: new Date() }]]
+          }
+        }
+      }],
+      { new: true }
+    );
+    if (updated) {
+      return updated;
+    }
+  }
+  return null;
+};
+
+/**
+ * Give back a refund reserved with reserveRefund whose Refund record could not be
+ * saved: subtracts it from refundedAmount and moves the payment back to completed
+ * or partially-refunded, in a single update so that other refunds are not lost
+ * Returns the updated payment
+ */
+paymentSchema.statics.releaseRefund = function(paymentId, amount, { changedBy, reason } = {}) {
+  const refundedAmount = { $max: [{ $round: [{ $subtract: [{ $ifNull: ['$refundedAmount', 0] }, amount] }, 2] }, 0] };
+  const status = { $cond: [{ $gt: [refundedAmount, 0] }, 'partially-refunded', 'completed'] };
+  return this.findOneAndUpdate(
+    { _id: paymentId, status: { $in: ['partially-refunded', 'refunded'] } },
+    [{
+      $set: {
+        refundedAmount,
+        status,
+        statusHistory: {
+          $concatArrays: [{ $ifNull: ['$statusHistory', []] }, [{ from: '$status', to: status, reason: { $literal: reason }, changedBy, changedAt: new Date() }]]
+        }
+      }
+    }],
+    { new: true }
+  );
+};
+
+paymentSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+paymentSchema.statics.SETTLED_STATUSES = SETTLED_STATUSES;
 
 module.exports = mongoose.model('Payment', paymentSchema); 
\ No newline at end of file
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema({
+  // Payment the money is returned from
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  // Copied from the payment, to scope and report refunds like payments
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for efficient querying
+refundSchema.index({ payment: 1, createdAt: 1 });
+refundSchema.index({ appointment: 1 });
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -1,5 +1,21 @@
 const mongoose = require('mongoose');
 
+// Delivery statuses: pending until due, sending while a scheduler delivers it,
+// then sent, failed (out of attempts) or cancelled (appointment cancelled or moved)
+const DELIVERY_STATUSES = ['pending', 'sending', 'sent', 'failed', 'cancelled'];
+
+const deliveryAttemptSchema = new mongoose.Schema({
+  attemptedAt: {
+    type: Date,
+    default: Date.now
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  error: String
+}, { _id: false });
+
 const reminderSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -21,10 +37,42 @@ const reminderSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // When the reminder is due to be delivered
   date: {
     type: Date,
     required: true
   },
+  // Reminders created by staff, or generated by the scheduler ahead of an appointment
+  source: {
+    type: String,
+    enum: ['manual', 'automatic'],
+    default: 'manual'
+  },
+  // For automatic reminders: hours before the appointment, and the appointment
+  // time it was generated for (a rescheduled appointment gets new reminders)
+  offsetHours: Number,
+  appointmentDate: Date,
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Extra attempts granted by staff retrying a failed reminder, on top of REMINDER_MAX_ATTEMPTS
+  manualRetries: {
+    type: Number,
+    default: 0
+  },
+  deliveryLog: [deliveryAttemptSchema],
+  // Earliest time of the next delivery attempt (retries back off)
+  nextAttemptAt: Date,
+  // A reminder left "sending" past this time was interrupted and is picked up again
+  lockedUntil: Date,
+  lastError: String,
+  sentAt: Date,
   isRead: {
     type: Boolean,
     default: false
@@ -38,5 +86,21 @@ const reminderSchema = new mongoose.Schema({
 // Index for efficient querying
 reminderSchema.index({ user: 1, date: 1 });
 reminderSchema.index({ appointment: 1 });
+reminderSchema.index({ status: 1, nextAttemptAt: 1 });
+// An appointment time gets each automatic reminder once, however often the scheduler runs
+reminderSchema.index(
+  { appointment: 1, appointmentDate: 1, offsetHours: 1 },
+  { unique: true, partialFilterExpression: { source: 'automatic' } }
+);
+
+// New reminders are first attempted when due
+reminderSchema.pre('save', function(next) {
+  if (this.isNew && !this.nextAttemptAt) {
+    this.nextAttemptAt = this.date;
+  }
+  next();
+});
+
+reminderSchema.statics.DELIVERY_STATUSES = DELIVERY_STATUSES;
 
 module.exports = mongoose.model('Reminder', reminderSchema); 
\ No newline at end of file
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Times of day are stored as 24-hour "HH:mm" strings
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const breakSchema = new mongoose.Schema({
+  start: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN
+  },
+  end: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN
+  },
+  label: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const workingDaySchema = new mongoose.Schema({
+  day: {
+    type: Number, // 0 = Sunday, 1 = Monday, ..., 6 = Saturday
+    required: true,
+    min: 0,
+    max: 6
+  },
+  start: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN
+  },
+  end: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN
+  },
+  breaks: [breakSchema]
+}, { _id: false });
+
+const scheduleSchema = new mongoose.Schema({
+  clinic: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: true
+  },
+  // null for the clinic-wide schedule, otherwise the doctor it applies to
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  workingDays: [workingDaySchema],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One schedule per doctor and a single clinic-wide schedule in each branch
+scheduleSchema.index({ clinic: 1, doctor: 1 }, { unique: true });
+
+// Reject days that end before they start or breaks outside the working day
+scheduleSchema.pre('validate', function(next) {
+  const days = new Set();
+  for (const workingDay of this.workingDays) {
+    if (days.has(workingDay.day)) {
+      this.invalidate('workingDays', `Day ${workingDay.day} is listed more than once`);
+    }
+    days.add(workingDay.day);
+
+    if (workingDay.start >= workingDay.end) {
+      this.invalidate('workingDays', `Day ${workingDay.day} must end after it starts`);
+    }
+    for (const pause of workingDay.breaks) {
+      if (pause.start >= pause.end || pause.start < workingDay.start || pause.end > workingDay.end) {
+        this.invalidate('workingDays', `Break ${pause.start}-${pause.end} must fall within day ${workingDay.day}`);
+      }
+    }
+  }
+  next();
+});
+
+// Update the updatedAt timestamp before saving
+scheduleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+scheduleSchema.statics.TIME_PATTERN = TIME_PATTERN;
+
+module.exports = mongoose.model('Schedule', scheduleSchema);
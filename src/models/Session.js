@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 hash of the current refresh token (the token itself is never stored)
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the refresh token that was rotated out, kept to detect reuse
+  previousTokenHash: {
+    type: String
+  },
+  // Incremented on every refresh; access tokens from older generations are rejected
+  generation: {
+    type: Number,
+    default: 0
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  ip: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for efficient querying
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+// Let MongoDB purge sessions once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check whether the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to revoke the session
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = Date.now();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+/**
+ * Revoke every active session of a user, optionally keeping one (e.g. the current one)
+ */
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(query, { revokedAt: Date.now(), revokedReason: reason });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Fields covered by the integrity hash of a signed consent
+const SIGNED_FIELDS = ['patient', 'template', 'templateVersion', 'title', 'body', 'signedName', 'signature', 'signedAt', 'ip'];
+
+const signedConsentSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ConsentTemplate',
+    required: true
+  },
+  // Copy of the wording the patient agreed to, so later template edits do not change it
+  templateVersion: {
+    type: Number,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  // Visit the consent was given for, if any
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  signedName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  signature: {
+    type: String, // e.g. a data URL of a drawn signature
+    required: true
+  },
+  signedAt: {
+    type: Date,
+    default: Date.now
+  },
+  ip: String,
+  userAgent: String,
+  // The patient, or staff recording an in-person signature
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the signed fields, to show an export has not been altered
+  contentHash: String
+});
+
+// Index for checking a patient's consents
+signedConsentSchema.index({ patient: 1, template: 1, templateVersion: 1 });
+
+/**
+ * SHA-256 over the signed fields of a consent
+ */
+signedConsentSchema.methods.computeHash = function() {
+  const content = SIGNED_FIELDS.reduce((data, field) => {
+    const value = this[field];
+    data[field] = value instanceof Date ? value.toISOString() : value === undefined ? null : String(value);
+    return data;
+  }, {});
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+};
+
+// Signed consents are immutable: they can be created but never changed or removed
+signedConsentSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Signed consents cannot be modified'));
+  }
+  this.contentHash = this.computeHash();
+  next();
+});
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+].forEach(operation => {
+  signedConsentSchema.pre(operation, function(next) {
+    next(new Error('Signed consents cannot be modified'));
+  });
+});
+
+module.exports = mongoose.model('SignedConsent', signedConsentSchema);
@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+const { isFdiTooth } = require('../utils/teeth');
+
+const stepSchema = new mongoose.Schema({
+  // Position of the step within the plan, starting at 1
+  order: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Visits group steps that are done together (e.g. phase 1: root canal, phase 2: crown)
+  phase: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  // Optional FDI tooth number the step treats
+  tooth: {
+    type: Number,
+    validate: {
+      validator: (value) => value == null || isFdiTooth(value),
+      message: 'Invalid FDI tooth number'
+    }
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Price quoted to the patient, taken from Service.price when the step is added
+  estimatedPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Appointment in which the step is (or was) carried out
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'scheduled', 'completed'],
+    default: 'pending'
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+const treatmentPlanSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Doctor responsible for the plan
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  steps: [stepSchema],
+  // draft -> proposed -> accepted/declined; accepted -> in-progress -> completed
+  status: {
+    type: String,
+    enum: ['draft', 'proposed', 'accepted', 'declined', 'in-progress', 'completed', 'cancelled'],
+    default: 'draft'
+  },
+  // Patient acceptance, with the signature captured when it was given
+  acceptance: {
+    acceptedAt: Date,
+    declinedAt: Date,
+    declineReason: String,
+    signedName: String,
+    signature: String, // e.g. a data URL of a drawn signature
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    ip: String,
+    userAgent: String
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for efficient querying
+treatmentPlanSchema.index({ patient: 1, createdAt: -1 });
+treatmentPlanSchema.index({ 'steps.appointment': 1 });
+
+// Total of the step estimates
+treatmentPlanSchema.virtual('totalEstimate').get(function() {
+  return this.steps.reduce((total, step) => total + step.estimatedPrice, 0);
+});
+
+// Completed steps out of all steps, and the estimated value of the work done
+treatmentPlanSchema.virtual('progress').get(function() {
+  const completed = this.steps.filter(step => step.status === 'completed');
+  return {
+    completedSteps: completed.length,
+    totalSteps: this.steps.length,
+    percent: this.steps.length ? Math.round((completed.length / this.steps.length) * 100) : 0,
+    completedValue: completed.reduce((total, step) => total + step.estimatedPrice, 0)
+  };
+});
+
+// Update the updatedAt timestamp before saving
+treatmentPlanSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+/**
+ * Method to check whether the plan has been accepted and work can be scheduled
+ */
+treatmentPlanSchema.methods.isActive = function() {
+  return ['accepted', 'in-progress'].includes(this.status);
+};
+
+/**
+ * Move the plan to in-progress or completed from the state of its steps
+ */
+treatmentPlanSchema.methods.updateProgress = function() {
+  if (!this.isActive() && this.status !== 'completed') {
+    return;
+  }
+
+  if (this.steps.length && this.steps.every(step => step.status === 'completed')) {
+    this.status = 'completed';
+    this.completedAt = this.completedAt || new Date();
+  } else if (this.steps.some(step => step.status !== 'pending')) {
+    this.status = 'in-progress';
+    this.completedAt = null;
+  } else {
+    this.status = 'accepted';
+    this.completedAt = null;
+  }
+};
+
+/**
+ * Update the steps linked to an appointment after its status changed or it was removed:
+ * completed appointments complete the step, cancelled or removed ones free it to be rebooked
+ */
+treatmentPlanSchema.statics.syncAppointment = async function(appointment, { removed = false } = {}) {
+  const plans = await this.find({ 'steps.appointment': appointment._id });
+
+  for (const plan of plans) {
+    plan.steps
+      .filter(step => step.appointment && step.appointment.equals(appointment._id))
+      .forEach(step => {
+        if (removed || appointment.status === 'cancelled') {
+          step.appointment = null;
+          step.status = 'pending';
+          step.completedAt = null;
+        } else if (appointment.status === 'completed') {
+          step.status = 'completed';
+          step.completedAt = step.completedAt || new Date();
+        } else {
+          step.status = 'scheduled';
+          step.completedAt = null;
+        }
+      });
+    plan.updateProgress();
+    await plan.save();
+  }
+};
+
+module.exports = mongoose.model('TreatmentPlan', treatmentPlanSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { isValidTimezone } = require('../utils/timezone');
+const { ROLES } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -24,9 +26,75 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['patient', 'doctor', 'assistant'],
+    enum: ROLES,
     default: 'patient'
   },
+  // Doctors whose appointments and patients this user may access
+  // (assistants: the doctors they assist; doctors: colleagues who granted them access)
+  assignedDoctors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Branches a staff member works at; patients are not tied to a branch
+  clinics: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic'
+  }],
+  // IANA timezone used to render dates for this user; falls back to the clinic timezone
+  timezone: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: (value) => !value || isValidTimezone(value),
+      message: 'Invalid timezone'
+    }
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Consecutive failed logins and the lockout they triggered
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // TOTP two-factor authentication; secrets are encrypted and never selected by default
+  mfa: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation with a first valid code
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -51,4 +119,10 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to check whether the user's role must use two-factor authentication
+userSchema.methods.requiresMfa = function() {
+  const roles = (process.env.MFA_REQUIRED_ROLES || '').split(',').map(role => role.trim());
+  return roles.includes(this.role);
+};
+
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['password-reset', 'email-verification'],
+    required: true
+  },
+  // SHA-256 hash of the emailed token (the token itself is never stored)
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for efficient querying
+userTokenSchema.index({ user: 1, purpose: 1 });
+// Let MongoDB purge tokens once they have expired
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
@@ -1,5 +1,68 @@
 const mongoose = require('mongoose');
 
+// How serious an allergy, medication or condition is for dental treatment
+const SEVERITIES = ['mild', 'moderate', 'severe', 'life-threatening'];
+
+// Fields shared by every structured medical entry
+const entryFields = {
+    severity: {
+        type: String,
+        enum: SEVERITIES,
+        required: false
+    },
+    startDate: {
+        type: Date,
+        required: false
+    },
+    // Empty while the allergy, medication or condition is still current
+    endDate: {
+        type: Date,
+        required: false
+    },
+    notes: {
+        type: String,
+        trim: true,
+        required: false
+    }
+};
+
+const allergySchema = new mongoose.Schema({
+    substance: {
+        type: String,
+        trim: true,
+        required: true
+    },
+    reaction: {
+        type: String,
+        trim: true,
+        required: false
+    },
+    ...entryFields
+});
+
+const medicationSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        trim: true,
+        required: true
+    },
+    dosage: {
+        type: String,
+        trim: true,
+        required: false
+    },
+    ...entryFields
+});
+
+const conditionSchema = new mongoose.Schema({
+    condition: {
+        type: String,
+        trim: true,
+        required: true
+    },
+    ...entryFields
+});
+
 const patientInfoSchema = new mongoose.Schema({
     patientId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -24,18 +87,9 @@ const patientInfoSchema = new mongoose.Schema({
         enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
         required: false
     },
-    medicalHistory: {
-        type: String,
-        required: false
-    },
-    allergies: {
-        type: String,
-        required: false
-    },
-    medications: {
-        type: String,
-        required: false
-    },
+    medicalHistory: [conditionSchema],
+    allergies: [allergySchema],
+    medications: [medicationSchema],
     emergencyContact: {
         name: {
             type: String,
@@ -70,6 +124,15 @@ patientInfoSchema.pre('save', function(next) {
     next();
 });
 
+/**
+ * Check whether a structured entry is current at the given date
+ */
+patientInfoSchema.statics.isCurrent = function(entry, at = new Date()) {
+    return (!entry.startDate || entry.startDate <= at) && (!entry.endDate || entry.endDate > at);
+};
+
+patientInfoSchema.statics.SEVERITIES = SEVERITIES;
+
 const PatientInfo = mongoose.model('PatientInfo', patientInfoSchema);
 
 module.exports = PatientInfo;
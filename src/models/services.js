@@ -1,11 +1,13 @@
 const mongoose = require('mongoose');
 
+// Categories insurers group dental procedures into for coverage
+const SERVICE_CATEGORIES = ['preventive', 'basic', 'major', 'orthodontic', 'cosmetic', 'other'];
+
 const serviceSchema = new mongoose.Schema({
   name: {
     type: String,
     required: true,
-    trim: true,
-    unique: true
+    trim: true
   },
   description: {
     type: String,
@@ -21,6 +23,17 @@ const serviceSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  category: {
+    type: String,
+    enum: SERVICE_CATEGORIES,
+    default: 'other'
+  },
+  // Branch offering the service
+  clinic: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    required: true
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -36,4 +49,9 @@ const serviceSchema = new mongoose.Schema({
   }
 });
 
+// Service names are unique within a branch
+serviceSchema.index({ clinic: 1, name: 1 }, { unique: true });
+
+serviceSchema.statics.CATEGORIES = SERVICE_CATEGORIES;
+
 module.exports = mongoose.model('Service', serviceSchema);
@@ -5,10 +5,29 @@
  */
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Appointment = require('../models/Appointment');
 const Service = require('../models/services');
-const { auth, authorize } = require('../middleware/auth');
+const User = require('../models/User');
+const Clinic = require('../models/Clinic');
+const TreatmentPlan = require('../models/TreatmentPlan');
+const { auth } = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
+const { loadSchedule, getWorkingIntervals, checkWorkingHours } = require('../utils/schedule');
+const { getUserTimezone, startOfDay, formatLocal, localizeAppointment } = require('../utils/timezone');
+const { recordAudit, snapshot, diffFields } = require('../utils/audit');
+const { appointmentScopeFilter, canAccessDoctor, canAccessAppointment } = require('../utils/ownership');
+const { canAccessClinic, worksAtClinic } = require('../utils/clinics');
+const { getMedicalAlerts } = require('../utils/medicalAlerts');
+const { getMissingConsents, blocksWithoutConsent } = require('../utils/consents');
+
+// Fields whose changes are recorded in the audit log
+const AUDITED_FIELDS = ['user', 'doctor', 'clinic', 'service', 'date', 'endDate', 'status', 'notes'];
+
+// Availability search defaults
+const DEFAULT_SLOT_STEP = 15; // minutes between candidate start times
+const DEFAULT_SEARCH_DAYS = 7;
+const MAX_SEARCH_DAYS = 31;
 
 /**
  * Validation middleware for appointment data
@@ -19,10 +38,31 @@ const validateAppointment = [
   body('doctor').isMongoId().withMessage('Invalid doctor ID'),
   body('date').isISO8601().withMessage('Invalid date format'),
   body('service').isMongoId().withMessage('Invalid service ID'),
+  body('clinic').optional().isMongoId().withMessage('Invalid clinic ID'),
   body('status').optional().isIn(['scheduled', 'completed', 'cancelled']).withMessage('Invalid status'),
   body('notes').optional().trim()
 ];
 
+/**
+ * Check that a user is a doctor working at the given clinic
+ */
+const isDoctorAtClinic = async (doctorId, clinicId) => {
+  const doctor = await User.findById(doctorId);
+  return Boolean(doctor) && doctor.role === 'doctor' && worksAtClinic(doctor, clinicId);
+};
+
+/**
+ * Build the 409 response body for a booking that overlaps an existing appointment
+ */
+const conflictResponse = (conflict) => ({
+  message: 'The doctor already has an appointment at this time',
+  conflictingAppointment: {
+    id: conflict._id,
+    date: conflict.date,
+    endDate: conflict.endDate
+  }
+});
+
 /**
  * @route   GET /api/appointments
  * @desc    Get all appointments
@@ -31,10 +71,10 @@ const validateAppointment = [
  */
 router.get('/', auth, async (req, res) => {
   try {
-    // For patients, only return their own appointments
-    // For staff (doctors, assistants), return all appointments
-    let query = {};
-    if (req.user.role === 'patient') {
+    // Without appointments:readAll (patients), only return their own appointments
+    // For staff, return the appointments of the doctors and branches they work for
+    let query = appointmentScopeFilter(req.user);
+    if (!hasPermission(req.user, 'appointments:readAll')) {
       query = { user: req.user._id };
     }
     
@@ -43,7 +83,114 @@ router.get('/', auth, async (req, res) => {
       .populate('user', 'name email')
       .populate('doctor', 'name email')
       .populate('service', 'name duration price');
-    res.json(appointments);
+    const timeZone = getUserTimezone(req.user);
+    res.json(appointments.map(appointment => localizeAppointment(appointment, timeZone)));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Validation middleware for availability search parameters
+ */
+const validateAvailability = [
+  query('doctor').isMongoId().withMessage('Invalid doctor ID'),
+  query('service').isMongoId().withMessage('Invalid service ID'),
+  query('from').optional().isISO8601().withMessage('Invalid from date'),
+  query('to').optional().isISO8601().withMessage('Invalid to date'),
+  query('step').optional().isInt({ min: 5, max: 240 }).withMessage('Step must be between 5 and 240 minutes')
+];
+
+/**
+ * @route   GET /api/appointments/availability
+ * @desc    Get open start times for a doctor and service within a date range
+ * @access  Private
+ */
+router.get('/availability', auth, validateAvailability, async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Business logic: Verify service exists and is available
+    const service = await Service.findById(req.query.service);
+    if (!service || !service.isActive) {
+      return res.status(400).json({ message: 'Selected service is not available' });
+    }
+
+    // Search window defaults to the next week and never starts in the past
+    const now = new Date();
+    const requestedFrom = req.query.from ? new Date(req.query.from) : now;
+    const from = requestedFrom < now ? now : requestedFrom;
+    const to = req.query.to
+      ? new Date(req.query.to)
+      : new Date(from.getTime() + DEFAULT_SEARCH_DAYS * 86400000);
+
+    if (to <= from) {
+      return res.status(400).json({ message: 'The to date must be after the from date' });
+    }
+    if (to - from > MAX_SEARCH_DAYS * 86400000) {
+      return res.status(400).json({ message: `Search range cannot exceed ${MAX_SEARCH_DAYS} days` });
+    }
+
+    // Business logic: The doctor must work at the branch offering the service
+    if (!await isDoctorAtClinic(req.query.doctor, service.clinic)) {
+      return res.status(400).json({ message: 'The doctor does not work at this clinic' });
+    }
+
+    const durationMs = service.duration * 60000;
+    const stepMs = (parseInt(req.query.step, 10) || DEFAULT_SLOT_STEP) * 60000;
+
+    // Doctor's scheduled appointments that touch the search window
+    const booked = await Appointment.find({
+      doctor: req.query.doctor,
+      status: 'scheduled',
+      date: { $lt: to },
+      endDate: { $gt: from }
+    }).select('date endDate');
+
+    // Walk each day and keep start times whose whole duration fits inside
+    // a working interval without overlapping a booked appointment
+    const schedule = await loadSchedule(service.clinic, req.query.doctor, from, to);
+    const timeZone = getUserTimezone(req.user);
+    const slots = [];
+
+    for (let day = startOfDay(from, schedule.timezone); day < to; day = startOfDay(day, schedule.timezone, 1)) {
+      getWorkingIntervals(schedule, day).forEach(([intervalStart, intervalEnd]) => {
+        for (let start = intervalStart; start + durationMs <= intervalEnd; start += stepMs) {
+          const end = start + durationMs;
+          if (start < from.getTime() || end > to.getTime()) {
+            continue;
+          }
+
+          const overlaps = booked.some(appointment =>
+            appointment.date.getTime() < end && appointment.endDate.getTime() > start
+          );
+          if (!overlaps) {
+            slots.push({
+              start: new Date(start),
+              localStart: formatLocal(new Date(start), timeZone)
+            });
+          }
+        }
+      });
+    }
+
+    res.json({
+      doctor: req.query.doctor,
+      clinic: service.clinic,
+      service: {
+        id: service._id,
+        name: service.name,
+        duration: service.duration
+      },
+      from,
+      to,
+      timezone: timeZone,
+      slots
+    });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -67,13 +214,34 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Appointment not found' });
     }
 
-    // Authorization check: Patients can only view their own appointments
-    if (req.user.role === 'patient' && 
-        appointment.user._id.toString() !== req.user._id.toString()) {
+    // Authorization check: Patients can only view their own appointments,
+    // staff only those of the doctors they work for
+    const isOwner = appointment.user._id.toString() === req.user._id.toString();
+    const isStaffInScope = hasPermission(req.user, 'appointments:readAll') &&
+      canAccessAppointment(req.user, appointment);
+    if (!isOwner && !isStaffInScope) {
       return res.status(403).json({ message: 'Not authorized to view this appointment' });
     }
 
-    res.json(appointment);
+    const result = localizeAppointment(appointment, getUserTimezone(req.user));
+
+    // Consent forms the patient still has to sign before the visit
+    if (appointment.status === 'scheduled' && appointment.service) {
+      result.missingConsents = await getMissingConsents(appointment.user._id, appointment.service._id);
+    }
+
+    // Staff see the patient's allergies and other medical alerts before treatment
+    if (isStaffInScope && hasPermission(req.user, 'patientInfo:read')) {
+      result.medicalAlerts = await getMedicalAlerts(appointment.user._id);
+      await recordAudit(req, {
+        action: 'patientInfo.alerts.read',
+        targetType: 'Appointment',
+        targetId: appointment._id,
+        patient: appointment.user._id
+      });
+    }
+
+    res.json(result);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -89,18 +257,24 @@ router.get('/user/:userId', auth, async (req, res) => {
     // Authorization check:
     // Users can only view their own appointments unless they're staff
     if (req.user._id.toString() !== req.params.userId && 
-        !['doctor', 'assistant'].includes(req.user.role)) {
+        !hasPermission(req.user, 'appointments:readAll')) {
       return res.status(403).json({ message: 'Not authorized to view these appointments' });
     }
 
+    // Staff looking at another user only see appointments with doctors and branches they work for
+    const query = req.user._id.toString() === req.params.userId
+      ? { user: req.params.userId }
+      : { user: req.params.userId, ...appointmentScopeFilter(req.user) };
+
     // Find appointments for user and populate related data
-    const appointments = await Appointment.find({ user: req.params.userId })
+    const appointments = await Appointment.find(query)
       .populate('user', 'name email')
       .populate('doctor', 'name email')
       .populate('service', 'name duration price')
       .sort({ date: -1 }); // Sort by date (newest first)
     
-    res.json(appointments);
+    const timeZone = getUserTimezone(req.user);
+    res.json(appointments.map(appointment => localizeAppointment(appointment, timeZone)));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -120,9 +294,12 @@ router.post('/', auth, validateAppointment, async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    // Security: If user is a patient, enforce their own user ID
-    if (req.user.role === 'patient') {
+    // Security: Without appointments:writeAll (patients), enforce their own user ID
+    if (!hasPermission(req.user, 'appointments:writeAll')) {
       req.body.user = req.user._id;
+    } else if (!canAccessDoctor(req.user, req.body.doctor)) {
+      // Staff can only book with the doctors they work for
+      return res.status(403).json({ message: 'Not authorized to book appointments for this doctor' });
     }
 
     // Business logic: Verify service exists and is available
@@ -131,36 +308,61 @@ router.post('/', auth, validateAppointment, async (req, res) => {
       return res.status(400).json({ message: 'Selected service is not available' });
     }
 
-    // Check if appointment is within working hours (Saturday to Wednesday, 8 AM to 6 PM)
+    // Business logic: The appointment takes place at the branch offering the service
+    const clinic = service.clinic;
+    if (req.body.clinic && req.body.clinic !== clinic.toString()) {
+      return res.status(400).json({ message: 'Selected service is not offered at this clinic' });
+    }
+    if (hasPermission(req.user, 'appointments:writeAll') && !canAccessClinic(req.user, clinic)) {
+      return res.status(403).json({ message: 'Not authorized to book appointments at this clinic' });
+    }
+    const clinicRecord = await Clinic.findById(clinic);
+    if (!clinicRecord || !clinicRecord.isActive) {
+      return res.status(400).json({ message: 'This clinic is not taking bookings' });
+    }
+    if (!await isDoctorAtClinic(req.body.doctor, clinic)) {
+      return res.status(400).json({ message: 'The doctor does not work at this clinic' });
+    }
+
+    // Compute the end time from the service duration
     const appointmentDate = new Date(req.body.date);
-    const dayOfWeek = appointmentDate.getDay(); // 0 = Sunday, 1 = Monday, ..., 6 = Saturday
-    const hour = appointmentDate.getHours();
-    
-    // Check if day is valid (Saturday=6, Sunday=0, Monday=1, Tuesday=2, Wednesday=3)
-    if (![6, 0, 1, 2, 3].includes(dayOfWeek)) {
-      return res.status(400).json({ 
-        message: 'Appointments can only be booked from Saturday to Wednesday' 
-      });
+    const endDate = new Date(appointmentDate.getTime() + service.duration * 60000);
+
+    // Check that the whole appointment falls within the doctor's working hours
+    const scheduleError = await checkWorkingHours(clinic, req.body.doctor, appointmentDate, endDate);
+    if (scheduleError) {
+      return res.status(400).json({ message: scheduleError });
     }
-    
-    // Check if time is valid (8 AM to 6 PM)
-    if (hour < 8 || hour >= 18) {
-      return res.status(400).json({ 
-        message: 'Appointments can only be booked between 8 AM and 6 PM' 
-      });
+
+    // Business logic: Reject bookings that overlap another scheduled appointment of the doctor
+    const conflict = await Appointment.findOverlapping(req.body.doctor, appointmentDate, endDate);
+    if (conflict) {
+      return res.status(409).json(conflictResponse(conflict));
     }
 
     // Create and save new appointment
-    const appointment = new Appointment(req.body);
+    const appointment = new Appointment({ ...req.body, clinic, endDate });
     await appointment.save();
 
+    await recordAudit(req, {
+      action: 'appointment.create',
+      targetType: 'Appointment',
+      targetId: appointment._id,
+      patient: appointment.user,
+      changes: diffFields(snapshot({}, AUDITED_FIELDS), appointment, AUDITED_FIELDS)
+    });
+
     // Return newly created appointment with populated references
     const populatedAppointment = await Appointment.findById(appointment._id)
       .populate('user', 'name email')
       .populate('doctor', 'name email')
       .populate('service', 'name duration price');
 
-    res.status(201).json(populatedAppointment);
+    // Business logic: Booking is allowed without consent, but the forms to sign are reported
+    const result = localizeAppointment(populatedAppointment, getUserTimezone(req.user));
+    result.missingConsents = await getMissingConsents(appointment.user, service._id);
+
+    res.status(201).json(result);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -187,60 +389,133 @@ router.put('/:id', auth, validateAppointment, async (req, res) => {
     }
 
     // Authorization check:
-    // Staff can update any appointment, patients can only update their own
-    const isPatient = req.user.role === 'patient';
-    const isStaff = ['doctor', 'assistant'].includes(req.user.role);
+    // Staff can update appointments in their scope, patients can only update their own
+    // Staff only manage appointments of the doctors they work for
+    const isStaff = hasPermission(req.user, 'appointments:writeAll') &&
+      canAccessAppointment(req.user, appointment) &&
+      (!req.body.doctor || canAccessDoctor(req.user, req.body.doctor));
     const isOwner = appointment.user.toString() === req.user._id.toString();
 
     if (!isStaff && !isOwner) {
       return res.status(403).json({ message: 'Not authorized to update this appointment' });
     }
 
+    // Security: Patients cannot move their appointment to another patient
+    if (!isStaff) {
+      req.body.user = appointment.user;
+    }
+
+    // Business logic: Patients can only change appointments that have not taken place yet;
+    // clinical documentation of a visit lives in its clinical note
+    if (!isStaff && appointment.status !== 'scheduled') {
+      return res.status(403).json({ message: 'Only scheduled appointments can be changed' });
+    }
+
+    // Business logic: The clinic always follows the booked service, and the end time its duration
+    delete req.body.clinic;
+    delete req.body.endDate;
+
     // Business logic: Patients cannot change appointment status
-    if (isPatient && req.body.status && req.body.status !== appointment.status) {
+    if (!hasPermission(req.user, 'appointments:status') && req.body.status && req.body.status !== appointment.status) {
       return res.status(403).json({ message: 'Patients cannot change appointment status' });
     }
 
     // Business logic: Verify new service exists and is available
-    if (req.body.service && req.body.service !== appointment.service.toString()) {
-      const service = await Service.findById(req.body.service);
-      if (!service || !service.isActive) {
-        return res.status(400).json({ message: 'Selected service is not available' });
+    const serviceChanged = req.body.service && req.body.service !== appointment.service.toString();
+    const service = await Service.findById(req.body.service || appointment.service);
+    if (serviceChanged && (!service || !service.isActive)) {
+      return res.status(400).json({ message: 'Selected service is not available' });
+    }
+
+    // Update appointment with request data
+    const before = snapshot(appointment, AUDITED_FIELDS);
+    const storedDurationMs = appointment.endDate ? appointment.endDate - appointment.date : null;
+    Object.assign(appointment, req.body);
+
+    // Recompute the end time and branch, and re-check for overlaps, skipping this appointment itself
+    if (service) {
+      appointment.endDate = new Date(appointment.date.getTime() + service.duration * 60000);
+      appointment.clinic = service.clinic;
+    } else if (storedDurationMs !== null) {
+      // The service was deleted: keep the length the appointment was booked with
+      appointment.endDate = new Date(appointment.date.getTime() + storedDurationMs);
+    } else if (appointment.status === 'scheduled') {
+      // Without a service or a stored end time the length of the slot is unknown
+      return res.status(400).json({ message: 'The service of this appointment no longer exists' });
+    }
+    if (appointment.isModified('clinic') || appointment.isModified('doctor')) {
+      if (isStaff && !canAccessClinic(req.user, appointment.clinic)) {
+        return res.status(403).json({ message: 'Not authorized to book appointments at this clinic' });
+      }
+      if (!await isDoctorAtClinic(appointment.doctor, appointment.clinic)) {
+        return res.status(400).json({ message: 'The doctor does not work at this clinic' });
       }
     }
+    if (appointment.status === 'scheduled') {
+      // Check the new time against the doctor's working hours when it moves
+      if (appointment.isModified('date') || appointment.isModified('doctor') || appointment.isModified('service')) {
+        const scheduleError = await checkWorkingHours(
+          appointment.clinic,
+          appointment.doctor,
+          appointment.date,
+          appointment.endDate
+        );
+        if (scheduleError) {
+          return res.status(400).json({ message: scheduleError });
+        }
+      }
 
-    // If date is being updated, check if it's within working hours
-    if (req.body.date) {
-      const appointmentDate = new Date(req.body.date);
-      const dayOfWeek = appointmentDate.getDay(); // 0 = Sunday, 1 = Monday, ..., 6 = Saturday
-      const hour = appointmentDate.getHours();
-      
-      // Check if day is valid (Saturday=6, Sunday=0, Monday=1, Tuesday=2, Wednesday=3)
-      if (![6, 0, 1, 2, 3].includes(dayOfWeek)) {
-        return res.status(400).json({ 
-          message: 'Appointments can only be scheduled from Saturday to Wednesday' 
-        });
+      const conflict = await Appointment.findOverlapping(
+        appointment.doctor,
+        appointment.date,
+        appointment.endDate,
+        appointment._id
+      );
+      if (conflict) {
+        return res.status(409).json(conflictResponse(conflict));
       }
-      
-      // Check if time is valid (8 AM to 6 PM)
-      if (hour < 8 || hour >= 18) {
-        return res.status(400).json({ 
-          message: 'Appointments can only be scheduled between 8 AM and 6 PM' 
+    }
+
+    // Business logic: A procedure is only completed once its required consents are signed
+    // (with CONSENT_ENFORCEMENT=warn the missing forms are reported instead)
+    let missingConsents;
+    if (appointment.isModified('status') && appointment.status === 'completed') {
+      missingConsents = await getMissingConsents(appointment.user, appointment.service);
+      if (missingConsents.length && blocksWithoutConsent()) {
+        return res.status(400).json({
+          message: 'The patient has not signed the consent forms this service requires',
+          missingConsents
         });
       }
     }
 
-    // Update appointment with request data
-    Object.assign(appointment, req.body);
     await appointment.save();
 
+    const changes = diffFields(before, appointment, AUDITED_FIELDS);
+
+    // Keep treatment plan steps done in this appointment in step with its status
+    if (changes.some(change => change.field === 'status')) {
+      await TreatmentPlan.syncAppointment(appointment);
+    }
+
+    await recordAudit(req, {
+      action: changes.some(change => change.field === 'status') ? 'appointment.status.change' : 'appointment.update',
+      targetType: 'Appointment',
+      targetId: appointment._id,
+      patient: appointment.user,
+      changes
+    });
+
     // Return updated appointment with populated references
     const updatedAppointment = await Appointment.findById(appointment._id)
       .populate('user', 'name email')
       .populate('doctor', 'name email')
       .populate('service', 'name duration price');
 
-    res.json(updatedAppointment);
+    const result = localizeAppointment(updatedAppointment, getUserTimezone(req.user));
+    if (missingConsents) result.missingConsents = missingConsents;
+
+    res.json(result);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -265,8 +540,17 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(403).json({ message: 'Only the patient who booked the appointment can cancel it' });
     }
 
-    // Remove the appointment
-    await appointment.remove();
+    // Remove the appointment and free any treatment plan steps booked into it
+    await appointment.deleteOne();
+    await TreatmentPlan.syncAppointment(appointment, { removed: true });
+
+    await recordAudit(req, {
+      action: 'appointment.delete',
+      targetType: 'Appointment',
+      targetId: appointment._id,
+      patient: appointment.user,
+      changes: diffFields(snapshot(appointment, AUDITED_FIELDS), {}, AUDITED_FIELDS)
+    });
     res.json({ message: 'Appointment cancelled successfully' });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -0,0 +1,106 @@
+/**
+ * Audit Log Routes
+ * Read-only access to the append-only audit trail of who read or changed
+ * patient data, appointments, payments and user accounts
+ */
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const Appointment = require('../models/Appointment');
+const { auth, requirePermission } = require('../middleware/auth');
+const { getDoctorScope, appointmentScopeFilter, canAccessPatient } = require('../utils/ownership');
+const { getClinicScope } = require('../utils/clinics');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Validation middleware for audit log filters
+ */
+const validateAuditQuery = [
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('patient').optional().isMongoId().withMessage('Invalid patient ID'),
+  query('targetId').optional().isMongoId().withMessage('Invalid target ID'),
+  query('targetType').optional().trim(),
+  query('action').optional().trim(),
+  query('from').optional().isISO8601().withMessage('Invalid from date'),
+  query('to').optional().isISO8601().withMessage('Invalid to date'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`)
+];
+
+/**
+ * Query filter limiting audit entries to the user's scope: entries about patients
+ * seen by the doctors and branches they work for, and their own actions
+ * Empty when the user is unrestricted
+ */
+const auditScopeFilter = async (user) => {
+  if (!getDoctorScope(user) && !getClinicScope(user)) {
+    return {};
+  }
+  const patients = await Appointment.distinct('user', appointmentScopeFilter(user));
+  return { $or: [{ patient: { $in: patients } }, { actor: user._id }] };
+};
+
+/**
+ * @route   GET /api/audit
+ * @desc    Get audit log entries, filtered by actor, patient, target, action and date range
+ *          (action also accepts a prefix ending in ".", e.g. "patientInfo.")
+ * @access  Private (doctors and assistants only, within the patients they work with)
+ */
+router.get('/', auth, requirePermission('audit:read'), validateAuditQuery, async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { actor, patient, targetType, targetId, action, from, to } = req.query;
+
+    // Security: Staff only see the trail of patients they work with
+    if (patient && !await canAccessPatient(req.user, patient)) {
+      return res.status(403).json({ message: 'Not authorized to view this patient\'s audit trail' });
+    }
+    const filter = await auditScopeFilter(req.user);
+    if (actor) filter.actor = actor;
+    if (patient) filter.patient = patient;
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
+    if (action) {
+      filter.action = action.endsWith('.')
+        ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+        : action;
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lt = new Date(to);
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE;
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'name email role')
+        .populate('patient', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      entries,
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,24 +1,97 @@
 /**
  * Authentication Routes
  * Handles user authentication including login, registration, logout,
+ * email verification, password recovery and changes, session management,
  * and retrieving the current user's profile information
  */
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator'); // For request validation
-const jwt = require('jsonwebtoken'); // For generating JSON Web Tokens
 const User = require('../models/User'); // User model
-const { auth } = require('../middleware/auth'); // Authentication middleware
+const Session = require('../models/Session'); // Login sessions holding refresh tokens
+const Invite = require('../models/Invite'); // Staff invitations
+const { auth, authMfaSetup } = require('../middleware/auth'); // Authentication middleware
+const { ROLES, ROLE_PERMISSIONS } = require('../config/permissions'); // Role definitions
+const {
+  hashToken,
+  createSession,
+  rotateSession,
+  verifyInviteToken,
+  signMfaToken,
+  verifyMfaToken,
+  createUserToken,
+  consumeUserToken
+} = require('../utils/tokens'); // Token helpers
+const { sendMail } = require('../utils/mailer'); // Pluggable mail transport
+const {
+  recordAttempt,
+  getIpRetryAfter,
+  getAccountRetryAfter,
+  registerFailure,
+  resetFailures
+} = require('../utils/loginThrottle'); // Failed login tracking and lockout
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  encryptSecret,
+  decryptSecret
+} = require('../utils/totp'); // Two-factor authentication
 
-// JWT Secret fallback (for development only)
-const JWT_SECRET = process.env.JWT_SECRET;
+const APP_URL = process.env.APP_URL || 'http://localhost:8080';
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL_MINUTES = 48 * 60;
+
+/**
+ * Email a user a link to verify their email address
+ */
+const sendVerificationEmail = async (user) => {
+  const token = await createUserToken(user, 'email-verification', EMAIL_VERIFICATION_TTL_MINUTES);
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hello ${user.name},\n\n` +
+      `Please verify your email address by opening this link:\n${APP_URL}/verify-email?token=${token}\n\n` +
+      'The link expires in 48 hours.'
+  });
+};
+
+/**
+ * Finish a successful login: clear failures, record it, and start a session
+ */
+const completeLogin = async (req, res, user) => {
+  await resetFailures(user._id);
+  await recordAttempt(req, { email: user.email, user, success: true, reason: 'success' });
+
+  // Start a session: short-lived access token plus rotating refresh token
+  const tokens = await createSession(user, req);
+
+  // Return user data and tokens
+  res.json({
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      emailVerified: user.emailVerified,
+      mfaEnabled: user.mfa.enabled,
+      mfaSetupRequired: user.requiresMfa() && !user.mfa.enabled
+    },
+    ...tokens
+  });
+};
 
 /**
  * @route   POST /api/auth/login
  * @desc    Authenticate user and generate token
+ *          (or an MFA pending token when two-factor authentication is enabled)
  * @access  Public
  */
-router.post('/login', async (req, res) => {
+router.post('/login', [
+  body('email').isEmail().withMessage('Please enter a valid email'),
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
   try {
     // Validate request data
     const errors = validationResult(req);
@@ -26,37 +99,54 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { email, password } = req.body;
+    const { password } = req.body;
+    const email = req.body.email.toLowerCase();
+
+    // Security: Throttle IP addresses with too many recent failures
+    const ipRetryAfter = await getIpRetryAfter(req.ip);
+    if (ipRetryAfter) {
+      await recordAttempt(req, { email, success: false, reason: 'ip-blocked' });
+      res.set('Retry-After', String(ipRetryAfter));
+      return res.status(429).json({ message: 'Too many failed login attempts. Please try again later.', retryAfter: ipRetryAfter });
+    }
     
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
+      await recordAttempt(req, { email, success: false, reason: 'unknown-email' });
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
+    // Security: Temporarily locked accounts cannot sign in
+    const accountRetryAfter = getAccountRetryAfter(user);
+    if (accountRetryAfter) {
+      await recordAttempt(req, { email, user, success: false, reason: 'account-locked' });
+      res.set('Retry-After', String(accountRetryAfter));
+      return res.status(423).json({ message: 'Account is temporarily locked. Please try again later.', retryAfter: accountRetryAfter });
+    }
+
     // Verify password using the method defined in the User model
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await registerFailure(user);
+      await recordAttempt(req, { email, user, success: false, reason: 'bad-password' });
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Generate JWT token with user ID and 24 hour expiration
-    const token = jwt.sign(
-      { userId: user._id },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Business logic: Optionally require a verified email before signing in
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !user.emailVerified) {
+      return res.status(403).json({ message: 'Please verify your email address before logging in' });
+    }
 
-    // Return user data and token
-    res.json({
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role
-      },
-      token
-    });
+    // Two-step login: hand out a limited token until the second factor is verified
+    if (user.mfa.enabled) {
+      return res.json({
+        mfaRequired: true,
+        mfaToken: signMfaToken(user)
+      });
+    }
+
+    await completeLogin(req, res, user);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -64,7 +154,7 @@ router.post('/login', async (req, res) => {
 
 /**
  * @route   POST /api/auth/register
- * @desc    Register a new user
+ * @desc    Register a new user (patients, or staff holding an invite token)
  * @access  Public
  */
 router.post('/register', [
@@ -72,7 +162,8 @@ router.post('/register', [
   body('name').trim().notEmpty().withMessage('Name is required'),
   body('email').isEmail().withMessage('Please enter a valid email'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
-  body('role').optional().isIn(['patient', 'doctor', 'assistant']).withMessage('Invalid role')
+  body('role').optional().isIn(ROLES).withMessage('Invalid role'),
+  body('inviteToken').optional().isString().withMessage('Invalid invite token')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -81,7 +172,7 @@ router.post('/register', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { email } = req.body;
+    const { name, email, password, phone, timezone, inviteToken } = req.body;
     
     // Check if user with this email already exists
     const existingUser = await User.findOne({ email });
@@ -89,26 +180,74 @@ router.post('/register', [
       return res.status(400).json({ message: 'Email already registered' });
     }
 
+    // Security: Staff roles can only be obtained through an invite
+    let role = 'patient';
+    let invite = null;
+    if (inviteToken) {
+      let inviteId;
+      try {
+        inviteId = verifyInviteToken(inviteToken);
+      } catch (error) {
+        return res.status(400).json({ message: 'Invalid or expired invite' });
+      }
+
+      // Claim the invite atomically so it can only be used once
+      invite = await Invite.findOneAndUpdate(
+        { _id: inviteId, acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+        { acceptedAt: Date.now() },
+        { new: true }
+      );
+      if (!invite) {
+        return res.status(400).json({ message: 'Invalid or expired invite' });
+      }
+      if (invite.email && invite.email !== email.toLowerCase()) {
+        await Invite.updateOne({ _id: invite._id }, { acceptedAt: null });
+        return res.status(400).json({ message: 'This invite was issued for a different email address' });
+      }
+      role = invite.role;
+    } else if (req.body.role && req.body.role !== 'patient') {
+      return res.status(403).json({ message: 'Staff accounts require an invite' });
+    }
+
     // Create new user - password hashing happens in the User model's pre-save hook
-    const user = new User(req.body);
-    await user.save();
+    // Staff join the branches named on their invite
+    const clinics = invite ? invite.clinics : [];
+    const user = new User({ name, email, password, phone, timezone, role, clinics });
+    try {
+      await user.save();
+    } catch (error) {
+      // Release the invite so it can be used again
+      if (invite) {
+        await Invite.updateOne({ _id: invite._id }, { acceptedAt: null });
+      }
+      throw error;
+    }
 
-    // Generate JWT token for immediate authentication
-    const token = jwt.sign(
-      { userId: user._id },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    if (invite) {
+      invite.acceptedBy = user._id;
+      await invite.save();
+    }
 
-    // Return the newly created user data and token
+    // Send the verification email; a mail failure should not undo the registration
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Error sending verification email:', error);
+    }
+
+    // Start a session for immediate authentication
+    const tokens = await createSession(user, req);
+
+    // Return the newly created user data and tokens
     res.status(201).json({
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified
       },
-      token
+      ...tokens
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -120,11 +259,432 @@ router.post('/register', [
  * @desc    Get current user profile
  * @access  Private
  */
-router.get('/me', auth, async (req, res) => {
+router.get('/me', authMfaSetup, async (req, res) => {
   try {
     // Find user by ID (set in auth middleware) and exclude password field
     const user = await User.findById(req.user._id).select('-password');
-    res.json(user);
+
+    // Include the role's permissions so clients can adapt their UI
+    res.json({
+      ...user.toObject(),
+      permissions: ROLE_PERMISSIONS[user.role] || []
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Verify a user's email address with the emailed token
+ * @access  Public
+ */
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Token is required')
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userToken = await consumeUserToken(req.body.token, 'email-verification');
+    if (!userToken) {
+      return res.status(400).json({ message: 'Invalid or expired token' });
+    }
+
+    await User.updateOne(
+      { _id: userToken.user },
+      { emailVerified: true, emailVerifiedAt: Date.now() }
+    );
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new email verification link to the current user
+ * @access  Private
+ */
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Security: Respond the same way whether or not the account exists
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+    if (user) {
+      // A mail failure is logged rather than returned, which would reveal the account
+      try {
+        const token = await createUserToken(user, 'password-reset', PASSWORD_RESET_TTL_MINUTES);
+        await sendMail({
+          to: user.email,
+          subject: 'Reset your password',
+          text: `Hello ${user.name},\n\n` +
+            `You can choose a new password by opening this link:\n${APP_URL}/reset-password?token=${token}\n\n` +
+            'The link expires in 1 hour. If you did not request a password reset, you can ignore this email.'
+        });
+      } catch (error) {
+        console.error('Error sending password reset email:', error);
+      }
+    }
+
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with a password reset token
+ * @access  Public
+ */
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userToken = await consumeUserToken(req.body.token, 'password-reset');
+    const user = userToken && await User.findById(userToken.user);
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired token' });
+    }
+
+    // Password hashing happens in the User model's pre-save hook
+    user.password = req.body.password;
+    await user.save();
+
+    // Security: A password reset signs the user out everywhere and lifts any lockout
+    await Session.revokeAllForUser(user._id, 'Password reset');
+    await resetFailures(user._id);
+
+    res.json({ message: 'Password has been reset successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/auth/change-password
+ * @desc    Change the current user's password
+ * @access  Private
+ */
+router.put('/change-password', auth, [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const isMatch = await req.user.comparePassword(req.body.currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    // Password hashing happens in the User model's pre-save hook
+    req.user.password = req.body.newPassword;
+    await req.user.save();
+
+    // Security: Sign out every other session, keeping the current one
+    await Session.revokeAllForUser(req.user._id, 'Password changed', req.authSession._id);
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Replace a user's recovery codes and return the plain codes (shown once)
+ */
+const resetRecoveryCodes = (user) => {
+  const codes = generateRecoveryCodes();
+  user.mfa.recoveryCodes = codes.map(hashToken);
+  return codes;
+};
+
+/**
+ * @route   POST /api/auth/mfa/verify
+ * @desc    Complete a two-step login with an authenticator or recovery code
+ * @access  Public (requires an MFA pending token)
+ */
+router.post('/mfa/verify', [
+  body('mfaToken').isString().notEmpty().withMessage('MFA token is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let userId;
+    try {
+      userId = verifyMfaToken(req.body.mfaToken);
+    } catch (error) {
+      return res.status(401).json({ message: 'Invalid or expired MFA token' });
+    }
+
+    const user = await User.findById(userId)
+      .select('+mfa.secret +mfa.recoveryCodes +mfa.lastUsedStep');
+    if (!user || !user.mfa.enabled) {
+      return res.status(401).json({ message: 'Invalid or expired MFA token' });
+    }
+
+    // Security: Code guesses count towards the same lockout as passwords
+    const retryAfter = getAccountRetryAfter(user);
+    if (retryAfter) {
+      await recordAttempt(req, { email: user.email, user, success: false, reason: 'account-locked' });
+      res.set('Retry-After', String(retryAfter));
+      return res.status(423).json({ message: 'Account is temporarily locked. Please try again later.', retryAfter });
+    }
+
+    let verified = false;
+    if (req.body.code) {
+      const step = verifyCode(decryptSecret(user.mfa.secret), req.body.code, user.mfa.lastUsedStep);
+      if (step !== null) {
+        user.mfa.lastUsedStep = step;
+        verified = true;
+      }
+    } else if (req.body.recoveryCode) {
+      // Recovery codes are single-use
+      const codeHash = hashToken(req.body.recoveryCode.trim().toLowerCase());
+      if (user.mfa.recoveryCodes.includes(codeHash)) {
+        user.mfa.recoveryCodes = user.mfa.recoveryCodes.filter(hash => hash !== codeHash);
+        verified = true;
+      }
+    }
+
+    if (!verified) {
+      await registerFailure(user);
+      await recordAttempt(req, { email: user.email, user, success: false, reason: 'bad-mfa-code' });
+      return res.status(401).json({ message: 'Invalid verification code' });
+    }
+
+    await user.save();
+    await completeLogin(req, res, user);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/auth/mfa/enroll
+ * @desc    Start two-factor enrollment and return the secret for an authenticator app
+ * @access  Private
+ */
+router.post('/mfa/enroll', authMfaSetup, async (req, res) => {
+  try {
+    if (req.user.mfa.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    req.user.mfa.pendingSecret = encryptSecret(secret);
+    await req.user.save();
+
+    res.json({
+      secret,
+      otpauthUrl: buildOtpauthUrl(secret, req.user.email)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/auth/mfa/confirm
+ * @desc    Confirm enrollment with a first code, enable 2FA and return recovery codes
+ * @access  Private
+ */
+router.post('/mfa/confirm', authMfaSetup, [
+  body('code').isString().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id).select('+mfa.pendingSecret');
+    if (user.mfa.enabled || !user.mfa.pendingSecret) {
+      return res.status(400).json({ message: 'No two-factor enrollment in progress' });
+    }
+
+    const step = verifyCode(decryptSecret(user.mfa.pendingSecret), req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    user.mfa.secret = user.mfa.pendingSecret;
+    user.mfa.pendingSecret = undefined;
+    user.mfa.lastUsedStep = step;
+    user.mfa.enabled = true;
+    user.mfa.enabledAt = Date.now();
+    const recoveryCodes = resetRecoveryCodes(user);
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/auth/mfa/recovery-codes
+ * @desc    Replace the current user's recovery codes
+ * @access  Private
+ */
+router.post('/mfa/recovery-codes', auth, [
+  body('code').isString().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id).select('+mfa.secret +mfa.lastUsedStep');
+    if (!user.mfa.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const step = verifyCode(decryptSecret(user.mfa.secret), req.body.code, user.mfa.lastUsedStep);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    user.mfa.lastUsedStep = step;
+    const recoveryCodes = resetRecoveryCodes(user);
+    await user.save();
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/auth/mfa/disable
+ * @desc    Turn off two-factor authentication (not allowed when mandatory for the role)
+ * @access  Private
+ */
+router.post('/mfa/disable', auth, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').isString().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.user.requiresMfa()) {
+      return res.status(403).json({ message: 'Two-factor authentication is mandatory for your role' });
+    }
+
+    const user = await User.findById(req.user._id).select('+mfa.secret +mfa.lastUsedStep');
+    if (!user.mfa.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    const step = isMatch && verifyCode(decryptSecret(user.mfa.secret), req.body.code, user.mfa.lastUsedStep);
+    if (!isMatch || step === null) {
+      return res.status(400).json({ message: 'Invalid password or verification code' });
+    }
+
+    user.mfa = { enabled: false };
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token and refresh token
+ * @access  Public (requires a valid refresh token)
+ */
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tokenHash = hashToken(req.body.refreshToken);
+    const session = await Session.findOne({
+      $or: [{ refreshTokenHash: tokenHash }, { previousTokenHash: tokenHash }]
+    });
+    if (!session || !session.isActive()) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    // Security: A rotated-out refresh token being replayed means it was leaked,
+    // so the whole session is revoked
+    if (session.refreshTokenHash !== tokenHash) {
+      await session.revoke('Refresh token reuse detected');
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    const tokens = await rotateSession(session, user);
+    res.json(tokens);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -132,13 +692,64 @@ router.get('/me', auth, async (req, res) => {
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user
+ * @desc    Logout user by revoking the current session
+ *          (or every session when allDevices is true)
+ * @access  Private
+ */
+router.post('/logout', authMfaSetup, async (req, res) => {
+  try {
+    if (req.body.allDevices) {
+      await Session.revokeAllForUser(req.user._id, 'Logged out from all devices');
+    } else {
+      await req.authSession.revoke('Logged out');
+    }
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    Get the current user's active sessions
+ * @access  Private
+ */
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ip createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map(session => ({
+      ...session.toObject(),
+      current: session._id.equals(req.authSession._id)
+    })));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke one of the current user's sessions
  * @access  Private
  */
-router.post('/logout', auth, (req, res) => {
-  // In a more complex implementation, we could blacklist tokens or use refresh tokens
-  // For now, just return success - actual token invalidation happens client-side
-  res.json({ message: 'Logged out successfully' });
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await session.revoke('Revoked by user');
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
 });
 
 module.exports = router; 
\ No newline at end of file
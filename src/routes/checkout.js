@@ -0,0 +1,260 @@
+/**
+ * Checkout Routes
+ * Starts payments through a payment provider (card gateway, cash, insurance)
+ * for an appointment or invoice, and receives the providers' signed webhooks
+ * that complete or fail them. Also serves the hosted checkout of the local
+ * fake provider (development only), so the whole flow can be exercised offline
+ */
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
+const { auth } = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
+const { canAccessAppointment } = require('../utils/ownership');
+const { recordAudit, snapshot, diffFields } = require('../utils/audit');
+const { checkNewPayment } = require('../utils/payments');
+const { getEnabledProviders, getProvider } = require('../utils/paymentProviders');
+
+// Fields whose changes are recorded in the audit log
+const AUDITED_FIELDS = ['user', 'appointment', 'invoice', 'amount', 'status', 'paymentMethod', 'provider'];
+
+/**
+ * @route   GET /api/checkout/providers
+ * @desc    Get the enabled payment providers
+ * @access  Private
+ */
+router.get('/providers', auth, (req, res) => {
+  res.json(getEnabledProviders().map(name => ({
+    name,
+    method: getProvider(name).method,
+    confirmsByWebhook: getProvider(name).confirmsByWebhook
+  })));
+});
+
+/**
+ * @route   POST /api/checkout
+ * @desc    Start a payment through a provider for an appointment or invoice; the amount
+ *          defaults to what is still due. Returns the pending payment and the provider's
+ *          checkout details (a checkout URL, client secret or instructions)
+ * @access  Private (patients for themselves, staff with payments:write for any patient)
+ */
+router.post('/', auth, [
+  body('provider').trim().notEmpty().withMessage('Provider is required'),
+  body('user').optional().isMongoId().withMessage('Invalid user ID'),
+  body('appointment').if(body('invoice').not().exists()).isMongoId().withMessage('Invalid appointment ID'),
+  body('invoice').optional().isMongoId().withMessage('Invalid invoice ID'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
+  body('returnUrl').optional().isURL({ require_tld: false }).withMessage('Invalid return URL')
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const provider = getProvider(req.body.provider);
+    if (!provider) {
+      return res.status(400).json({ message: 'Unknown payment provider' });
+    }
+
+    // Security: Without payments:write, patients only pay for themselves
+    const isStaff = hasPermission(req.user, 'payments:write');
+    const user = isStaff && req.body.user ? req.body.user : req.user._id;
+
+    // Business logic: Same checks as recording a payment directly
+    const target = await checkNewPayment({ ...req.body, user });
+    if (target.error) {
+      return res.status(target.error[0]).json(target.error[1]);
+    }
+    if (isStaff && !canAccessAppointment(req.user, target.appointment)) {
+      return res.status(403).json({ message: 'Not authorized to create payments for this appointment' });
+    }
+
+    // Security: Without a webhook to confirm it, a patient's payment waits for staff verification
+    const payment = new Payment({
+      user,
+      appointment: target.appointment._id,
+      invoice: target.invoice ? target.invoice._id : undefined,
+      amount: target.amount,
+      paymentMethod: provider.method,
+      provider: req.body.provider,
+      requiresVerification: !isStaff && !provider.confirmsByWebhook
+    });
+
+    let checkout;
+    try {
+      checkout = await provider.createCheckout({
+        payment,
+        amount: target.amount,
+        currency: process.env.PAYMENT_CURRENCY || 'USD',
+        description: target.invoice && target.invoice.number
+          ? `Invoice ${target.invoice.number}`
+          : `Appointment ${target.appointment._id}`,
+        returnUrl: req.body.returnUrl
+      });
+    } catch (error) {
+      return res.status(502).json({ message: `Payment provider error: ${error.message}` });
+    }
+
+    payment.providerReference = checkout.reference;
+    await payment.save();
+
+    if (payment.invoice) {
+      await Invoice.syncPayments(payment.invoice);
+    }
+
+    await recordAudit(req, {
+      action: 'payment.checkout',
+      targetType: 'Payment',
+      targetId: payment._id,
+      patient: payment.user,
+      changes: diffFields(snapshot({}, AUDITED_FIELDS), payment, AUDITED_FIELDS)
+    });
+
+    res.status(201).json({ payment, checkout });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Apply a provider event ({ eventId, reference, status, reason }) to its payment;
+ * events are applied once, so providers can safely retry them
+ * Returns [status, body] of the response to send
+ */
+const applyProviderEvent = async (req, providerName, event) => {
+  if (!event.eventId || !event.reference || !['completed', 'failed'].includes(event.status)) {
+    return [400, { message: 'Malformed webhook event' }];
+  }
+
+  const payment = await Payment.findOne({ provider: providerName, providerReference: event.reference });
+  if (!payment) {
+    return [404, { message: 'Payment not found' }];
+  }
+  if (payment.providerEvents.includes(event.eventId)) {
+    return [200, { received: true, duplicate: true }];
+  }
+
+  // Business logic: Events that do not fit the payment's state (e.g. a late failure
+  // after a refund) are acknowledged but not applied
+  const before = snapshot(payment, AUDITED_FIELDS);
+  const applied = payment.status === event.status || payment.canTransition(event.status);
+  if (applied && payment.status !== event.status) {
+    payment.transition(event.status, { reason: event.reason || `${providerName} event ${event.eventId}` });
+  }
+  payment.providerEvents.push(event.eventId);
+  await payment.save();
+
+  if (payment.invoice) {
+    await Invoice.syncPayments(payment.invoice);
+  }
+
+  await recordAudit(req, {
+    action: 'payment.webhook',
+    targetType: 'Payment',
+    targetId: payment._id,
+    patient: payment.user,
+    changes: diffFields(before, payment, AUDITED_FIELDS)
+  });
+
+  return [200, { received: true, applied }];
+};
+
+/**
+ * @route   POST /api/checkout/webhooks/:provider
+ * @desc    Receive a provider's signed event and complete or fail the payment;
+ *          events are applied once, so providers can safely retry them
+ * @access  Public (signature verified by the provider)
+ */
+router.post('/webhooks/:provider', async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider || !provider.verifyWebhook) {
+      return res.status(404).json({ message: 'Unknown payment provider' });
+    }
+
+    // Security: Only act on events signed by the provider
+    let event;
+    try {
+      event = provider.verifyWebhook(req);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const [status, result] = await applyProviderEvent(req, req.params.provider, event);
+    res.status(status).json(result);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Find a payment of the fake provider by its checkout reference
+ */
+const findFakePayment = (reference) => (getProvider('fake')
+  ? Payment.findOne({ provider: 'fake', providerReference: reference })
+  : null);
+
+/**
+ * @route   GET /api/checkout/fake/:reference
+ * @desc    Fake provider's hosted checkout: the amount and state of the payment
+ * @access  Public (the reference is only known to the payer)
+ */
+router.get('/fake/:reference', async (req, res) => {
+  try {
+    const payment = await findFakePayment(req.params.reference);
+    if (!payment) {
+      return res.status(404).json({ message: 'Checkout not found' });
+    }
+    res.json({
+      reference: payment.providerReference,
+      amount: payment.amount,
+      currency: process.env.PAYMENT_CURRENCY || 'USD',
+      status: payment.status
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/checkout/fake/:reference/pay
+ * @desc    Fake provider's hosted checkout: pay (or decline with outcome "failed"),
+ *          which applies the event a real gateway would send by webhook
+ * @access  Public (the reference is only known to the payer)
+ */
+router.post('/fake/:reference/pay', [
+  body('outcome').optional().isIn(['completed', 'failed']).withMessage('Outcome must be completed or failed')
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const payment = await findFakePayment(req.params.reference);
+    if (!payment) {
+      return res.status(404).json({ message: 'Checkout not found' });
+    }
+
+    // Security: Apply the event a real gateway would send in-process, never
+    // posting a signed event to a URL derived from the request
+    const [webhookStatus, webhook] = await applyProviderEvent(req, 'fake', {
+      eventId: `evt_${crypto.randomUUID()}`,
+      reference: payment.providerReference,
+      status: req.body.outcome || 'completed',
+      reason: req.body.outcome === 'failed' ? 'Card declined (fake provider)' : undefined
+    });
+
+    res.status(webhookStatus).json({ webhookStatus, webhook });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
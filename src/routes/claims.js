@@ -0,0 +1,357 @@
+/**
+ * Insurance Claim Routes
+ * Handles claims sent to a patient's insurer for an appointment or its invoice:
+ * the amount claimed is estimated from the policy's coverage, and the claim goes
+ * submitted -> approved | denied -> paid (denied claims can be resubmitted)
+ * When the insurer pays, the settlement is recorded as a completed payment
+ */
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const Claim = require('../models/Claim');
+const InsurancePolicy = require('../models/InsurancePolicy');
+const Appointment = require('../models/Appointment');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const Service = require('../models/services');
+const { auth, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
+const { appointmentScopeFilter, canAccessAppointment } = require('../utils/ownership');
+const { recordAudit, snapshot, diffFields } = require('../utils/audit');
+const { getBenefitsUsed, estimateCoverage } = require('../utils/insurance');
+const { checkNewPayment } = require('../utils/payments');
+
+// Fields whose changes are recorded in the audit log
+const AUDITED_FIELDS = ['policy', 'appointment', 'invoice', 'claimedAmount', 'approvedAmount', 'paidAmount', 'status', 'carrierReference', 'denialReason', 'payment'];
+
+// Fields of the insurer's payment recorded in the audit log
+const PAYMENT_AUDITED_FIELDS = ['user', 'appointment', 'invoice', 'amount', 'status', 'paymentMethod', 'claim'];
+
+// Audit action for each status a claim moves to
+const STATUS_ACTIONS = {
+  submitted: 'claim.resubmit',
+  approved: 'claim.approve',
+  denied: 'claim.deny',
+  paid: 'claim.pay'
+};
+
+// Claims still open or paid for a visit; a visit is claimed once per policy
+const OPEN_STATUSES = ['submitted', 'approved', 'paid'];
+
+/**
+ * Populate the references shown with claims
+ */
+const populateClaim = (queryOrDoc) => queryOrDoc.populate([
+  { path: 'patient', select: 'name email' },
+  { path: 'policy', select: 'carrier planName memberId priority' },
+  { path: 'appointment', select: 'date status' },
+  { path: 'invoice', select: 'number total status' },
+  { path: 'doctor', select: 'name' },
+  { path: 'clinic', select: 'name' }
+]);
+
+/**
+ * Billable items of an invoice, or of an appointment's service when it has none
+ * Returns { items } or { error }
+ */
+const billableItems = async (appointment, invoice) => {
+  if (invoice) {
+    const services = await Service.find({ _id: { $in: invoice.lineItems.map(item => item.service).filter(Boolean) } });
+    const categories = new Map(services.map(service => [service._id.toString(), service.category]));
+    return {
+      items: invoice.lineItems.map(item => ({
+        service: item.service,
+        description: item.description,
+        category: (item.service && categories.get(item.service.toString())) || 'other',
+        price: Invoice.roundMoney(item.amount + item.taxAmount)
+      }))
+    };
+  }
+
+  const service = await Service.findById(appointment.service);
+  if (!service) {
+    return { error: 'The appointment\'s service no longer exists; issue an invoice to claim it' };
+  }
+  return { items: [{ service: service._id, description: service.name, category: service.category, price: service.price }] };
+};
+
+/**
+ * Record a claim audit entry
+ */
+const auditClaim = (req, action, claim, before) => recordAudit(req, {
+  action,
+  targetType: 'Claim',
+  targetId: claim._id,
+  patient: claim.patient._id || claim.patient,
+  changes: diffFields(before, claim, AUDITED_FIELDS)
+});
+
+/**
+ * @route   GET /api/claims?status=&patient=&policy=
+ * @desc    Get insurance claims, newest first (patients: their own claims)
+ * @access  Private
+ */
+router.get('/', auth, [
+  query('status').optional().isIn(Object.keys(Claim.STATUS_TRANSITIONS)).withMessage('Invalid status'),
+  query('patient').optional().isMongoId().withMessage('Invalid patient ID'),
+  query('policy').optional().isMongoId().withMessage('Invalid policy ID')
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Staff see claims of the doctors and branches they work for; patients their own
+    let filter;
+    if (hasPermission(req.user, 'payments:read')) {
+      filter = appointmentScopeFilter(req.user);
+      if (req.query.patient) filter.patient = req.query.patient;
+    } else {
+      filter = { patient: req.user._id };
+    }
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.policy) filter.policy = req.query.policy;
+
+    const claims = await populateClaim(Claim.find(filter)).sort({ createdAt: -1 });
+    res.json(claims);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/claims/:id
+ * @desc    Get a claim with its status history
+ * @access  Private (the patient, or staff with payments:read)
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const claim = await populateClaim(Claim.findById(req.params.id));
+    if (!claim || (!claim.patient._id.equals(req.user._id) &&
+        !(hasPermission(req.user, 'payments:read') && canAccessAppointment(req.user, claim)))) {
+      return res.status(404).json({ message: 'Claim not found' });
+    }
+    res.json(claim);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/claims
+ * @desc    Submit a claim for an appointment or its invoice under one of the patient's
+ *          policies; the claimed amount is the insurer's estimated portion
+ * @access  Private (payments:write)
+ */
+router.post('/', auth, requirePermission('payments:write'), [
+  body('policy').isMongoId().withMessage('Invalid policy ID'),
+  body('appointment').if(body('invoice').not().exists()).isMongoId().withMessage('Invalid appointment ID'),
+  body('invoice').optional().isMongoId().withMessage('Invalid invoice ID'),
+  body('carrierReference').optional().trim()
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let invoice = null;
+    if (req.body.invoice) {
+      invoice = await Invoice.findById(req.body.invoice);
+      if (!invoice) {
+        return res.status(404).json({ message: 'Invoice not found' });
+      }
+      if (['draft', 'void'].includes(invoice.status)) {
+        return res.status(400).json({ message: 'Only issued invoices can be claimed' });
+      }
+    }
+
+    const appointment = await Appointment.findById(invoice ? invoice.appointment : req.body.appointment);
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+    if (!canAccessAppointment(req.user, appointment)) {
+      return res.status(403).json({ message: 'Not authorized to claim this appointment' });
+    }
+    if (appointment.status === 'cancelled') {
+      return res.status(400).json({ message: 'Cancelled appointments cannot be claimed' });
+    }
+
+    // Business logic: The policy must be the patient's and in force on the day of the visit
+    const policy = await InsurancePolicy.findById(req.body.policy);
+    if (!policy || !policy.patient.equals(appointment.user)) {
+      return res.status(400).json({ message: 'Insurance policy not found for this patient' });
+    }
+    if (!policy.isInForce(appointment.date)) {
+      return res.status(400).json({ message: 'The policy was not in force on the date of the appointment' });
+    }
+    if (await Claim.exists({ appointment: appointment._id, policy: policy._id, status: { $in: OPEN_STATUSES } })) {
+      return res.status(409).json({ message: 'This appointment has already been claimed under this policy' });
+    }
+
+    // Claim the issued invoice for the visit when there is one
+    if (!invoice) {
+      invoice = await Invoice.findOne({ appointment: appointment._id, status: { $nin: ['draft', 'void'] } });
+    }
+
+    const { items, error } = await billableItems(appointment, invoice);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const estimate = estimateCoverage(policy, items, await getBenefitsUsed(policy));
+    if (estimate.insurerPortion <= 0) {
+      return res.status(400).json({ message: 'The policy covers none of this appointment', estimate });
+    }
+
+    const claim = new Claim({
+      patient: appointment.user,
+      policy: policy._id,
+      appointment: appointment._id,
+      invoice: invoice ? invoice._id : undefined,
+      doctor: appointment.doctor,
+      clinic: appointment.clinic,
+      items: estimate.items.map(item => ({
+        service: item.service,
+        description: item.description,
+        category: item.category,
+        billedAmount: item.price,
+        coveragePercent: item.coveragePercent,
+        claimedAmount: item.insurerPortion
+      })),
+      totalBilled: estimate.totalPrice,
+      claimedAmount: estimate.insurerPortion,
+      carrierReference: req.body.carrierReference,
+      createdBy: req.user._id
+    });
+    await claim.save();
+
+    await auditClaim(req, 'claim.create', claim, snapshot({}, AUDITED_FIELDS));
+
+    res.status(201).json(await populateClaim(claim));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/claims/:id/status
+ * @desc    Record the insurer's decision on a claim: approve (with the approved amount),
+ *          deny (with a reason), resubmit a denied claim, or mark it paid, which records
+ *          the insurer's payment against the appointment or invoice
+ * @access  Private (payments:write)
+ */
+router.put('/:id/status', auth, requirePermission('payments:write'), [
+  body('status').isIn(Object.keys(Claim.STATUS_TRANSITIONS)).withMessage('Invalid status'),
+  body('approvedAmount').optional().isFloat({ min: 0 }).withMessage('Approved amount must be a positive number'),
+  body('paidAmount').optional().isFloat({ gt: 0 }).withMessage('Paid amount must be a positive number'),
+  body('denialReason').if(body('status').equals('denied')).trim().notEmpty().withMessage('A reason is required to deny a claim'),
+  body('carrierReference').optional().trim(),
+  body('note').optional().trim()
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const claim = await Claim.findById(req.params.id);
+    if (!claim || !canAccessAppointment(req.user, claim)) {
+      return res.status(404).json({ message: 'Claim not found' });
+    }
+
+    const { status } = req.body;
+    if (!claim.canTransition(status)) {
+      return res.status(400).json({
+        message: `Claim cannot move from ${claim.status} to ${status}`,
+        allowed: Claim.STATUS_TRANSITIONS[claim.status]
+      });
+    }
+
+    const before = snapshot(claim, AUDITED_FIELDS);
+    const now = new Date();
+    if (req.body.carrierReference) claim.carrierReference = req.body.carrierReference;
+
+    if (status === 'approved') {
+      // Business logic: Insurers may approve less than was claimed, never more than was billed
+      const approvedAmount = req.body.approvedAmount !== undefined
+        ? Invoice.roundMoney(Number(req.body.approvedAmount))
+        : claim.claimedAmount;
+      if (approvedAmount > claim.totalBilled) {
+        return res.status(400).json({ message: `Approved amount exceeds the ${claim.totalBilled} billed` });
+      }
+      claim.approvedAmount = approvedAmount;
+      claim.decidedAt = now;
+    } else if (status === 'denied') {
+      claim.denialReason = req.body.denialReason;
+      claim.decidedAt = now;
+    } else if (status === 'submitted') {
+      // Resubmitting a corrected claim starts its decision over
+      claim.denialReason = undefined;
+      claim.decidedAt = undefined;
+      claim.submittedAt = now;
+    } else if (status === 'paid') {
+      const paidAmount = req.body.paidAmount !== undefined
+        ? Invoice.roundMoney(Number(req.body.paidAmount))
+        : claim.approvedAmount;
+      if (!paidAmount) {
+        return res.status(400).json({ message: 'Paid amount is required' });
+      }
+
+      // Business logic: The insurer's payment is held to the same checks as any other payment;
+      // duplicates are allowed since the patient may have paid the same amount themselves
+      const target = await checkNewPayment({
+        user: claim.patient,
+        appointment: claim.appointment,
+        invoice: claim.invoice,
+        amount: paidAmount
+      }, { allowDuplicate: true });
+      if (target.error) {
+        return res.status(target.error[0]).json(target.error[1]);
+      }
+
+      const payment = new Payment({
+        user: claim.patient,
+        appointment: target.appointment._id,
+        invoice: target.invoice ? target.invoice._id : undefined,
+        amount: target.amount,
+        status: 'completed',
+        paymentMethod: 'insurance',
+        provider: 'insurance',
+        claim: claim._id
+      });
+      await payment.save();
+
+      if (payment.invoice) {
+        await Invoice.syncPayments(payment.invoice);
+      }
+
+      await recordAudit(req, {
+        action: 'payment.create',
+        targetType: 'Payment',
+        targetId: payment._id,
+        patient: payment.user,
+        changes: diffFields(snapshot({}, PAYMENT_AUDITED_FIELDS), payment, PAYMENT_AUDITED_FIELDS)
+      });
+
+      claim.paidAmount = target.amount;
+      claim.paidAt = now;
+      claim.payment = payment._id;
+    }
+
+    claim.transition(status, { changedBy: req.user._id, note: req.body.note || req.body.denialReason });
+    await claim.save();
+
+    await auditClaim(req, STATUS_ACTIONS[status], claim, before);
+
+    res.json(await populateClaim(claim));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,348 @@
+/**
+ * Clinical Note Routes
+ * Handles SOAP (Subjective, Objective, Assessment, Plan) visit notes with
+ * diagnosis and procedure codes, one per completed appointment
+ * Drafts can be edited until the author signs them; after that every change
+ * is an amendment recorded as a new version, and earlier versions are kept
+ */
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const ClinicalNote = require('../models/ClinicalNote');
+const Appointment = require('../models/Appointment');
+const { auth, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
+const { appointmentScopeFilter, canAccessAppointment } = require('../utils/ownership');
+const { recordAudit } = require('../utils/audit');
+const { toFdi } = require('../utils/teeth');
+
+// Content fields of a note version
+const CONTENT_FIELDS = ['subjective', 'objective', 'assessment', 'plan', 'diagnosisCodes', 'procedureCodes'];
+
+/**
+ * Validation middleware for note content
+ */
+const validateContent = [
+  body('subjective').optional().isString().trim(),
+  body('objective').optional().isString().trim(),
+  body('assessment').optional().isString().trim(),
+  body('plan').optional().isString().trim(),
+  body('diagnosisCodes').optional().isArray().withMessage('Diagnosis codes must be an array'),
+  body('diagnosisCodes.*.system').trim().notEmpty().withMessage('Code system is required'),
+  body('diagnosisCodes.*.code').trim().notEmpty().withMessage('Code is required'),
+  body('procedureCodes').optional().isArray().withMessage('Procedure codes must be an array'),
+  body('procedureCodes.*.system').trim().notEmpty().withMessage('Code system is required'),
+  body('procedureCodes.*.code').trim().notEmpty().withMessage('Code is required')
+];
+
+/**
+ * Pick the content fields of a request, converting code teeth to FDI numbers
+ * Returns { content } or { error }
+ */
+const readContent = (reqBody, base = {}) => {
+  const content = {};
+  for (const field of CONTENT_FIELDS) {
+    content[field] = reqBody[field] !== undefined ? reqBody[field] : base[field];
+  }
+
+  for (const field of ['diagnosisCodes', 'procedureCodes']) {
+    const codes = [];
+    for (const entry of content[field] || []) {
+      const code = {
+        system: entry.system,
+        code: entry.code,
+        description: entry.description
+      };
+      if (entry.tooth !== undefined && entry.tooth !== null && entry.tooth !== '') {
+        code.tooth = toFdi(entry.tooth);
+        if (!code.tooth) {
+          return { error: `Invalid tooth for code ${entry.code}` };
+        }
+      }
+      codes.push(code);
+    }
+    content[field] = codes;
+  }
+
+  return { content };
+};
+
+/**
+ * Plain copy of a version's content, used as the starting point of an amendment
+ */
+const versionContent = (version) => {
+  const data = version.toObject ? version.toObject() : version;
+  return CONTENT_FIELDS.reduce((content, field) => ({ ...content, [field]: data[field] }), {});
+};
+
+/**
+ * Check whether the user may read a note: the patient (signed notes only),
+ * or staff with patientInfo:read who work with the appointment's doctor and branch
+ */
+const canReadNote = (user, note) => {
+  if (note.patient.equals(user._id)) {
+    return note.isSigned();
+  }
+  return hasPermission(user, 'patientInfo:read') && canAccessAppointment(user, note);
+};
+
+/**
+ * Load a note the user may read, with its references populated
+ */
+const findNote = async (req) => {
+  const note = await ClinicalNote.findById(req.params.id)
+    .populate('versions.author', 'name');
+  return note && canReadNote(req.user, note) ? note : null;
+};
+
+/**
+ * Record a note audit entry
+ */
+const auditNote = (req, action, note, changes) => recordAudit(req, {
+  action,
+  targetType: 'ClinicalNote',
+  targetId: note._id,
+  patient: note.patient,
+  changes
+});
+
+/**
+ * @route   GET /api/clinical-notes?patient=&appointment=
+ * @desc    Get clinical notes (patients: their own signed notes)
+ * @access  Private
+ */
+router.get('/', auth, [
+  query('patient').optional().isMongoId().withMessage('Invalid patient ID'),
+  query('appointment').optional().isMongoId().withMessage('Invalid appointment ID')
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Patients only see their own signed notes; staff the notes of doctors and branches they work for
+    let filter;
+    if (hasPermission(req.user, 'patientInfo:read')) {
+      filter = appointmentScopeFilter(req.user);
+      if (req.query.patient) filter.patient = req.query.patient;
+    } else {
+      filter = { patient: req.user._id, status: { $ne: 'draft' } };
+    }
+    if (req.query.appointment) filter.appointment = req.query.appointment;
+
+    const notes = await ClinicalNote.find(filter)
+      .populate('appointment', 'date')
+      .populate('doctor', 'name')
+      .populate('versions.author', 'name')
+      .sort({ createdAt: -1 });
+
+    if (req.query.patient) {
+      await recordAudit(req, {
+        action: 'clinicalNote.read',
+        targetType: 'ClinicalNote',
+        patient: req.query.patient
+      });
+    }
+
+    res.json(notes);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/clinical-notes/:id
+ * @desc    Get a clinical note with its full version history
+ * @access  Private (the patient for signed notes, or staff with patientInfo:read)
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const note = await findNote(req);
+    if (!note) {
+      return res.status(404).json({ message: 'Clinical note not found' });
+    }
+
+    await auditNote(req, 'clinicalNote.read', note);
+
+    res.json(note);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/clinical-notes
+ * @desc    Start a draft note for a completed appointment
+ * @access  Private (clinicalNotes:write)
+ */
+router.post('/', auth, requirePermission('clinicalNotes:write'), [
+  body('appointment').isMongoId().withMessage('Invalid appointment ID'),
+  ...validateContent
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const appointment = await Appointment.findById(req.body.appointment);
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+    if (!canAccessAppointment(req.user, appointment)) {
+      return res.status(403).json({ message: 'Not authorized to write notes for this appointment' });
+    }
+
+    // Business logic: Notes document a visit that took place
+    if (appointment.status !== 'completed') {
+      return res.status(400).json({ message: 'Clinical notes can only be written for completed appointments' });
+    }
+    if (await ClinicalNote.exists({ appointment: appointment._id })) {
+      return res.status(400).json({ message: 'This appointment already has a clinical note' });
+    }
+
+    const { content, error } = readContent(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const note = new ClinicalNote({
+      appointment: appointment._id,
+      patient: appointment.user,
+      doctor: appointment.doctor,
+      clinic: appointment.clinic,
+      versions: [{ version: 1, ...content, author: req.user._id }]
+    });
+    await note.save();
+
+    await auditNote(req, 'clinicalNote.create', note);
+
+    res.status(201).json(note);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/clinical-notes/:id
+ * @desc    Edit a draft note (signed notes are amended instead)
+ * @access  Private (clinicalNotes:write)
+ */
+router.put('/:id', auth, requirePermission('clinicalNotes:write'), validateContent, async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const note = await ClinicalNote.findById(req.params.id);
+    if (!note || !canAccessAppointment(req.user, note)) {
+      return res.status(404).json({ message: 'Clinical note not found' });
+    }
+    if (note.isSigned()) {
+      return res.status(400).json({ message: 'Signed notes cannot be edited; add an amendment instead' });
+    }
+
+    const draft = note.current;
+    const { content, error } = readContent(req.body, versionContent(draft));
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    Object.assign(draft, content, { author: req.user._id });
+    await note.save();
+
+    await auditNote(req, 'clinicalNote.update', note);
+
+    res.json(note);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/clinical-notes/:id/sign
+ * @desc    Sign a draft note, making it read-only
+ * @access  Private (the appointment's doctor)
+ */
+router.post('/:id/sign', auth, requirePermission('clinicalNotes:write'), async (req, res) => {
+  try {
+    const note = await ClinicalNote.findById(req.params.id);
+    if (!note || !canAccessAppointment(req.user, note)) {
+      return res.status(404).json({ message: 'Clinical note not found' });
+    }
+
+    // Business logic: Only the treating doctor can sign the visit note
+    if (!note.doctor.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Only the treating doctor can sign this note' });
+    }
+    if (note.isSigned()) {
+      return res.status(400).json({ message: 'Clinical note is already signed' });
+    }
+
+    note.current.signedAt = new Date();
+    note.status = 'signed';
+    await note.save();
+
+    await auditNote(req, 'clinicalNote.sign', note, [{ field: 'status', from: 'draft', to: 'signed' }]);
+
+    res.json(note);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/clinical-notes/:id/amendments
+ * @desc    Amend a signed note; the amendment becomes a new signed version
+ * @access  Private (clinicalNotes:write)
+ */
+router.post('/:id/amendments', auth, requirePermission('clinicalNotes:write'), [
+  body('reason').trim().notEmpty().withMessage('Amendment reason is required'),
+  ...validateContent
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const note = await ClinicalNote.findById(req.params.id);
+    if (!note || !canAccessAppointment(req.user, note)) {
+      return res.status(404).json({ message: 'Clinical note not found' });
+    }
+    if (!note.isSigned()) {
+      return res.status(400).json({ message: 'Draft notes are edited directly' });
+    }
+
+    // Unchanged sections carry over from the current version
+    const { content, error } = readContent(req.body, versionContent(note.current));
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const version = note.versions.length + 1;
+    note.versions.push({
+      version,
+      ...content,
+      amendmentReason: req.body.reason,
+      author: req.user._id,
+      signedAt: new Date()
+    });
+    note.status = 'amended';
+    await note.save();
+
+    await auditNote(req, 'clinicalNote.amend', note, [{ field: 'version', from: version - 1, to: version }]);
+
+    res.status(201).json(note);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
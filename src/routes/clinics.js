@@ -0,0 +1,172 @@
+/**
+ * Clinic (Branch) Routes
+ * Handles the branches of the practice group; staff, services, schedules
+ * and appointments each belong to a branch
+ */
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Clinic = require('../models/Clinic');
+const User = require('../models/User');
+const { auth, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
+const { isValidTimezone } = require('../utils/timezone');
+const { recordAudit, snapshot, diffFields } = require('../utils/audit');
+
+// Fields whose changes are recorded in the audit log
+const AUDITED_FIELDS = ['name', 'address', 'phone', 'email', 'timezone', 'taxRate', 'isActive'];
+
+/**
+ * Validation middleware for clinic data
+ */
+const validateClinic = [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('address').optional().trim(),
+  body('phone').optional().trim(),
+  body('email').optional().isEmail().withMessage('Please enter a valid email'),
+  body('timezone').optional().custom(isValidTimezone).withMessage('Invalid timezone'),
+  body('taxRate').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+/**
+ * @route   GET /api/clinics
+ * @desc    Get branches (inactive ones only for clinic managers)
+ * @access  Private
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const query = hasPermission(req.user, 'clinics:manage') ? {} : { isActive: true };
+    const clinics = await Clinic.find(query).sort({ name: 1 });
+    res.json(clinics);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/clinics/:id
+ * @desc    Get a branch by ID
+ * @access  Private
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const clinic = await Clinic.findById(req.params.id);
+    if (!clinic) {
+      return res.status(404).json({ message: 'Clinic not found' });
+    }
+    res.json(clinic);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/clinics/:id/doctors
+ * @desc    Get the doctors working at a branch (used by patients to book)
+ * @access  Private
+ */
+router.get('/:id/doctors', auth, async (req, res) => {
+  try {
+    const doctors = await User.find({ role: 'doctor', clinics: req.params.id })
+      .select('name email phone')
+      .sort({ name: 1 });
+    res.json(doctors);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/clinics
+ * @desc    Create a branch
+ * @access  Private (clinics:manage)
+ */
+router.post('/', auth, requirePermission('clinics:manage'), validateClinic, async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, address, phone, email, timezone, taxRate } = req.body;
+
+    // Business logic: Prevent duplicate branch names
+    const existingClinic = await Clinic.findOne({ name });
+    if (existingClinic) {
+      return res.status(400).json({ message: 'Clinic with this name already exists' });
+    }
+
+    const clinic = new Clinic({
+      name,
+      address,
+      phone,
+      email,
+      timezone,
+      taxRate,
+      createdBy: req.user._id
+    });
+    await clinic.save();
+
+    await recordAudit(req, {
+      action: 'clinic.create',
+      targetType: 'Clinic',
+      targetId: clinic._id,
+      changes: diffFields(snapshot({}, AUDITED_FIELDS), clinic, AUDITED_FIELDS)
+    });
+
+    res.status(201).json(clinic);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/clinics/:id
+ * @desc    Update a branch; set isActive to false to close it for new bookings
+ * @access  Private (clinics:manage)
+ */
+router.put('/:id', auth, requirePermission('clinics:manage'), validateClinic, async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const clinic = await Clinic.findById(req.params.id);
+    if (!clinic) {
+      return res.status(404).json({ message: 'Clinic not found' });
+    }
+
+    // Business logic: Prevent duplicate branch names
+    if (req.body.name !== clinic.name) {
+      const existingClinic = await Clinic.findOne({ name: req.body.name });
+      if (existingClinic) {
+        return res.status(400).json({ message: 'Clinic with this name already exists' });
+      }
+    }
+
+    const before = snapshot(clinic, AUDITED_FIELDS);
+    AUDITED_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        clinic[field] = req.body[field];
+      }
+    });
+    await clinic.save();
+
+    await recordAudit(req, {
+      action: 'clinic.update',
+      targetType: 'Clinic',
+      targetId: clinic._id,
+      changes: diffFields(before, clinic, AUDITED_FIELDS)
+    });
+
+    res.json(clinic);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
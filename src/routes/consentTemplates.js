@@ -0,0 +1,172 @@
+/**
+ * Consent Template Routes
+ * Handles the consent forms patients sign before procedures; each template
+ * lists the services that require it. Changing a template's wording creates
+ * a new version, which patients who signed an earlier one must sign again
+ */
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const ConsentTemplate = require('../models/ConsentTemplate');
+const Service = require('../models/services');
+const { auth, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
+const { recordAudit, snapshot, diffFields } = require('../utils/audit');
+
+// Fields whose changes are recorded in the audit log
+const AUDITED_FIELDS = ['title', 'body', 'version', 'services', 'isActive'];
+
+/**
+ * Validation middleware for consent template data
+ */
+const validateTemplate = [
+  body('title').trim().notEmpty().withMessage('Title is required'),
+  body('body').trim().notEmpty().withMessage('Consent wording is required'),
+  body('services').optional().isArray().withMessage('Services must be an array'),
+  body('services.*').isMongoId().withMessage('Invalid service ID'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+/**
+ * Check that every listed service exists; returns the de-duplicated IDs or null
+ */
+const resolveServices = async (serviceIds = []) => {
+  const ids = [...new Set(serviceIds)];
+  const count = await Service.countDocuments({ _id: { $in: ids } });
+  return count === ids.length ? ids : null;
+};
+
+/**
+ * @route   GET /api/consent-templates?service=
+ * @desc    Get consent templates, optionally those a service requires
+ *          (inactive ones only for consent managers)
+ * @access  Private
+ */
+router.get('/', auth, [
+  query('service').optional().isMongoId().withMessage('Invalid service ID')
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = hasPermission(req.user, 'consents:manage') ? {} : { isActive: true };
+    if (req.query.service) filter.services = req.query.service;
+
+    const templates = await ConsentTemplate.find(filter)
+      .populate('services', 'name clinic')
+      .sort({ title: 1 });
+    res.json(templates);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/consent-templates/:id
+ * @desc    Get a consent template by ID
+ * @access  Private
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const template = await ConsentTemplate.findById(req.params.id).populate('services', 'name clinic');
+    if (!template || (!template.isActive && !hasPermission(req.user, 'consents:manage'))) {
+      return res.status(404).json({ message: 'Consent template not found' });
+    }
+    res.json(template);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/consent-templates
+ * @desc    Create a consent template
+ * @access  Private (consents:manage)
+ */
+router.post('/', auth, requirePermission('consents:manage'), validateTemplate, async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const services = await resolveServices(req.body.services);
+    if (!services) {
+      return res.status(400).json({ message: 'Service not found' });
+    }
+
+    const template = new ConsentTemplate({
+      title: req.body.title,
+      body: req.body.body,
+      services,
+      isActive: req.body.isActive,
+      createdBy: req.user._id
+    });
+    await template.save();
+
+    await recordAudit(req, {
+      action: 'consentTemplate.create',
+      targetType: 'ConsentTemplate',
+      targetId: template._id,
+      changes: diffFields(snapshot({}, AUDITED_FIELDS), template, AUDITED_FIELDS)
+    });
+
+    res.status(201).json(template);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/consent-templates/:id
+ * @desc    Update a consent template; changing the title or wording creates a new version
+ * @access  Private (consents:manage)
+ */
+router.put('/:id', auth, requirePermission('consents:manage'), validateTemplate, async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const template = await ConsentTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: 'Consent template not found' });
+    }
+
+    const services = await resolveServices(req.body.services || template.services.map(String));
+    if (!services) {
+      return res.status(400).json({ message: 'Service not found' });
+    }
+
+    const before = snapshot(template, AUDITED_FIELDS);
+
+    // Business logic: New wording needs new signatures; earlier signed copies keep the old text
+    if (req.body.title !== template.title || req.body.body !== template.body) {
+      template.version += 1;
+    }
+    template.title = req.body.title;
+    template.body = req.body.body;
+    template.services = services;
+    if (req.body.isActive !== undefined) template.isActive = req.body.isActive;
+    await template.save();
+
+    await recordAudit(req, {
+      action: 'consentTemplate.update',
+      targetType: 'ConsentTemplate',
+      targetId: template._id,
+      changes: diffFields(before, template, AUDITED_FIELDS)
+    });
+
+    res.json(template);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,230 @@
+/**
+ * Signed Consent Routes
+ * Handles a patient's consent forms: reviewing the forms a service or
+ * appointment requires, signing them, and exporting signed copies
+ * Signed consents keep the wording that was agreed to and can never be
+ * changed or deleted
+ * Mounted under /api/patients/:patientId/consents (":patientId" may be "me")
+ */
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, query, validationResult } = require('express-validator');
+const SignedConsent = require('../models/SignedConsent');
+const ConsentTemplate = require('../models/ConsentTemplate');
+const Appointment = require('../models/Appointment');
+const { auth } = require('../middleware/auth');
+const { patientAccess } = require('../middleware/patientAccess');
+const { canAccessAppointment } = require('../utils/ownership');
+const { recordAudit } = require('../utils/audit');
+const { getMissingConsents } = require('../utils/consents');
+
+// Patients review and sign their own forms; staff can record an in-person signature
+const canRead = patientAccess('patientInfo:read', { allowSelf: true });
+const canSign = patientAccess('patientInfo:write', { allowSelf: true });
+
+/**
+ * Find an appointment of the patient that the user may act on
+ * Returns { appointment } or { error: [status, message] }
+ */
+const findAppointment = async (req, appointmentId) => {
+  const appointment = await Appointment.findById(appointmentId);
+  if (!appointment || !appointment.user.equals(req.patient._id)) {
+    return { error: [400, 'Appointment not found for this patient'] };
+  }
+  if (!appointment.user.equals(req.user._id) && !canAccessAppointment(req.user, appointment)) {
+    return { error: [403, 'Not authorized to access this appointment'] };
+  }
+  return { appointment };
+};
+
+/**
+ * @route   GET /api/patients/:patientId/consents
+ * @desc    Get the patient's signed consents, newest first
+ * @access  Private (own record or staff with patientInfo:read)
+ */
+router.get('/', auth, canRead, async (req, res) => {
+  try {
+    const consents = await SignedConsent.find({ patient: req.patient._id })
+      .select('-signature')
+      .populate('appointment', 'date status')
+      .populate('recordedBy', 'name')
+      .sort({ signedAt: -1 });
+    res.json(consents);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/patients/:patientId/consents/required?service=&appointment=
+ * @desc    Get the forms a service (or an appointment's service) requires that the
+ *          patient has not signed yet, with their full wording for review
+ * @access  Private (own record or staff with patientInfo:read)
+ */
+router.get('/required', auth, canRead, [
+  query('service').optional().isMongoId().withMessage('Invalid service ID'),
+  query('appointment').optional().isMongoId().withMessage('Invalid appointment ID')
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let serviceId = req.query.service;
+    if (req.query.appointment) {
+      const { appointment, error } = await findAppointment(req, req.query.appointment);
+      if (error) {
+        return res.status(error[0]).json({ message: error[1] });
+      }
+      serviceId = appointment.service;
+    }
+    if (!serviceId) {
+      return res.status(400).json({ message: 'Please provide a service or appointment' });
+    }
+
+    const missing = await getMissingConsents(req.patient._id, serviceId);
+    const templates = await ConsentTemplate.find({ _id: { $in: missing.map(template => template._id) } })
+      .select('title body version')
+      .sort({ title: 1 });
+
+    res.json(templates);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/patients/:patientId/consents/:consentId
+ * @desc    Get a signed consent with its signature
+ * @access  Private (own record or staff with patientInfo:read)
+ */
+router.get('/:consentId', auth, canRead, async (req, res) => {
+  try {
+    const consent = await SignedConsent.findOne({ _id: req.params.consentId, patient: req.patient._id })
+      .populate('appointment', 'date status')
+      .populate('recordedBy', 'name');
+    if (!consent) {
+      return res.status(404).json({ message: 'Consent not found' });
+    }
+    res.json(consent);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/patients/:patientId/consents/:consentId/export
+ * @desc    Download a signed consent as a JSON record, with a check that
+ *          its content still matches the hash taken at signing
+ * @access  Private (own record or staff with patientInfo:read)
+ */
+router.get('/:consentId/export', auth, canRead, async (req, res) => {
+  try {
+    const consent = await SignedConsent.findOne({ _id: req.params.consentId, patient: req.patient._id })
+      .populate('recordedBy', 'name');
+    if (!consent) {
+      return res.status(404).json({ message: 'Consent not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'consent.export',
+      targetType: 'SignedConsent',
+      targetId: consent._id,
+      patient: consent.patient
+    });
+
+    res.attachment(`consent-${consent._id}.json`);
+    res.json({
+      consent: consent._id,
+      patient: { _id: req.patient._id, name: req.patient.name, email: req.patient.email },
+      template: consent.template,
+      templateVersion: consent.templateVersion,
+      title: consent.title,
+      body: consent.body,
+      appointment: consent.appointment,
+      signedName: consent.signedName,
+      signature: consent.signature,
+      signedAt: consent.signedAt,
+      ip: consent.ip,
+      userAgent: consent.userAgent,
+      recordedBy: consent.recordedBy,
+      contentHash: consent.contentHash,
+      verified: consent.computeHash() === consent.contentHash,
+      exportedAt: new Date()
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/patients/:patientId/consents
+ * @desc    Sign the current version of a consent form
+ * @access  Private (the patient, or staff recording an in-person signature)
+ */
+router.post('/', auth, canSign, [
+  body('template').isMongoId().withMessage('Invalid consent template ID'),
+  body('version').optional().isInt({ min: 1 }).withMessage('Invalid template version'),
+  body('appointment').optional().isMongoId().withMessage('Invalid appointment ID'),
+  body('signedName').trim().notEmpty().withMessage('Signed name is required'),
+  body('signature').isString().notEmpty().withMessage('Signature is required')
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const template = await ConsentTemplate.findById(req.body.template);
+    if (!template || !template.isActive) {
+      return res.status(404).json({ message: 'Consent template not found' });
+    }
+
+    // Business logic: The patient signs the wording they reviewed; refuse if it changed since
+    if (req.body.version && Number(req.body.version) !== template.version) {
+      return res.status(409).json({
+        message: 'The consent form has been revised; please review the current version',
+        version: template.version
+      });
+    }
+
+    if (req.body.appointment) {
+      const { error } = await findAppointment(req, req.body.appointment);
+      if (error) {
+        return res.status(error[0]).json({ message: error[1] });
+      }
+    }
+
+    const consent = new SignedConsent({
+      patient: req.patient._id,
+      template: template._id,
+      templateVersion: template.version,
+      title: template.title,
+      body: template.body,
+      appointment: req.body.appointment,
+      signedName: req.body.signedName,
+      signature: req.body.signature,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      recordedBy: req.user._id
+    });
+    await consent.save();
+
+    await recordAudit(req, {
+      action: 'consent.sign',
+      targetType: 'SignedConsent',
+      targetId: consent._id,
+      patient: consent.patient,
+      changes: [{ field: 'template', from: null, to: `${template.title} (v${template.version})` }]
+    });
+
+    res.status(201).json(consent);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
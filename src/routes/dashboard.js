@@ -5,18 +5,51 @@
  */
 const express = require('express');
 const router = express.Router();
+const { query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Appointment = require('../models/Appointment');
 const Payment = require('../models/Payment');
-const { auth, authorize } = require('../middleware/auth');
+const Refund = require('../models/Refund');
+const LoginAttempt = require('../models/LoginAttempt');
+const Clinic = require('../models/Clinic');
+const { auth, requirePermission } = require('../middleware/auth');
+const { getClinicTimezone, getUserTimezone, startOfDay, localizeAppointment } = require('../utils/timezone');
+const { appointmentScopeFilter, getScopedAppointmentIds } = require('../utils/ownership');
+const { resolveClinic, getClinicScope, clinicScopeFilter } = require('../utils/clinics');
+
+/**
+ * Payment filter matching the user's scoped appointments (empty when unrestricted)
+ */
+const paymentScopeFilter = (appointmentIds) => (appointmentIds ? { appointment: { $in: appointmentIds } } : {});
+
+/**
+ * IDs of the accounts whose logins the user may review: staff sharing one of their
+ * clinics and patients booked at one of them; null when unrestricted
+ */
+const getLoginScope = async (user) => {
+  const scope = getClinicScope(user);
+  if (!scope) {
+    return null;
+  }
+  const [staff, patients] = await Promise.all([
+    User.distinct('_id', { role: { $ne: 'patient' }, clinics: { $in: scope } }),
+    Appointment.distinct('user', clinicScopeFilter(user))
+  ]);
+  return [...staff, ...patients];
+};
 
 /**
  * @route   GET /api/dashboard/overview
  * @desc    Get summary statistics for practice dashboard
  * @access  Private (doctors and assistants only)
  */
-router.get('/overview', auth, authorize('doctor', 'assistant'), async (req, res) => {
+router.get('/overview', auth, requirePermission('dashboard:read'), async (req, res) => {
   try {
+    // Only count records of the doctors and branches the user works for
+    const appointmentScope = appointmentScopeFilter(req.user);
+    const appointmentIds = await getScopedAppointmentIds(req.user);
+    const paymentScope = paymentScopeFilter(appointmentIds);
+
     // Fetch multiple data points in parallel for efficiency
     const [
       totalPatients,
@@ -24,32 +57,45 @@ router.get('/overview', auth, authorize('doctor', 'assistant'), async (req, res)
       totalPayments,
       recentPayments
     ] = await Promise.all([
-      // Count of patients in the system
-      User.countDocuments({ role: 'patient' }),
+      // Count of patients in the system (or seen within the user's scope)
+      appointmentIds
+        ? Appointment.distinct('user', appointmentScope).then(users => users.length)
+        : User.countDocuments({ role: 'patient' }),
       // Total number of appointments
-      Appointment.countDocuments(),
+      Appointment.countDocuments(appointmentScope),
       // Total number of payment records
-      Payment.countDocuments(),
+      Payment.countDocuments(paymentScope),
       // Most recent 5 payments for quick review
-      Payment.find()
+      Payment.find(paymentScope)
         .populate('user', 'name email')
         .populate('appointment')
         .sort({ createdAt: -1 })
         .limit(5)
     ]);
 
-    // Calculate total revenue from completed payments using MongoDB aggregation
-    const totalRevenue = await Payment.aggregate([
-      { $match: { status: 'completed' } },
-      { $group: { _id: null, total: { $sum: '$amount' } } }
+    // Calculate revenue from received payments, net of the refunds taken from them,
+    // using MongoDB aggregation
+    const [grossRevenue, refunds] = await Promise.all([
+      Payment.aggregate([
+        { $match: { status: { $in: Payment.SETTLED_STATUSES }, ...paymentScope } },
+        { $group: { _id: null, total: { $sum: '$amount' } } }
+      ]),
+      Refund.aggregate([
+        { $match: paymentScope },
+        { $group: { _id: null, total: { $sum: '$amount' } } }
+      ])
     ]);
+    const grossTotal = grossRevenue[0]?.total || 0; // Handle case with no completed payments
+    const refundTotal = refunds[0]?.total || 0;
 
     // Return dashboard overview data
     res.json({
       totalPatients,
       totalAppointments,
       totalPayments,
-      totalRevenue: totalRevenue[0]?.total || 0, // Handle case with no completed payments
+      totalRevenue: Math.round((grossTotal - refundTotal) * 100) / 100,
+      grossRevenue: grossTotal,
+      totalRefunds: refundTotal,
       recentPayments
     });
   } catch (error) {
@@ -58,30 +104,38 @@ router.get('/overview', auth, authorize('doctor', 'assistant'), async (req, res)
 });
 
 /**
- * @route   GET /api/dashboard/appointments/today
- * @desc    Get all appointments scheduled for today
+ * @route   GET /api/dashboard/appointments/today?clinic=
+ * @desc    Get all appointments scheduled for today, optionally at one branch
  * @access  Private (doctors and assistants only)
  */
-router.get('/appointments/today', auth, authorize('doctor', 'assistant'), async (req, res) => {
+router.get('/appointments/today', auth, requirePermission('dashboard:read'), async (req, res) => {
   try {
-    // Calculate today's date range (midnight to midnight)
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    // Narrow to the requested branch, or the user's only branch
+    const clinicId = resolveClinic(req.user, req.query.clinic);
+    if (req.query.clinic && !clinicId) {
+      return res.status(403).json({ message: 'Not authorized to view this clinic' });
+    }
 
-    // Find appointments within today's date range
+    // Calculate today's date range (midnight to midnight in the branch's timezone)
+    const clinicTimezone = getClinicTimezone(clinicId ? await Clinic.findById(clinicId) : null);
+    const today = startOfDay(new Date(), clinicTimezone);
+    const tomorrow = startOfDay(today, clinicTimezone, 1);
+
+    // Find appointments within today's date range for the doctors and branches the user works for
     const appointments = await Appointment.find({
       date: {
         $gte: today,
         $lt: tomorrow
-      }
+      },
+      ...appointmentScopeFilter(req.user),
+      ...(clinicId ? { clinic: clinicId } : {})
     })
     .populate('user', 'name email phone')
     .populate('doctor', 'name')
     .sort({ date: 1 }); // Sort by appointment time
 
-    res.json(appointments);
+    const timeZone = getUserTimezone(req.user);
+    res.json(appointments.map(appointment => localizeAppointment(appointment, timeZone)));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -92,10 +146,18 @@ router.get('/appointments/today', auth, authorize('doctor', 'assistant'), async
  * @desc    Get all patients with their activity statistics
  * @access  Private (doctors and assistants only)
  */
-router.get('/patients', auth, authorize('doctor', 'assistant'), async (req, res) => {
+router.get('/patients', auth, requirePermission('dashboard:read'), async (req, res) => {
   try {
+    // Only patients and activity within the doctors and branches the user works for
+    const appointmentScope = appointmentScopeFilter(req.user);
+    const appointmentIds = await getScopedAppointmentIds(req.user);
+    const patientQuery = { role: 'patient' };
+    if (appointmentIds) {
+      patientQuery._id = { $in: await Appointment.distinct('user', appointmentScope) };
+    }
+
     // Get all patients with basic information
-    const patients = await User.find({ role: 'patient' })
+    const patients = await User.find(patientQuery)
       .select('name email phone createdAt')
       .sort({ createdAt: -1 }); // Newest patients first
 
@@ -104,8 +166,8 @@ router.get('/patients', auth, authorize('doctor', 'assistant'), async (req, res)
       patients.map(async (patient) => {
         // For each patient, get their appointment and payment counts
         const [appointmentCount, paymentCount] = await Promise.all([
-          Appointment.countDocuments({ user: patient._id }),
-          Payment.countDocuments({ user: patient._id })
+          Appointment.countDocuments({ user: patient._id, ...appointmentScope }),
+          Payment.countDocuments({ user: patient._id, ...paymentScopeFilter(appointmentIds) })
         ]);
 
         // Return enhanced patient object with activity stats
@@ -123,4 +185,83 @@ router.get('/patients', auth, authorize('doctor', 'assistant'), async (req, res)
   }
 });
 
+/**
+ * @route   GET /api/dashboard/security/failed-logins
+ * @desc    Get failed login statistics, top offending IPs and emails, and locked accounts
+ *          between from (default 24 hours ago) and to (default now)
+ * @access  Private (doctors and assistants only)
+ */
+router.get('/security/failed-logins', auth, requirePermission('security:read'), [
+  query('from').optional().isISO8601().withMessage('Invalid from date'),
+  query('to').optional().isISO8601().withMessage('Invalid to date')
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Default to the last 24 hours
+    const since = req.query.from ? new Date(req.query.from) : new Date(Date.now() - 86400000);
+    const until = req.query.to ? new Date(req.query.to) : new Date();
+    const match = { success: false, createdAt: { $gte: since, $lte: until } };
+
+    // Security: Staff restricted to some clinics only see attempts on accounts of those
+    // clinics; attempts on unknown emails are not tied to any clinic
+    const accountIds = await getLoginScope(req.user);
+    if (accountIds) {
+      match.user = { $in: accountIds };
+    }
+
+    const [
+      totalFailures,
+      byReason,
+      topIps,
+      topEmails,
+      lockedAccounts,
+      recentFailures
+    ] = await Promise.all([
+      LoginAttempt.countDocuments(match),
+      LoginAttempt.aggregate([
+        { $match: match },
+        { $group: { _id: '$reason', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ]),
+      LoginAttempt.aggregate([
+        { $match: match },
+        { $group: { _id: '$ip', count: { $sum: 1 }, lastAttempt: { $max: '$createdAt' } } },
+        { $sort: { count: -1 } },
+        { $limit: 10 }
+      ]),
+      LoginAttempt.aggregate([
+        { $match: match },
+        { $group: { _id: '$email', count: { $sum: 1 }, lastAttempt: { $max: '$createdAt' } } },
+        { $sort: { count: -1 } },
+        { $limit: 10 }
+      ]),
+      // Accounts that are locked right now
+      User.find({ lockedUntil: { $gt: new Date() }, ...(accountIds ? { _id: { $in: accountIds } } : {}) })
+        .select('name email role failedLoginAttempts lockedUntil'),
+      // Most recent 20 failures for quick review
+      LoginAttempt.find(match)
+        .sort({ createdAt: -1 })
+        .limit(20)
+    ]);
+
+    res.json({
+      since,
+      until,
+      totalFailures,
+      byReason: byReason.map(({ _id, count }) => ({ reason: _id, count })),
+      topIps: topIps.map(({ _id, ...rest }) => ({ ip: _id, ...rest })),
+      topEmails: topEmails.map(({ _id, ...rest }) => ({ email: _id, ...rest })),
+      lockedAccounts,
+      recentFailures
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
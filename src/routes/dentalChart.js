@@ -0,0 +1,316 @@
+/**
+ * Dental Chart Routes
+ * Handles a patient's tooth chart: per-tooth and per-surface conditions recorded
+ * over time, linked to the appointment and service in which the work was done
+ * Mounted under /api/patients/:patientId/chart (":patientId" may be "me")
+ */
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, query, validationResult } = require('express-validator');
+const DentalChartEntry = require('../models/DentalChartEntry');
+const Appointment = require('../models/Appointment');
+const Service = require('../models/services');
+const { auth } = require('../middleware/auth');
+const { patientAccess } = require('../middleware/patientAccess');
+const { canAccessAppointment } = require('../utils/ownership');
+const { recordAudit, snapshot, diffFields } = require('../utils/audit');
+const { NUMBERING_SYSTEMS, SURFACES, CONDITIONS, toFdi } = require('../utils/teeth');
+
+// Fields whose changes are recorded in the audit log
+const AUDITED_FIELDS = ['tooth', 'surfaces', 'condition', 'notes', 'appointment', 'service', 'recordedAt'];
+
+// Patients can view their own chart; only staff with chart:write can change it
+const canRead = patientAccess('patientInfo:read', { allowSelf: true });
+const canWrite = patientAccess('chart:write');
+
+/**
+ * Validation middleware for chart entries
+ * Teeth are given in FDI numbering unless numbering is "universal"
+ */
+const validateEntry = [
+  body('tooth').notEmpty().withMessage('Tooth is required'),
+  body('numbering').optional().isIn(NUMBERING_SYSTEMS).withMessage('Invalid numbering system'),
+  body('surfaces').optional().isArray().withMessage('Surfaces must be an array'),
+  body('surfaces.*').isIn(SURFACES).withMessage('Invalid tooth surface'),
+  body('condition').isIn(CONDITIONS).withMessage('Invalid condition'),
+  body('notes').optional().trim(),
+  body('appointment').optional({ nullable: true }).isMongoId().withMessage('Invalid appointment ID'),
+  body('service').optional({ nullable: true }).isMongoId().withMessage('Invalid service ID'),
+  body('recordedAt').optional().isISO8601().withMessage('Invalid recorded date')
+];
+
+/**
+ * Validation middleware for tooth lookups in the query string
+ */
+const validateToothQuery = [
+  query('numbering').optional().isIn(NUMBERING_SYSTEMS).withMessage('Invalid numbering system'),
+  query('from').optional().isISO8601().withMessage('Invalid from date'),
+  query('to').optional().isISO8601().withMessage('Invalid to date')
+];
+
+/**
+ * Populate the references shown with chart entries
+ */
+const populateEntry = (queryOrDoc) => queryOrDoc.populate([
+  { path: 'appointment', select: 'date status' },
+  { path: 'service', select: 'name' },
+  { path: 'recordedBy', select: 'name' }
+]);
+
+/**
+ * Check the appointment and service an entry links to
+ * The appointment must be the patient's and in the user's scope; its service is the default
+ * Returns { appointment, service } or { error: [status, message] }
+ */
+const resolveLinks = async (req, appointmentId, serviceId) => {
+  let appointment = null;
+  if (appointmentId) {
+    appointment = await Appointment.findById(appointmentId);
+    if (!appointment || !appointment.user.equals(req.patient._id)) {
+      return { error: [400, 'Appointment not found for this patient'] };
+    }
+    if (!canAccessAppointment(req.user, appointment)) {
+      return { error: [403, 'Not authorized to chart against this appointment'] };
+    }
+  }
+
+  const service = serviceId || (appointment && appointment.service) || null;
+  if (serviceId && !await Service.exists({ _id: serviceId })) {
+    return { error: [400, 'Service not found'] };
+  }
+
+  return { appointment: appointment && appointment._id, service };
+};
+
+/**
+ * @route   GET /api/patients/:patientId/chart
+ * @desc    Get the current state of every charted tooth
+ * @access  Private (own chart or staff with patientInfo:read)
+ */
+router.get('/', auth, canRead, async (req, res) => {
+  try {
+    const entries = await DentalChartEntry.find({ patient: req.patient._id });
+
+    await recordAudit(req, {
+      action: 'dentalChart.read',
+      targetType: 'DentalChart',
+      targetId: req.patient._id,
+      patient: req.patient._id
+    });
+
+    res.json({
+      patient: req.patient._id,
+      teeth: DentalChartEntry.buildChart(entries)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/patients/:patientId/chart/entries?tooth=&numbering=&from=&to=
+ * @desc    Get the chart history, newest first, optionally for one tooth or date range
+ * @access  Private (own chart or staff with patientInfo:read)
+ */
+router.get('/entries', auth, canRead, validateToothQuery, async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = { patient: req.patient._id };
+    if (req.query.tooth) {
+      filter.tooth = toFdi(req.query.tooth, req.query.numbering);
+      if (!filter.tooth) {
+        return res.status(400).json({ message: 'Invalid tooth' });
+      }
+    }
+    if (req.query.from || req.query.to) {
+      filter.recordedAt = {};
+      if (req.query.from) filter.recordedAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.recordedAt.$lte = new Date(req.query.to);
+    }
+
+    const entries = await populateEntry(DentalChartEntry.find(filter)).sort({ recordedAt: -1 });
+
+    await recordAudit(req, {
+      action: 'dentalChart.read',
+      targetType: 'DentalChart',
+      targetId: req.patient._id,
+      patient: req.patient._id
+    });
+
+    res.json(entries);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/patients/:patientId/chart/teeth/:tooth?numbering=
+ * @desc    Get one tooth's current state and full history
+ * @access  Private (own chart or staff with patientInfo:read)
+ */
+router.get('/teeth/:tooth', auth, canRead, validateToothQuery, async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tooth = toFdi(req.params.tooth, req.query.numbering);
+    if (!tooth) {
+      return res.status(400).json({ message: 'Invalid tooth' });
+    }
+
+    const history = await populateEntry(DentalChartEntry.find({ patient: req.patient._id, tooth }))
+      .sort({ recordedAt: -1 });
+
+    await recordAudit(req, {
+      action: 'dentalChart.read',
+      targetType: 'DentalChart',
+      targetId: req.patient._id,
+      patient: req.patient._id
+    });
+
+    res.json({
+      current: DentalChartEntry.buildChart(history)[0] || null,
+      history
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/patients/:patientId/chart/entries
+ * @desc    Record a tooth or surface condition
+ * @access  Private (chart:write)
+ */
+router.post('/entries', auth, canWrite, validateEntry, async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tooth = toFdi(req.body.tooth, req.body.numbering);
+    if (!tooth) {
+      return res.status(400).json({ message: 'Invalid tooth' });
+    }
+
+    const links = await resolveLinks(req, req.body.appointment, req.body.service);
+    if (links.error) {
+      return res.status(links.error[0]).json({ message: links.error[1] });
+    }
+
+    const entry = new DentalChartEntry({
+      patient: req.patient._id,
+      tooth,
+      surfaces: [...new Set(req.body.surfaces || [])],
+      condition: req.body.condition,
+      notes: req.body.notes,
+      appointment: links.appointment,
+      service: links.service,
+      recordedAt: req.body.recordedAt,
+      recordedBy: req.user._id
+    });
+    await entry.save();
+
+    await recordAudit(req, {
+      action: 'dentalChart.create',
+      targetType: 'DentalChartEntry',
+      targetId: entry._id,
+      patient: req.patient._id,
+      changes: diffFields(snapshot({}, AUDITED_FIELDS), entry, AUDITED_FIELDS)
+    });
+
+    res.status(201).json(await populateEntry(entry));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/patients/:patientId/chart/entries/:entryId
+ * @desc    Correct a chart entry
+ * @access  Private (chart:write)
+ */
+router.put('/entries/:entryId', auth, canWrite, validateEntry, async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const entry = await DentalChartEntry.findOne({ _id: req.params.entryId, patient: req.patient._id });
+    if (!entry) {
+      return res.status(404).json({ message: 'Chart entry not found' });
+    }
+
+    const tooth = toFdi(req.body.tooth, req.body.numbering);
+    if (!tooth) {
+      return res.status(400).json({ message: 'Invalid tooth' });
+    }
+
+    const links = await resolveLinks(req, req.body.appointment, req.body.service);
+    if (links.error) {
+      return res.status(links.error[0]).json({ message: links.error[1] });
+    }
+
+    const before = snapshot(entry, AUDITED_FIELDS);
+    entry.tooth = tooth;
+    entry.surfaces = [...new Set(req.body.surfaces || [])];
+    entry.condition = req.body.condition;
+    entry.notes = req.body.notes;
+    entry.appointment = links.appointment;
+    entry.service = links.service;
+    if (req.body.recordedAt) entry.recordedAt = req.body.recordedAt;
+    await entry.save();
+
+    await recordAudit(req, {
+      action: 'dentalChart.update',
+      targetType: 'DentalChartEntry',
+      targetId: entry._id,
+      patient: req.patient._id,
+      changes: diffFields(before, entry, AUDITED_FIELDS)
+    });
+
+    res.json(await populateEntry(entry));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/patients/:patientId/chart/entries/:entryId
+ * @desc    Delete a chart entry recorded in error
+ * @access  Private (chart:write)
+ */
+router.delete('/entries/:entryId', auth, canWrite, async (req, res) => {
+  try {
+    const entry = await DentalChartEntry.findOneAndDelete({ _id: req.params.entryId, patient: req.patient._id });
+    if (!entry) {
+      return res.status(404).json({ message: 'Chart entry not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'dentalChart.delete',
+      targetType: 'DentalChartEntry',
+      targetId: entry._id,
+      patient: req.patient._id,
+      changes: diffFields(snapshot(entry, AUDITED_FIELDS), {}, AUDITED_FIELDS)
+    });
+
+    res.json({ message: 'Chart entry deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
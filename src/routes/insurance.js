@@ -0,0 +1,244 @@
+/**
+ * Insurance Policy Routes
+ * Handles a patient's insurance policies (carrier, member ID, coverage per
+ * service category, annual maximum) and estimates of the insurer's and the
+ * patient's portions of a service or treatment plan
+ * Mounted under /api/patients/:patientId/insurance (":patientId" may be "me")
+ */
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, query, validationResult } = require('express-validator');
+const InsurancePolicy = require('../models/InsurancePolicy');
+const Service = require('../models/services');
+const TreatmentPlan = require('../models/TreatmentPlan');
+const { auth } = require('../middleware/auth');
+const { patientAccess } = require('../middleware/patientAccess');
+const { hasPermission } = require('../config/permissions');
+const { recordAudit, snapshot, diffFields } = require('../utils/audit');
+const { findPolicy, getBenefitsUsed, estimateCoverage } = require('../utils/insurance');
+
+// Patients keep their own policy identifiers up to date; front-desk staff manage the whole policy
+const canRead = patientAccess('patientInfo:read', { allowSelf: true });
+const canWrite = patientAccess('patientInfo:write', { allowSelf: true });
+
+// Fields that can be set on a policy, and whose changes are recorded in the audit log
+const POLICY_FIELDS = [
+  'carrier', 'planName', 'memberId', 'groupNumber', 'subscriberName', 'priority',
+  'coverage', 'annualMaximum', 'benefitYearStartMonth', 'effectiveDate', 'expirationDate', 'isActive'
+];
+
+// Fields identifying the policy, which patients can set themselves; the benefits
+// (coverage, maximum, dates) drive estimates and claims, so only staff set them
+const IDENTIFYING_FIELDS = ['carrier', 'planName', 'memberId', 'groupNumber', 'subscriberName'];
+
+/**
+ * Reject benefit fields sent by a user without patientInfo:write (a patient editing their own policy)
+ */
+const restrictBenefitFields = (req, res, next) => {
+  if (hasPermission(req.user, 'patientInfo:write')) return next();
+
+  const restricted = POLICY_FIELDS.filter(field => !IDENTIFYING_FIELDS.includes(field) && req.body[field] !== undefined);
+  if (restricted.length) {
+    return res.status(403).json({ message: `Only staff can set: ${restricted.join(', ')}` });
+  }
+  next();
+};
+
+/**
+ * Validation middleware for policy details; required fields are only enforced on creation
+ */
+const validatePolicy = (isNew) => [
+  isNew
+    ? body('carrier').trim().notEmpty().withMessage('Carrier is required')
+    : body('carrier').optional().trim().notEmpty().withMessage('Carrier cannot be empty'),
+  isNew
+    ? body('memberId').trim().notEmpty().withMessage('Member ID is required')
+    : body('memberId').optional().trim().notEmpty().withMessage('Member ID cannot be empty'),
+  body('planName').optional().trim(),
+  body('groupNumber').optional().trim(),
+  body('subscriberName').optional().trim(),
+  body('priority').optional().isIn(['primary', 'secondary']).withMessage('Priority must be primary or secondary'),
+  body('coverage').optional().isObject().withMessage('Coverage must map service categories to percentages'),
+  body('coverage').optional().custom(coverage => Object.keys(coverage).every(category => Service.CATEGORIES.includes(category)))
+    .withMessage(`Coverage categories must be among: ${Service.CATEGORIES.join(', ')}`),
+  body('coverage.*').optional().isFloat({ min: 0, max: 100 }).withMessage('Coverage must be between 0 and 100 percent'),
+  body('annualMaximum').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Annual maximum must be a positive number'),
+  body('benefitYearStartMonth').optional().isInt({ min: 1, max: 12 }).withMessage('Benefit year start month must be between 1 and 12'),
+  body('effectiveDate').optional({ nullable: true }).isISO8601().withMessage('Invalid effective date'),
+  body('expirationDate').optional({ nullable: true }).isISO8601().withMessage('Invalid expiration date'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+/**
+ * Copy the policy fields present in the request onto a policy; coverage is
+ * merged so that a single category can be changed
+ */
+const applyPolicyFields = (policy, data) => {
+  for (const field of POLICY_FIELDS) {
+    if (data[field] === undefined) continue;
+    if (field === 'coverage') {
+      policy.coverage = { ...(policy.coverage ? policy.coverage.toObject() : {}), ...data.coverage };
+    } else {
+      policy[field] = data[field];
+    }
+  }
+};
+
+/**
+ * Record an insurance policy audit entry
+ */
+const auditPolicy = (req, action, policy, before) => recordAudit(req, {
+  action,
+  targetType: 'InsurancePolicy',
+  targetId: policy._id,
+  patient: policy.patient,
+  changes: diffFields(before, policy, POLICY_FIELDS)
+});
+
+/**
+ * @route   GET /api/patients/:patientId/insurance
+ * @desc    Get the patient's insurance policies, primary first, with the benefits
+ *          used and left in the current benefit year
+ * @access  Private (own record or staff with patientInfo:read)
+ */
+router.get('/', auth, canRead, async (req, res) => {
+  try {
+    const policies = await InsurancePolicy.find({ patient: req.patient._id })
+      .sort({ isActive: -1, priority: 1, createdAt: 1 });
+
+    const results = [];
+    for (const policy of policies) {
+      const used = await getBenefitsUsed(policy);
+      results.push({
+        ...policy.toJSON(),
+        inForce: policy.isInForce(),
+        benefitsUsed: used,
+        benefitsRemaining: estimateCoverage(policy, [], used).remainingMaximum
+      });
+    }
+
+    res.json(results);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/patients/:patientId/insurance/estimate?service=&plan=&policy=
+ * @desc    Estimate the insurer's and the patient's portions of a service or of a
+ *          treatment plan's steps, under the given policy or the primary one in force
+ * @access  Private (own record or staff with patientInfo:read)
+ */
+router.get('/estimate', auth, canRead, [
+  query('service').optional().isMongoId().withMessage('Invalid service ID'),
+  query('plan').optional().isMongoId().withMessage('Invalid treatment plan ID'),
+  query('policy').optional().isMongoId().withMessage('Invalid policy ID')
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let items;
+    if (req.query.plan) {
+      const plan = await TreatmentPlan.findOne({ _id: req.query.plan, patient: req.patient._id })
+        .populate('steps.service', 'name category');
+      if (!plan) {
+        return res.status(404).json({ message: 'Treatment plan not found' });
+      }
+      items = plan.steps.map(step => ({
+        service: step.service ? step.service._id : undefined,
+        description: step.description || (step.service && step.service.name) || `Step ${step.order}`,
+        category: step.service ? step.service.category : 'other',
+        price: step.estimatedPrice
+      }));
+    } else if (req.query.service) {
+      const service = await Service.findById(req.query.service);
+      if (!service) {
+        return res.status(404).json({ message: 'Service not found' });
+      }
+      items = [{ service: service._id, description: service.name, category: service.category, price: service.price }];
+    } else {
+      return res.status(400).json({ message: 'Please provide a service or treatment plan' });
+    }
+
+    const policy = await findPolicy(req.patient._id, req.query.policy);
+    if (!policy) {
+      if (req.query.policy) {
+        return res.status(404).json({ message: 'Insurance policy not found' });
+      }
+      // Business logic: Without insurance the patient pays everything
+      const totalPrice = items.reduce((total, item) => total + item.price, 0);
+      return res.json({
+        policy: null,
+        items: items.map(item => ({ ...item, coveragePercent: 0, insurerPortion: 0, patientPortion: item.price })),
+        totalPrice,
+        insurerPortion: 0,
+        patientPortion: totalPrice
+      });
+    }
+
+    res.json(estimateCoverage(policy, items, await getBenefitsUsed(policy)));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/patients/:patientId/insurance
+ * @desc    Add an insurance policy to the patient
+ * @access  Private (own record, identifying fields only, or staff with patientInfo:write)
+ */
+router.post('/', auth, canWrite, restrictBenefitFields, validatePolicy(true), async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const policy = new InsurancePolicy({ patient: req.patient._id });
+    applyPolicyFields(policy, req.body);
+    await policy.save();
+
+    await auditPolicy(req, 'insurance.create', policy, snapshot({}, POLICY_FIELDS));
+
+    res.status(201).json(policy);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/patients/:patientId/insurance/:policyId
+ * @desc    Update an insurance policy (set isActive to false when it ends)
+ * @access  Private (own record, identifying fields only, or staff with patientInfo:write)
+ */
+router.put('/:policyId', auth, canWrite, restrictBenefitFields, validatePolicy(false), async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const policy = await InsurancePolicy.findOne({ _id: req.params.policyId, patient: req.patient._id });
+    if (!policy) {
+      return res.status(404).json({ message: 'Insurance policy not found' });
+    }
+
+    const before = snapshot(policy, POLICY_FIELDS);
+    applyPolicyFields(policy, req.body);
+    await policy.save();
+
+    await auditPolicy(req, 'insurance.update', policy, before);
+
+    res.json(policy);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
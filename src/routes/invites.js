@@ -0,0 +1,128 @@
+/**
+ * Staff Invitation Routes
+ * Staff invite new doctors and assistants; the invitee registers through
+ * POST /api/auth/register with the signed invite token
+ */
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Invite = require('../models/Invite');
+const { auth, requirePermission } = require('../middleware/auth');
+const { signInviteToken } = require('../utils/tokens');
+const { STAFF_ROLES, ROLE_PERMISSIONS, hasPermission } = require('../config/permissions');
+const { recordAudit } = require('../utils/audit');
+const { canAccessClinic, clinicScopeFilter, resolveClinic } = require('../utils/clinics');
+
+const INVITE_TTL_DAYS = Number(process.env.INVITE_TTL_DAYS) || 7;
+
+/**
+ * Validation middleware for invite data
+ */
+const validateInvite = [
+  body('role').isIn(STAFF_ROLES).withMessage('Invalid role'),
+  body('email').optional().isEmail().withMessage('Please enter a valid email'),
+  body('clinics').optional().isArray({ min: 1 }).withMessage('Clinics must be a non-empty array'),
+  body('clinics.*').isMongoId().withMessage('Invalid clinic ID')
+];
+
+/**
+ * @route   GET /api/invites
+ * @desc    Get pending invites
+ * @access  Private (doctors and assistants only)
+ */
+router.get('/', auth, requirePermission('invites:manage'), async (req, res) => {
+  try {
+    // Only invites into the branches the user works at
+    const invites = await Invite.find({
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+      ...clinicScopeFilter(req.user, 'clinics')
+    })
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+    res.json(invites);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/invites
+ * @desc    Create an invite for a staff role and return its signed token
+ * @access  Private (doctors and assistants only)
+ */
+router.post('/', auth, requirePermission('invites:manage'), validateInvite, async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Security: Inviting someone into a role with more permissions than your own requires users:roles
+    const ownPermissions = ROLE_PERMISSIONS[req.user.role] || [];
+    const escalates = ROLE_PERMISSIONS[req.body.role].some(permission => !ownPermissions.includes(permission));
+    if (escalates && !hasPermission(req.user, 'users:roles')) {
+      return res.status(403).json({ message: 'Not authorized to invite users into this role' });
+    }
+
+    // Business logic: Invitees join branches the inviter works at (by default their only branch)
+    const clinics = req.body.clinics || [resolveClinic(req.user)].filter(Boolean);
+    if (!clinics.length || !clinics.every(clinic => canAccessClinic(req.user, clinic))) {
+      return res.status(400).json({ message: 'Please provide clinics you work at' });
+    }
+
+    const invite = new Invite({
+      email: req.body.email,
+      role: req.body.role,
+      clinics,
+      invitedBy: req.user._id,
+      expiresAt: new Date(Date.now() + INVITE_TTL_DAYS * 86400000)
+    });
+    await invite.save();
+
+    await recordAudit(req, {
+      action: 'invite.create',
+      targetType: 'Invite',
+      targetId: invite._id,
+      changes: [{ field: 'role', from: null, to: invite.role }]
+    });
+
+    res.status(201).json({
+      invite,
+      token: signInviteToken(invite)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/invites/:id
+ * @desc    Revoke a pending invite
+ * @access  Private (doctors and assistants only)
+ */
+router.delete('/:id', auth, requirePermission('invites:manage'), async (req, res) => {
+  try {
+    const invite = await Invite.findOne({ _id: req.params.id, ...clinicScopeFilter(req.user, 'clinics') });
+    if (!invite || !invite.isUsable()) {
+      return res.status(404).json({ message: 'Invite not found' });
+    }
+
+    invite.revokedAt = Date.now();
+    await invite.save();
+
+    await recordAudit(req, {
+      action: 'invite.revoke',
+      targetType: 'Invite',
+      targetId: invite._id
+    });
+
+    res.json({ message: 'Invite revoked successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,400 @@
+/**
+ * Invoice Routes
+ * Handles invoices for appointments: line items for the appointment's service
+ * and any extra procedures or materials, tax, discounts, numbering when issued,
+ * and the balance left once payments are applied
+ */
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const Appointment = require('../models/Appointment');
+const Service = require('../models/services');
+const Clinic = require('../models/Clinic');
+const Counter = require('../models/Counter');
+const { auth, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
+const { appointmentScopeFilter, canAccessAppointment } = require('../utils/ownership');
+const { recordAudit, snapshot, diffFields } = require('../utils/audit');
+
+// Fields whose changes are recorded in the audit log
+const AUDITED_FIELDS = ['number', 'lineItems', 'discount', 'notes', 'status', 'total', 'dueDate', 'voidReason'];
+
+const INVOICE_DUE_DAYS = Number(process.env.INVOICE_DUE_DAYS) || 30;
+
+/**
+ * Validation middleware for invoice contents
+ */
+const validateInvoice = [
+  body('items').optional().isArray().withMessage('Items must be an array'),
+  body('items.*.service').optional().isMongoId().withMessage('Invalid service ID'),
+  body('items.*.description').optional().trim(),
+  body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be a positive whole number'),
+  body('items.*.unitPrice').optional().isFloat({ min: 0 }).withMessage('Unit price must be a positive number'),
+  body('items.*.discountPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100'),
+  body('items.*.taxRate').optional().isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100'),
+  body('discount').optional({ nullable: true }).isObject().withMessage('Invalid discount'),
+  body('discount.type').if(body('discount').exists({ checkNull: true })).isIn(['percent', 'fixed']).withMessage('Discount type must be percent or fixed'),
+  body('discount.value').if(body('discount').exists({ checkNull: true })).isFloat({ min: 0 }).withMessage('Discount must be a positive number'),
+  body('discount.reason').optional().trim(),
+  body('notes').optional().trim()
+];
+
+/**
+ * Tax rate of a branch, falling back to DEFAULT_TAX_RATE
+ */
+const branchTaxRate = (clinic) => {
+  if (clinic && clinic.taxRate !== null && clinic.taxRate !== undefined) {
+    return clinic.taxRate;
+  }
+  return Number(process.env.DEFAULT_TAX_RATE) || 0;
+};
+
+/**
+ * Build line items from request data; lines for a service default to its name and price,
+ * and every line to the branch tax rate
+ * Returns { lineItems } or { error }
+ */
+const buildLineItems = async (items, taxRate) => {
+  const serviceIds = [...new Set(items.filter(item => item.service).map(item => item.service))];
+  const services = await Service.find({ _id: { $in: serviceIds } });
+  const servicesById = new Map(services.map(service => [service._id.toString(), service]));
+
+  const lineItems = [];
+  for (const [index, item] of items.entries()) {
+    const service = item.service ? servicesById.get(item.service.toString()) : null;
+    if (item.service && !service) {
+      return { error: `Service not found for item ${index + 1}` };
+    }
+
+    const description = item.description || (service && service.name);
+    const unitPrice = item.unitPrice !== undefined ? Number(item.unitPrice) : service && service.price;
+    if (!description || unitPrice === undefined || unitPrice === null) {
+      return { error: `Item ${index + 1} needs a description and unit price` };
+    }
+
+    lineItems.push({
+      service: service ? service._id : undefined,
+      description,
+      quantity: item.quantity || 1,
+      unitPrice,
+      discountPercent: item.discountPercent || 0,
+      taxRate: item.taxRate !== undefined ? Number(item.taxRate) : taxRate
+    });
+  }
+
+  return { lineItems };
+};
+
+/**
+ * Populate the references shown with invoices
+ */
+const populateInvoice = (queryOrDoc) => queryOrDoc.populate([
+  { path: 'patient', select: 'name email' },
+  { path: 'doctor', select: 'name' },
+  { path: 'clinic', select: 'name address phone email' },
+  { path: 'appointment', select: 'date status' },
+  { path: 'lineItems.service', select: 'name' }
+]);
+
+/**
+ * Check whether the user may read an invoice: the patient (once issued),
+ * or staff with payments:read who work with the appointment's doctor and branch
+ */
+const canReadInvoice = (user, invoice) => {
+  const patient = invoice.patient._id || invoice.patient;
+  if (patient.equals(user._id)) {
+    return invoice.status !== 'draft';
+  }
+  return hasPermission(user, 'payments:read') && canAccessAppointment(user, invoice);
+};
+
+/**
+ * Load an invoice the user may change (payments:write is checked by the route)
+ */
+const findWritableInvoice = async (req) => {
+  const invoice = await Invoice.findById(req.params.id);
+  return invoice && canAccessAppointment(req.user, invoice) ? invoice : null;
+};
+
+/**
+ * Record an invoice audit entry
+ */
+const auditInvoice = (req, action, invoice, before) => recordAudit(req, {
+  action,
+  targetType: 'Invoice',
+  targetId: invoice._id,
+  patient: invoice.patient._id || invoice.patient,
+  changes: diffFields(before, invoice, AUDITED_FIELDS)
+});
+
+/**
+ * @route   GET /api/invoices?status=&patient=&overdue=
+ * @desc    Get invoices, newest first (patients: their own issued invoices)
+ * @access  Private
+ */
+router.get('/', auth, [
+  query('status').optional().isIn(['draft', 'issued', 'partially-paid', 'paid', 'void']).withMessage('Invalid status'),
+  query('patient').optional().isMongoId().withMessage('Invalid patient ID'),
+  query('overdue').optional().isBoolean().withMessage('overdue must be a boolean')
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Staff see invoices of the doctors and branches they work for; patients their own
+    let filter;
+    if (hasPermission(req.user, 'payments:read')) {
+      filter = appointmentScopeFilter(req.user);
+      if (req.query.patient) filter.patient = req.query.patient;
+    } else {
+      filter = { patient: req.user._id, status: { $ne: 'draft' } };
+    }
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.overdue === 'true') {
+      filter.status = { $in: ['issued', 'partially-paid'] };
+      filter.dueDate = { $lt: new Date() };
+    }
+
+    const invoices = await populateInvoice(Invoice.find(filter)).sort({ createdAt: -1 });
+    res.json(invoices);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/invoices/:id
+ * @desc    Get an invoice with the payments applied to it
+ * @access  Private (the patient once issued, or staff with payments:read)
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const invoice = await populateInvoice(Invoice.findById(req.params.id));
+    if (!invoice || !canReadInvoice(req.user, invoice)) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    const payments = await Payment.find({ invoice: invoice._id })
+      .select('amount status paymentMethod createdAt')
+      .sort({ createdAt: 1 });
+
+    res.json({ ...invoice.toJSON(), payments });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/invoices
+ * @desc    Create a draft invoice for an appointment; the appointment's service is
+ *          billed as the first line unless includeService is false
+ * @access  Private (payments:write)
+ */
+router.post('/', auth, requirePermission('payments:write'), [
+  body('appointment').isMongoId().withMessage('Invalid appointment ID'),
+  body('includeService').optional().isBoolean().withMessage('includeService must be a boolean'),
+  ...validateInvoice
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const appointment = await Appointment.findById(req.body.appointment);
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+    if (!canAccessAppointment(req.user, appointment)) {
+      return res.status(403).json({ message: 'Not authorized to invoice this appointment' });
+    }
+
+    // Business logic: Cancelled visits are not billed, and each visit has one open invoice
+    if (appointment.status === 'cancelled') {
+      return res.status(400).json({ message: 'Cancelled appointments cannot be invoiced' });
+    }
+    if (await Invoice.exists({ appointment: appointment._id, status: { $ne: 'void' } })) {
+      return res.status(400).json({ message: 'This appointment already has an invoice' });
+    }
+
+    const items = [...(req.body.items || [])];
+    if (req.body.includeService !== false) {
+      items.unshift({ service: appointment.service });
+    }
+    if (!items.length) {
+      return res.status(400).json({ message: 'An invoice needs at least one item' });
+    }
+
+    const clinic = await Clinic.findById(appointment.clinic);
+    const { lineItems, error } = await buildLineItems(items, branchTaxRate(clinic));
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const invoice = new Invoice({
+      patient: appointment.user,
+      appointment: appointment._id,
+      doctor: appointment.doctor,
+      clinic: appointment.clinic,
+      lineItems,
+      discount: req.body.discount || undefined,
+      notes: req.body.notes,
+      createdBy: req.user._id
+    });
+    await invoice.save();
+
+    await auditInvoice(req, 'invoice.create', invoice, snapshot({}, AUDITED_FIELDS));
+
+    res.status(201).json(await populateInvoice(invoice));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/invoices/:id
+ * @desc    Replace a draft invoice's items, discount and notes
+ * @access  Private (payments:write)
+ */
+router.put('/:id', auth, requirePermission('payments:write'), validateInvoice, async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const invoice = await findWritableInvoice(req);
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+    if (invoice.status !== 'draft') {
+      return res.status(400).json({ message: 'Only draft invoices can be edited' });
+    }
+
+    const before = snapshot(invoice, AUDITED_FIELDS);
+
+    if (req.body.items) {
+      if (!req.body.items.length) {
+        return res.status(400).json({ message: 'An invoice needs at least one item' });
+      }
+      const clinic = await Clinic.findById(invoice.clinic);
+      const { lineItems, error } = await buildLineItems(req.body.items, branchTaxRate(clinic));
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      invoice.lineItems = lineItems;
+    }
+    if (req.body.discount !== undefined) invoice.discount = req.body.discount || undefined;
+    if (req.body.notes !== undefined) invoice.notes = req.body.notes;
+    await invoice.save();
+
+    await auditInvoice(req, 'invoice.update', invoice, before);
+
+    res.json(await populateInvoice(invoice));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/invoices/:id/issue
+ * @desc    Issue a draft invoice: assign its number and due date, after which it can be paid
+ * @access  Private (payments:write)
+ */
+router.post('/:id/issue', auth, requirePermission('payments:write'), [
+  body('dueDate').optional().isISO8601().withMessage('Invalid due date')
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const invoice = await findWritableInvoice(req);
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+    if (invoice.status !== 'draft') {
+      return res.status(400).json({ message: 'Only draft invoices can be issued' });
+    }
+
+    const issuedAt = new Date();
+    const dueDate = req.body.dueDate
+      ? new Date(req.body.dueDate)
+      : new Date(issuedAt.getTime() + INVOICE_DUE_DAYS * 24 * 60 * 60 * 1000);
+    if (dueDate < issuedAt) {
+      return res.status(400).json({ message: 'The due date cannot be in the past' });
+    }
+
+    // Business logic: Invoice numbers restart every calendar year
+    const year = issuedAt.getUTCFullYear();
+    const sequence = await Counter.next(`invoice-${year}`);
+
+    const before = snapshot(invoice, AUDITED_FIELDS);
+    invoice.number = `${process.env.INVOICE_PREFIX || 'INV'}-${year}-${String(sequence).padStart(6, '0')}`;
+    invoice.status = 'issued';
+    invoice.issuedAt = issuedAt;
+    invoice.dueDate = dueDate;
+    await invoice.save();
+
+    // Payments taken for the appointment before the invoice was issued count towards it
+    await Payment.updateMany({ appointment: invoice.appointment, invoice: null }, { invoice: invoice._id });
+    const synced = await Invoice.syncPayments(invoice._id);
+
+    await auditInvoice(req, 'invoice.issue', synced, before);
+
+    res.json(await populateInvoice(synced));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/invoices/:id/void
+ * @desc    Void an invoice that has nothing paid on it
+ * @access  Private (payments:write)
+ */
+router.post('/:id/void', auth, requirePermission('payments:write'), [
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const invoice = await findWritableInvoice(req);
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+    if (invoice.status === 'void') {
+      return res.status(400).json({ message: 'Invoice is already void' });
+    }
+    if (invoice.amountPaid > 0) {
+      return res.status(400).json({ message: 'Invoices with payments applied cannot be voided' });
+    }
+
+    const before = snapshot(invoice, AUDITED_FIELDS);
+    invoice.status = 'void';
+    invoice.voidedAt = new Date();
+    invoice.voidReason = req.body.reason;
+    await invoice.save();
+
+    await auditInvoice(req, 'invoice.void', invoice, before);
+
+    res.json(await populateInvoice(invoice));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,293 @@
+/**
+ * Patient Document Routes
+ * Handles files kept in a patient's record: radiographs, intraoral photos,
+ * consent forms, referral letters, optionally linked to teeth and an appointment
+ * Files are uploaded as the raw request body (Content-Type set to the file's type)
+ * with their metadata in the query string, and kept in the storage backend
+ * Mounted under /api/patients/:patientId/documents (":patientId" may be "me")
+ */
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { query, validationResult } = require('express-validator');
+const PatientDocument = require('../models/PatientDocument');
+const Appointment = require('../models/Appointment');
+const { auth } = require('../middleware/auth');
+const { patientAccess } = require('../middleware/patientAccess');
+const { hasPermission } = require('../config/permissions');
+const { canAccessAppointment } = require('../utils/ownership');
+const { recordAudit } = require('../utils/audit');
+const { saveFile, readFile, removeFile } = require('../utils/storage');
+const { NUMBERING_SYSTEMS, toFdi } = require('../utils/teeth');
+
+const { DOCUMENT_TYPES, MIME_TYPES } = PatientDocument;
+
+// Same rules as the patient-info routes: patients manage their own record,
+// staff with patientInfo:read/write the records of patients they work with
+const canRead = patientAccess('patientInfo:read', { allowSelf: true });
+const canWrite = patientAccess('patientInfo:write', { allowSelf: true });
+
+const MAX_UPLOAD_MB = Number(process.env.MAX_UPLOAD_MB) || 20;
+const rawParser = express.raw({ type: MIME_TYPES, limit: `${MAX_UPLOAD_MB}mb` });
+
+/**
+ * Read the uploaded file into req.body, answering 413 when it is too large
+ */
+const readUpload = (req, res, next) => {
+  rawParser(req, res, (err) => {
+    if (err) {
+      const message = err.type === 'entity.too.large' ? `File exceeds the ${MAX_UPLOAD_MB} MB limit` : err.message;
+      return res.status(err.status || 400).json({ message });
+    }
+    next();
+  });
+};
+
+/**
+ * Validation middleware for document metadata
+ * Teeth are a comma-separated list in FDI numbering unless numbering is "universal"
+ */
+const validateMetadata = [
+  query('type').isIn(DOCUMENT_TYPES).withMessage('Invalid document type'),
+  query('fileName').trim().notEmpty().withMessage('File name is required'),
+  query('title').optional().trim(),
+  query('description').optional().trim(),
+  query('takenAt').optional().isISO8601().withMessage('Invalid taken-at date'),
+  query('teeth').optional().isString(),
+  query('numbering').optional().isIn(NUMBERING_SYSTEMS).withMessage('Invalid numbering system'),
+  query('appointment').optional().isMongoId().withMessage('Invalid appointment ID')
+];
+
+/**
+ * Validation middleware for document list filters
+ */
+const validateFilters = [
+  query('type').optional().isIn(DOCUMENT_TYPES).withMessage('Invalid document type'),
+  query('appointment').optional().isMongoId().withMessage('Invalid appointment ID'),
+  query('numbering').optional().isIn(NUMBERING_SYSTEMS).withMessage('Invalid numbering system'),
+  query('from').optional().isISO8601().withMessage('Invalid from date'),
+  query('to').optional().isISO8601().withMessage('Invalid to date')
+];
+
+/**
+ * Convert a comma-separated tooth list to FDI numbers; null if any tooth is invalid
+ */
+const parseTeeth = (value, numbering) => {
+  const teeth = [];
+  for (const tooth of String(value || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const fdi = toFdi(tooth, numbering);
+    if (!fdi) return null;
+    teeth.push(fdi);
+  }
+  return [...new Set(teeth)];
+};
+
+/**
+ * Check that a linked appointment is the patient's and in the user's scope
+ * Returns an error [status, message] or null
+ */
+const checkAppointment = async (req, appointmentId) => {
+  const appointment = await Appointment.findById(appointmentId);
+  if (!appointment || !appointment.user.equals(req.patient._id)) {
+    return [400, 'Appointment not found for this patient'];
+  }
+  if (!appointment.user.equals(req.user._id) && !canAccessAppointment(req.user, appointment)) {
+    return [403, 'Not authorized to attach documents to this appointment'];
+  }
+  return null;
+};
+
+/**
+ * Record a document audit entry
+ */
+const auditDocument = (req, action, document, changes) => recordAudit(req, {
+  action,
+  targetType: 'PatientDocument',
+  targetId: document._id,
+  patient: document.patient,
+  changes
+});
+
+/**
+ * @route   GET /api/patients/:patientId/documents?type=&appointment=&tooth=&numbering=&from=&to=
+ * @desc    List a patient's documents, newest first
+ * @access  Private (own record or staff with patientInfo:read)
+ */
+router.get('/', auth, canRead, validateFilters, async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = { patient: req.patient._id };
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.appointment) filter.appointment = req.query.appointment;
+    if (req.query.tooth) {
+      filter.teeth = toFdi(req.query.tooth, req.query.numbering);
+      if (!filter.teeth) {
+        return res.status(400).json({ message: 'Invalid tooth' });
+      }
+    }
+    if (req.query.from || req.query.to) {
+      filter.takenAt = {};
+      if (req.query.from) filter.takenAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.takenAt.$lte = new Date(req.query.to);
+    }
+
+    const documents = await PatientDocument.find(filter)
+      .populate('appointment', 'date status')
+      .populate('uploadedBy', 'name')
+      .sort({ takenAt: -1 });
+
+    res.json(documents);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/patients/:patientId/documents/:documentId
+ * @desc    Get a document's metadata
+ * @access  Private (own record or staff with patientInfo:read)
+ */
+router.get('/:documentId', auth, canRead, async (req, res) => {
+  try {
+    const document = await PatientDocument.findOne({ _id: req.params.documentId, patient: req.patient._id })
+      .populate('appointment', 'date status')
+      .populate('uploadedBy', 'name');
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+    res.json(document);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/patients/:patientId/documents/:documentId/file
+ * @desc    Download a document's file
+ * @access  Private (own record or staff with patientInfo:read)
+ */
+router.get('/:documentId/file', auth, canRead, async (req, res) => {
+  try {
+    const document = await PatientDocument.findOne({ _id: req.params.documentId, patient: req.patient._id });
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    const data = await readFile(document.storage);
+
+    await auditDocument(req, 'patientDocument.read', document);
+
+    res.attachment(document.fileName);
+    res.set('Content-Type', document.mimeType);
+    res.send(data);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/patients/:patientId/documents?type=&fileName=&takenAt=&teeth=&numbering=&appointment=
+ * @desc    Upload a document; the request body is the file itself
+ * @access  Private (own record or staff with patientInfo:write)
+ */
+router.post('/', auth, canWrite, readUpload, validateMetadata, async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // The raw parser only reads accepted file types; anything else leaves no buffer
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(415).json({ message: `Unsupported file type; accepted types are ${MIME_TYPES.join(', ')}` });
+    }
+    if (!req.body.length) {
+      return res.status(400).json({ message: 'File is empty' });
+    }
+
+    const teeth = parseTeeth(req.query.teeth, req.query.numbering);
+    if (!teeth) {
+      return res.status(400).json({ message: 'Invalid tooth' });
+    }
+
+    if (req.query.appointment) {
+      const error = await checkAppointment(req, req.query.appointment);
+      if (error) {
+        return res.status(error[0]).json({ message: error[1] });
+      }
+    }
+
+    const storage = await saveFile(`patients/${req.patient._id}`, req.body);
+
+    const document = new PatientDocument({
+      patient: req.patient._id,
+      type: req.query.type,
+      title: req.query.title,
+      description: req.query.description,
+      takenAt: req.query.takenAt,
+      teeth,
+      appointment: req.query.appointment,
+      fileName: req.query.fileName,
+      mimeType: req.get('Content-Type').split(';')[0].trim().toLowerCase(),
+      size: req.body.length,
+      storage,
+      uploadedBy: req.user._id
+    });
+
+    try {
+      await document.save();
+    } catch (error) {
+      // Do not leave an unreferenced file behind
+      await removeFile(storage).catch(() => {});
+      throw error;
+    }
+
+    await auditDocument(req, 'patientDocument.upload', document, [
+      { field: 'fileName', from: null, to: document.fileName },
+      { field: 'type', from: null, to: document.type }
+    ]);
+
+    res.status(201).json(document);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/patients/:patientId/documents/:documentId
+ * @desc    Delete a document and its file
+ * @access  Private (staff with patientInfo:write, or the patient for files they uploaded)
+ */
+router.delete('/:documentId', auth, canWrite, async (req, res) => {
+  try {
+    const document = await PatientDocument.findOne({ _id: req.params.documentId, patient: req.patient._id });
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    // Authorization check: Patients cannot delete files the clinic added to their record
+    if (!hasPermission(req.user, 'patientInfo:write') && !document.uploadedBy.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to delete this document' });
+    }
+
+    // Remove the file first so a failure leaves the record in place to retry
+    await removeFile(document.storage);
+    await document.deleteOne();
+
+    await auditDocument(req, 'patientDocument.delete', document, [
+      { field: 'fileName', from: document.fileName, to: null },
+      { field: 'type', from: document.type, to: null }
+    ]);
+
+    res.json({ message: 'Document deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -2,12 +2,42 @@
  * Payment Management Routes
  * Handles processing and tracking payments for dental appointments
  * including payment status tracking and financial record keeping
+ * Status changes follow the state machine in models/Payment.js and are kept
+ * in each payment's statusHistory; money is returned through refunds
  */
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const Payment = require('../models/Payment');
-const { auth, authorize } = require('../middleware/auth');
+const Appointment = require('../models/Appointment');
+const Invoice = require('../models/Invoice');
+const Refund = require('../models/Refund');
+const { auth, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
+const { canAccessAppointment, getScopedAppointmentIds } = require('../utils/ownership');
+const { recordAudit, snapshot, diffFields } = require('../utils/audit');
+const { resolvePaymentTarget, checkNewPayment } = require('../utils/payments');
+
+/**
+ * Query filter limiting payments to appointments of the doctors and branches the user works for
+ */
+const paymentScopeFilter = async (user) => {
+  const appointmentIds = await getScopedAppointmentIds(user);
+  return appointmentIds ? { appointment: { $in: appointmentIds } } : {};
+};
+
+/**
+ * Check whether staff may access a payment through its appointment's doctor and branch
+ */
+const canAccessPayment = async (user, payment) => {
+  const appointment = payment.appointment && payment.appointment.doctor
+    ? payment.appointment
+    : await Appointment.findById(payment.appointment);
+  return !appointment || canAccessAppointment(user, appointment);
+};
+
+// Fields whose changes are recorded in the audit log
+const AUDITED_FIELDS = ['user', 'appointment', 'invoice', 'amount', 'status', 'refundedAmount', 'paymentMethod'];
 
 /**
  * Validation middleware for payment data
@@ -15,22 +45,30 @@ const { auth, authorize } = require('../middleware/auth');
  */
 const validatePayment = [
   body('user').isMongoId().withMessage('Invalid user ID'),
-  body('appointment').isMongoId().withMessage('Invalid appointment ID'),
-  body('amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+  body('appointment').if(body('invoice').not().exists()).isMongoId().withMessage('Invalid appointment ID'),
+  body('invoice').optional().isMongoId().withMessage('Invalid invoice ID'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
   body('status').optional().isIn(['pending', 'completed', 'failed']).withMessage('Invalid status'),
-  body('paymentMethod').optional().trim()
+  body('paymentMethod').optional().trim(),
+  body('allowDuplicate').optional().isBoolean().withMessage('allowDuplicate must be a boolean')
 ];
 
 /**
- * @route   GET /api/payments
- * @desc    Get all payments (for financial reporting)
+ * @route   GET /api/payments?awaitingVerification=
+ * @desc    Get all payments (for financial reporting), or only patient payments awaiting verification
  * @access  Private (doctors and assistants only)
  */
-router.get('/', auth, authorize('doctor', /*'assistant'*/), async (req, res) => {
+router.get('/', auth, requirePermission('payments:read'), async (req, res) => {
   try {
-    // Retrieve all payments with user and appointment details
+    const filter = await paymentScopeFilter(req.user);
+    if (req.query.awaitingVerification === 'true') {
+      filter.requiresVerification = true;
+      filter.status = 'pending';
+    }
+
+    // Retrieve payments in the user's scope with user and appointment details
     // Sort by creation date (newest first)
-    const payments = await Payment.find()
+    const payments = await Payment.find(filter)
       .populate('user', 'name email')
       .populate('appointment')
       .sort({ createdAt: -1 });
@@ -57,9 +95,9 @@ router.get('/:id', auth, async (req, res) => {
     }
 
     // Authorization check:
-    // Only payment owner or staff can view payment details
+    // Only payment owner or staff of the appointment's doctor can view payment details
     if (payment.user._id.toString() !== req.user._id.toString() && 
-        !['doctor', 'assistant'].includes(req.user.role)) {
+        (!hasPermission(req.user, 'payments:read') || !await canAccessPayment(req.user, payment))) {
       return res.status(403).json({ message: 'Not authorized to view this payment' });
     }
 
@@ -79,13 +117,18 @@ router.get('/user/:userId', auth, async (req, res) => {
     // Authorization check:
     // Users can only view their own payments unless they're staff
     if (req.user._id.toString() !== req.params.userId && 
-        !['doctor', /*'assistant'*/].includes(req.user.role)) {
+        !hasPermission(req.user, 'payments:read')) {
       return res.status(403).json({ message: 'Not authorized to view these payments' });
     }
 
+    // Staff looking at another user only see payments of doctors they work for
+    const query = req.user._id.toString() === req.params.userId
+      ? { user: req.params.userId }
+      : { user: req.params.userId, ...await paymentScopeFilter(req.user) };
+
     // Find all payments for the specified user
     // Sort by creation date (newest first)
-    const payments = await Payment.find({ user: req.params.userId })
+    const payments = await Payment.find(query)
       .populate('appointment')
       .sort({ createdAt: -1 });
     res.json(payments);
@@ -107,16 +150,50 @@ router.post('/', auth, validatePayment, async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    // Security: If user is a patient, enforce their own user ID
+    // Security: Without payments:write, enforce the caller's own user ID
     // This prevents patients from creating payments for other users
-    if (req.user.role === 'patient') {
+    const isStaff = hasPermission(req.user, 'payments:write');
+    if (!isStaff) {
       req.body.user = req.user._id;
     }
 
-    // Create and save new payment
-    const payment = new Payment(req.body);
+    // Business logic: The payment must be for an unpaid appointment (or invoice) of the patient,
+    // within what is still due, and not a repeat of one just recorded (unless staff confirm it)
+    const target = await checkNewPayment(req.body, { allowDuplicate: isStaff && req.body.allowDuplicate === true });
+    if (target.error) {
+      return res.status(target.error[0]).json(target.error[1]);
+    }
+
+    // Staff can only take payments for the doctors they work for
+    if (isStaff && !canAccessAppointment(req.user, target.appointment)) {
+      return res.status(403).json({ message: 'Not authorized to create payments for this appointment' });
+    }
+
+    // Security: Payments recorded by patients only count once staff verify them
+    const payment = new Payment({
+      user: req.body.user,
+      appointment: target.appointment._id,
+      invoice: target.invoice ? target.invoice._id : undefined,
+      amount: target.amount,
+      status: isStaff ? req.body.status : 'pending',
+      paymentMethod: req.body.paymentMethod,
+      requiresVerification: !isStaff
+    });
     await payment.save();
 
+    // Keep the invoice's balance and paid state current
+    if (payment.invoice) {
+      await Invoice.syncPayments(payment.invoice);
+    }
+
+    await recordAudit(req, {
+      action: 'payment.create',
+      targetType: 'Payment',
+      targetId: payment._id,
+      patient: payment.user,
+      changes: diffFields(snapshot({}, AUDITED_FIELDS), payment, AUDITED_FIELDS)
+    });
+
     // Return newly created payment with populated references
     const populatedPayment = await Payment.findById(payment._id)
       .populate('user', 'name email')
@@ -130,13 +207,14 @@ router.post('/', auth, validatePayment, async (req, res) => {
 
 /**
  * @route   PUT /api/payments/:id
- * @desc    Update payment status (e.g. mark as completed)
+ * @desc    Update payment status (e.g. mark as completed, or verify a patient's payment),
+ *          with an optional reason
  * @access  Private (staff only)
  */
-router.put('/:id', auth, authorize('doctor', 'assistant'), async (req, res) => {
+router.put('/:id', auth, requirePermission('payments:write'), async (req, res) => {
   try {
-    // Validate payment status
-    const { status } = req.body;
+    // Validate payment status; refunded statuses are set by refunds
+    const { status, reason } = req.body;
     if (!status || !['pending', 'completed', 'failed'].includes(status)) {
       return res.status(400).json({ message: 'Invalid status' });
     }
@@ -147,10 +225,52 @@ router.put('/:id', auth, authorize('doctor', 'assistant'), async (req, res) => {
       return res.status(404).json({ message: 'Payment not found' });
     }
 
-    // Update payment status
-    payment.status = status;
+    // Authorization check: Staff only manage payments of the doctors they work for
+    if (!await canAccessPayment(req.user, payment)) {
+      return res.status(403).json({ message: 'Not authorized to update this payment' });
+    }
+
+    // Business logic: Only moves allowed by the payment state machine
+    if (!payment.canTransition(status)) {
+      return res.status(400).json({ message: `Payment cannot move from ${payment.status} to ${status}` });
+    }
+
+    // Business logic: Retrying a failed payment must still fit what is due
+    if (status === 'pending' && payment.status === 'failed') {
+      const target = await resolvePaymentTarget(payment, payment.user);
+      if (target.error) {
+        return res.status(target.error[0]).json({ message: target.error[1] });
+      }
+      if (payment.amount > target.amountDue) {
+        return res.status(400).json({
+          message: `Amount exceeds the ${target.amountDue} still due`,
+          amountDue: target.amountDue
+        });
+      }
+    }
+
+    // Update payment status; completing or failing a patient's payment verifies it
+    const before = snapshot(payment, AUDITED_FIELDS);
+    payment.transition(status, { changedBy: req.user._id, reason });
+    if (payment.requiresVerification && status !== 'pending') {
+      payment.verifiedBy = req.user._id;
+      payment.verifiedAt = new Date();
+    }
     await payment.save();
 
+    // Keep the invoice's balance and paid state current
+    if (payment.invoice) {
+      await Invoice.syncPayments(payment.invoice);
+    }
+
+    await recordAudit(req, {
+      action: 'payment.status.change',
+      targetType: 'Payment',
+      targetId: payment._id,
+      patient: payment.user,
+      changes: diffFields(before, payment, AUDITED_FIELDS)
+    });
+
     // Return updated payment with populated references
     const updatedPayment = await Payment.findById(payment._id)
       .populate('user', 'name email')
@@ -162,4 +282,120 @@ router.put('/:id', auth, authorize('doctor', 'assistant'), async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/payments/:id/refunds
+ * @desc    Get the refunds taken from a payment
+ * @access  Private (payment owner or staff)
+ */
+router.get('/:id/refunds', auth, async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    // Authorization check: Same rules as viewing the payment
+    if (payment.user.toString() !== req.user._id.toString() &&
+        (!hasPermission(req.user, 'payments:read') || !await canAccessPayment(req.user, payment))) {
+      return res.status(403).json({ message: 'Not authorized to view this payment' });
+    }
+
+    const refunds = await Refund.find({ payment: payment._id })
+      .populate('processedBy', 'name')
+      .sort({ createdAt: 1 });
+    res.json(refunds);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/payments/:id/refunds
+ * @desc    Refund all or part of a completed payment
+ * @access  Private (staff only)
+ */
+router.post('/:id/refunds', auth, requirePermission('payments:write'), [
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    // Authorization check: Staff only manage payments of the doctors they work for
+    if (!await canAccessPayment(req.user, payment)) {
+      return res.status(403).json({ message: 'Not authorized to refund this payment' });
+    }
+
+    // Business logic: Only received money can be refunded, and never more than what is left
+    if (!['completed', 'partially-refunded'].includes(payment.status)) {
+      return res.status(400).json({ message: 'Only completed payments can be refunded' });
+    }
+    const refundable = Invoice.roundMoney(payment.amount - payment.refundedAmount);
+    const amount = req.body.amount !== undefined ? Invoice.roundMoney(Number(req.body.amount)) : refundable;
+    if (amount > refundable) {
+      return res.status(400).json({ message: `At most ${refundable} can be refunded from this payment` });
+    }
+    if (amount < 0.01) {
+      return res.status(400).json({ message: 'Refunds must be at least 0.01' });
+    }
+
+    // Business logic: Reserve the amount on the payment first, atomically, so that
+    // concurrent refunds cannot exceed what was paid; the refund is only recorded after
+    const before = snapshot(payment, AUDITED_FIELDS);
+    const refunded = await Payment.reserveRefund(payment._id, amount, {
+      changedBy: req.user._id,
+      reason: req.body.reason
+    });
+    if (!refunded) {
+      return res.status(409).json({ message: 'The payment changed while refunding; check what is left to refund and try again' });
+    }
+
+    const refund = new Refund({
+      payment: refunded._id,
+      user: refunded.user,
+      appointment: refunded.appointment,
+      invoice: refunded.invoice,
+      amount,
+      reason: req.body.reason,
+      processedBy: req.user._id
+    });
+    try {
+      await refund.save();
+    } catch (error) {
+      // Give the reserved amount back so the payment matches the refunds on record
+      await Payment.releaseRefund(refunded._id, amount, {
+        changedBy: req.user._id,
+        reason: `Refund could not be recorded: ${error.message}`
+      });
+      throw error;
+    }
+
+    // Refunds reopen the balance of the invoice the payment was applied to
+    if (refunded.invoice) {
+      await Invoice.syncPayments(refunded.invoice);
+    }
+
+    await recordAudit(req, {
+      action: 'payment.refund',
+      targetType: 'Payment',
+      targetId: refunded._id,
+      patient: refunded.user,
+      changes: diffFields(before, refunded, AUDITED_FIELDS)
+    });
+
+    res.status(201).json({ refund, payment: refunded });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -2,12 +2,25 @@
  * Reminder Notification Routes
  * Handles appointment reminders, follow-up notifications,
  * and other patient communications
+ * Reminders are delivered by the scheduler in jobs/reminders.js once due,
+ * which also creates the automatic ones ahead of each appointment
  */
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Reminder = require('../models/Reminder');
-const { auth, authorize } = require('../middleware/auth');
+const Appointment = require('../models/Appointment');
+const { auth, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
+const { canAccessAppointment, getScopedAppointmentIds } = require('../utils/ownership');
+
+/**
+ * Query filter limiting reminders to appointments of the doctors and branches the user works for
+ */
+const reminderScopeFilter = async (user) => {
+  const appointmentIds = await getScopedAppointmentIds(user);
+  return appointmentIds ? { appointment: { $in: appointmentIds } } : {};
+};
 
 /**
  * Validation middleware for reminder data
@@ -22,15 +35,26 @@ const validateReminder = [
 ];
 
 /**
- * @route   GET /api/reminders
- * @desc    Get all reminders (for staff to monitor)
+ * @route   GET /api/reminders?status=
+ * @desc    Get all reminders (for staff to monitor), optionally by delivery status
  * @access  Private (doctors and assistants only)
  * @note    Auth middleware is commented out during development
  */
-router.get('/', auth, authorize('doctor', 'assistant'), async (req, res) => {
+router.get('/', auth, requirePermission('reminders:read'), [
+  query('status').optional().isIn(Reminder.DELIVERY_STATUSES).withMessage('Invalid status')
+], async (req, res) => {
   try {
-    // Retrieve all reminders with user and appointment information
-    const reminders = await Reminder.find()
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = await reminderScopeFilter(req.user);
+    if (req.query.status) filter.status = req.query.status;
+
+    // Retrieve reminders in the user's scope with user and appointment information
+    const reminders = await Reminder.find(filter)
       .populate('user', 'name email')
       .populate('appointment');
     res.json(reminders);
@@ -50,12 +74,17 @@ router.get('/user/:userId', auth, async (req, res) => {
     // Authorization check:
     // Users can only view their own reminders unless they're staff
     if (req.user._id.toString() !== req.params.userId && 
-        !['doctor', 'assistant'].includes(req.user.role)) {
+        !hasPermission(req.user, 'reminders:read')) {
       return res.status(403).json({ message: 'Not authorized to view these reminders' });
     }
 
+    // Staff looking at another user only see reminders of doctors they work for
+    const query = req.user._id.toString() === req.params.userId
+      ? { user: req.params.userId }
+      : { user: req.params.userId, ...await reminderScopeFilter(req.user) };
+
     // Find reminders for user and sort by date (upcoming first)
-    const reminders = await Reminder.find({ user: req.params.userId })
+    const reminders = await Reminder.find(query)
       .populate('appointment')
       .sort({ date: 1 });
     res.json(reminders);
@@ -70,7 +99,7 @@ router.get('/user/:userId', auth, async (req, res) => {
  * @access  Private (staff only)
  * @note    Auth middleware is commented out during development
  */
-router.post('/', auth, authorize('doctor', 'assistant'), validateReminder, async (req, res) => {
+router.post('/', auth, requirePermission('reminders:write'), validateReminder, async (req, res) => {
   try {
     // Validate request data
     const errors = validationResult(req);
@@ -78,8 +107,18 @@ router.post('/', auth, authorize('doctor', 'assistant'), validateReminder, async
       return res.status(400).json({ errors: errors.array() });
     }
 
-    // Create and save new reminder
-    const reminder = new Reminder(req.body);
+    // Business logic: The appointment must exist, belong to the user, and be in the staff member's scope
+    const appointment = await Appointment.findById(req.body.appointment);
+    if (!appointment || appointment.user.toString() !== req.body.user) {
+      return res.status(400).json({ message: 'Appointment not found for this user' });
+    }
+    if (!canAccessAppointment(req.user, appointment)) {
+      return res.status(403).json({ message: 'Not authorized to create reminders for this appointment' });
+    }
+
+    // Create and save new reminder; the model sets the delivery fields the scheduler relies on
+    const { user, title, message, date } = req.body;
+    const reminder = new Reminder({ user, appointment: appointment._id, title, message, date });
     await reminder.save();
 
     // Return newly created reminder with populated references
@@ -122,9 +161,42 @@ router.put('/:id/read', auth, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/reminders/:id/retry
+ * @desc    Queue a reminder whose delivery failed for one more attempt
+ * @access  Private (staff only)
+ */
+router.post('/:id/retry', auth, requirePermission('reminders:write'), async (req, res) => {
+  try {
+    const reminder = await Reminder.findById(req.params.id);
+    if (!reminder) {
+      return res.status(404).json({ message: 'Reminder not found' });
+    }
+
+    const appointment = await Appointment.findById(reminder.appointment);
+    if (appointment && !canAccessAppointment(req.user, appointment)) {
+      return res.status(403).json({ message: 'Not authorized to update this reminder' });
+    }
+
+    // Business logic: Only failed deliveries are retried, one more attempt each time;
+    // the attempt count and log are kept
+    if (reminder.status !== 'failed') {
+      return res.status(400).json({ message: 'Only failed reminders can be retried' });
+    }
+    reminder.status = 'pending';
+    reminder.manualRetries += 1;
+    reminder.nextAttemptAt = new Date();
+    await reminder.save();
+
+    res.json(reminder);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 /**
  * @route   DELETE /api/reminders/:id
- * @desc    Delete a reminder
+ * @desc    Delete a reminder (automatic reminders are cancelled instead)
  * @access  Private (reminder recipient or staff)
  * @note    Auth middleware is commented out during development
  */
@@ -137,14 +209,29 @@ router.delete('/:id', auth, async (req, res) => {
     }
 
     // Authorization check:
-    // Users can delete their own reminders, staff can delete any reminder
-    if (reminder.user.toString() !== req.user._id.toString() && 
-        !['doctor', 'assistant'].includes(req.user.role)) {
-      return res.status(403).json({ message: 'Not authorized to delete this reminder' });
+    // Users can delete their own reminders, staff those of the doctors they work for
+    if (reminder.user.toString() !== req.user._id.toString()) {
+      const appointment = await Appointment.findById(reminder.appointment);
+      if (!hasPermission(req.user, 'reminders:write') ||
+          (appointment && !canAccessAppointment(req.user, appointment))) {
+        return res.status(403).json({ message: 'Not authorized to delete this reminder' });
+      }
+    }
+
+    // Business logic: Automatic reminders are kept as cancelled, otherwise the
+    // scheduler would generate and send them again
+    if (reminder.source === 'automatic') {
+      if (['pending', 'sending', 'failed'].includes(reminder.status)) {
+        reminder.status = 'cancelled';
+        reminder.lastError = 'Reminder was deleted';
+        reminder.lockedUntil = undefined;
+        await reminder.save();
+      }
+      return res.json({ message: 'Reminder cancelled successfully' });
     }
 
     // Remove the reminder
-    await reminder.remove();
+    await reminder.deleteOne();
     res.json({ message: 'Reminder deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -0,0 +1,323 @@
+/**
+ * Schedule Management Routes
+ * Handles branch opening hours, per-doctor weekly schedules with breaks,
+ * and branch closures, public holidays and doctor leave
+ * Schedules belong to a branch, chosen with a `clinic` query or body field
+ * (defaulting to the caller's only branch)
+ */
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Schedule = require('../models/Schedule');
+const Closure = require('../models/Closure');
+const User = require('../models/User');
+const { auth, requirePermission } = require('../middleware/auth');
+const { DEFAULT_WORKING_DAYS } = require('../utils/schedule');
+const { canAccessClinic, resolveClinic, worksAtClinic } = require('../utils/clinics');
+const { canAccessDoctor } = require('../utils/ownership');
+
+/**
+ * Validation middleware for weekly schedule data
+ * Ensures each working day and break uses valid days and "HH:mm" times
+ */
+const validateSchedule = [
+  body('clinic').optional().isMongoId().withMessage('Invalid clinic ID'),
+  body('workingDays').isArray().withMessage('Working days must be an array'),
+  body('workingDays.*.day').isInt({ min: 0, max: 6 }).withMessage('Day must be between 0 (Sunday) and 6 (Saturday)'),
+  body('workingDays.*.start').matches(Schedule.TIME_PATTERN).withMessage('Start time must be in HH:mm format'),
+  body('workingDays.*.end').matches(Schedule.TIME_PATTERN).withMessage('End time must be in HH:mm format'),
+  body('workingDays.*.breaks').optional().isArray().withMessage('Breaks must be an array'),
+  body('workingDays.*.breaks.*.start').matches(Schedule.TIME_PATTERN).withMessage('Break start must be in HH:mm format'),
+  body('workingDays.*.breaks.*.end').matches(Schedule.TIME_PATTERN).withMessage('Break end must be in HH:mm format'),
+  body('workingDays.*.breaks.*.label').optional().trim()
+];
+
+/**
+ * Validation middleware for closure data
+ */
+const validateClosure = [
+  body('clinic').optional().isMongoId().withMessage('Invalid clinic ID'),
+  body('doctor').optional({ nullable: true }).isMongoId().withMessage('Invalid doctor ID'),
+  body('type').optional().isIn(['holiday', 'closure', 'leave']).withMessage('Invalid closure type'),
+  body('reason').optional().trim(),
+  body('startDate').isISO8601().withMessage('Invalid start date format'),
+  body('endDate').isISO8601().withMessage('Invalid end date format')
+];
+
+/**
+ * Branch a request refers to: an explicit `clinic` (body or query), else the caller's only branch
+ * Writers must work at the branch; anyone may read a branch's schedule
+ */
+const getRequestClinic = (req, { write = false } = {}) => {
+  const requested = req.body.clinic || req.query.clinic;
+  if (requested && !write) {
+    return requested;
+  }
+  return resolveClinic(req.user, requested);
+};
+
+/**
+ * Save the weekly schedule for a branch (doctor = null) or a doctor at that branch
+ * Creates the schedule document on first save
+ */
+const saveSchedule = async (clinic, doctor, workingDays, userId) => {
+  let schedule = await Schedule.findOne({ clinic, doctor });
+  if (!schedule) {
+    schedule = new Schedule({ clinic, doctor });
+  }
+
+  schedule.workingDays = workingDays;
+  schedule.updatedBy = userId;
+  return schedule.save();
+};
+
+/**
+ * @route   GET /api/schedules/clinic?clinic=
+ * @desc    Get a branch's weekly schedule
+ * @access  Private
+ */
+router.get('/clinic', auth, async (req, res) => {
+  try {
+    const clinic = getRequestClinic(req);
+    if (!clinic) {
+      return res.status(400).json({ message: 'Please provide a clinic' });
+    }
+
+    const schedule = await Schedule.findOne({ clinic, doctor: null });
+
+    // Fall back to the default opening hours until staff save a schedule
+    res.json(schedule || { clinic, doctor: null, workingDays: DEFAULT_WORKING_DAYS, isDefault: true });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/schedules/clinic
+ * @desc    Replace a branch's weekly schedule
+ * @access  Private (doctors and assistants of the branch only)
+ */
+router.put('/clinic', auth, requirePermission('schedules:write'), validateSchedule, async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const clinic = getRequestClinic(req, { write: true });
+    if (!clinic) {
+      return res.status(400).json({ message: 'Please provide a clinic you work at' });
+    }
+
+    const schedule = await saveSchedule(clinic, null, req.body.workingDays, req.user._id);
+    res.json(schedule);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/schedules/doctor/:doctorId?clinic=
+ * @desc    Get a doctor's weekly schedule at a branch (or the branch schedule they inherit)
+ * @access  Private
+ */
+router.get('/doctor/:doctorId', auth, async (req, res) => {
+  try {
+    const clinic = getRequestClinic(req);
+    if (!clinic) {
+      return res.status(400).json({ message: 'Please provide a clinic' });
+    }
+
+    const schedule = await Schedule.findOne({ clinic, doctor: req.params.doctorId });
+    if (schedule) {
+      return res.json(schedule);
+    }
+
+    // Doctors without their own schedule follow the branch schedule
+    const clinicSchedule = await Schedule.findOne({ clinic, doctor: null });
+    res.json({
+      clinic,
+      doctor: req.params.doctorId,
+      workingDays: clinicSchedule ? clinicSchedule.workingDays : DEFAULT_WORKING_DAYS,
+      inherited: true
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/schedules/doctor/:doctorId
+ * @desc    Replace a doctor's weekly schedule at a branch
+ * @access  Private (doctors and assistants of the branch only)
+ */
+router.put('/doctor/:doctorId', auth, requirePermission('schedules:write'), validateSchedule, async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const clinic = getRequestClinic(req, { write: true });
+    if (!clinic) {
+      return res.status(400).json({ message: 'Please provide a clinic you work at' });
+    }
+
+    // Business logic: Schedules can only be set for doctors working at the branch
+    const doctor = await User.findById(req.params.doctorId);
+    if (!doctor || doctor.role !== 'doctor') {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+    if (!worksAtClinic(doctor, clinic)) {
+      return res.status(400).json({ message: 'The doctor does not work at this clinic' });
+    }
+
+    const schedule = await saveSchedule(clinic, doctor._id, req.body.workingDays, req.user._id);
+    res.json(schedule);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/schedules/doctor/:doctorId?clinic=
+ * @desc    Remove a doctor's own schedule at a branch so they follow the branch schedule again
+ * @access  Private (doctors and assistants of the branch only)
+ */
+router.delete('/doctor/:doctorId', auth, requirePermission('schedules:write'), async (req, res) => {
+  try {
+    const clinic = getRequestClinic(req, { write: true });
+    if (!clinic) {
+      return res.status(400).json({ message: 'Please provide a clinic you work at' });
+    }
+
+    const schedule = await Schedule.findOneAndDelete({ clinic, doctor: req.params.doctorId });
+    if (!schedule) {
+      return res.status(404).json({ message: 'Schedule not found' });
+    }
+    res.json({ message: 'Doctor schedule removed successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/schedules/closures?clinic=&doctor=&from=&to=
+ * @desc    Get closures, holidays and doctor leave, optionally within a date range
+ * @access  Private
+ */
+router.get('/closures', auth, async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.from) {
+      query.endDate = { $gt: new Date(req.query.from) };
+    }
+    if (req.query.to) {
+      query.startDate = { $lt: new Date(req.query.to) };
+    }
+    // Closures of the branch plus doctor leave, which applies at every branch
+    if (req.query.clinic) {
+      query.clinic = { $in: [req.query.clinic, null] };
+    }
+    if (req.query.doctor) {
+      query.doctor = { $in: [req.query.doctor, null] };
+    }
+
+    const closures = await Closure.find(query)
+      .populate('doctor', 'name')
+      .populate('clinic', 'name')
+      .sort({ startDate: 1 });
+    res.json(closures);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/schedules/closures
+ * @desc    Add a branch closure, public holiday or doctor leave
+ * @access  Private (doctors and assistants only)
+ */
+router.post('/closures', auth, requirePermission('schedules:write'), validateClosure, async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { doctor, type, reason, startDate, endDate } = req.body;
+    if (new Date(endDate) <= new Date(startDate)) {
+      return res.status(400).json({ message: 'End date must be after start date' });
+    }
+
+    // Business logic: Doctor leave applies at every branch, other closures to one branch
+    let clinic = null;
+    if (doctor) {
+      // Authorization check: Leave can only be added for doctors the user works for
+      const doctorUser = await User.findById(doctor);
+      if (!doctorUser || doctorUser.role !== 'doctor') {
+        return res.status(404).json({ message: 'Doctor not found' });
+      }
+      if (!canAccessDoctor(req.user, doctorUser._id)) {
+        return res.status(403).json({ message: 'Not authorized to add leave for this doctor' });
+      }
+    } else {
+      clinic = getRequestClinic(req, { write: true });
+      if (!clinic) {
+        return res.status(400).json({ message: 'Please provide a clinic you work at' });
+      }
+    }
+
+    const closure = new Closure({
+      clinic,
+      doctor: doctor || null,
+      type: type || (doctor ? 'leave' : 'closure'),
+      reason,
+      startDate,
+      endDate,
+      createdBy: req.user._id
+    });
+    await closure.save();
+
+    res.status(201).json(closure);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/schedules/closures/:id
+ * @desc    Remove a closure
+ * @access  Private (doctors and assistants only)
+ */
+router.delete('/closures/:id', auth, requirePermission('schedules:write'), async (req, res) => {
+  try {
+    const closure = await Closure.findById(req.params.id);
+    if (!closure) {
+      return res.status(404).json({ message: 'Closure not found' });
+    }
+
+    // Authorization check: Branch closures can only be removed by staff of that branch,
+    // doctor leave by staff working for that doctor
+    if ((closure.clinic && !canAccessClinic(req.user, closure.clinic)) ||
+        (closure.doctor && !canAccessDoctor(req.user, closure.doctor))) {
+      return res.status(403).json({ message: 'Not authorized to remove this closure' });
+    }
+
+    await Closure.findByIdAndDelete(closure._id);
+    res.json({ message: 'Closure deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -6,17 +6,33 @@
 const express = require('express');
 const router = express.Router();
 const Service = require('../models/services');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
+const { canAccessClinic, resolveClinic } = require('../utils/clinics');
 
 /**
- * @route   GET /api/services
- * @desc    Get all services (active and inactive)
+ * Services can be changed by the doctor who created them, or with services:manageAll,
+ * and only by staff working at the service's branch
+ */
+const canManageService = (user, service) =>
+  canAccessClinic(user, service.clinic) &&
+  (hasPermission(user, 'services:manageAll') ||
+    (service.createdBy && service.createdBy.toString() === user._id.toString()));
+
+/**
+ * Optional ?clinic= filter for the public service listings
+ */
+const clinicFilter = (req) => (req.query.clinic ? { clinic: req.query.clinic } : {});
+
+/**
+ * @route   GET /api/services?clinic=
+ * @desc    Get all services (active and inactive), optionally of one branch
  * @access  Public
  */
 router.get('/', async (req, res) => {
   try {
     // Retrieve all services regardless of active status
-    const services = await Service.find();
+    const services = await Service.find(clinicFilter(req));
     res.json(services);
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -24,14 +40,14 @@ router.get('/', async (req, res) => {
 });
 
 /**
- * @route   GET /api/services/active-services
- * @desc    Get only active services
+ * @route   GET /api/services/active-services?clinic=
+ * @desc    Get only active services, optionally of one branch
  * @access  Public
  */
 router.get('/active-services', async (req, res) => {
   try {
     // Filter services by active status
-    const services = await Service.find({ isActive: true });
+    const services = await Service.find({ isActive: true, ...clinicFilter(req) });
     res.json(services);
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -62,17 +78,26 @@ router.get('/:id', async (req, res) => {
  * @access  Private (doctors only)
  * @note    Auth middleware is commented out during development
  */
-router.post('/create', auth, authorize('doctor'), async (req, res) => {
+router.post('/create', auth, requirePermission('services:write'), async (req, res) => {
   try {
-    const { name, description, duration, price } = req.body;
+    const { name, description, duration, price, category } = req.body;
     
     // Validate required fields
     if (!name || !duration || !price) {
       return res.status(400).json({ message: 'Please provide name, duration, and price' });
     }
+    if (category && !Service.CATEGORIES.includes(category)) {
+      return res.status(400).json({ message: 'Invalid service category' });
+    }
+    
+    // Business logic: Services belong to a branch the user works at
+    const clinic = resolveClinic(req.user, req.body.clinic);
+    if (!clinic) {
+      return res.status(400).json({ message: 'Please provide a clinic you work at' });
+    }
     
-    // Business logic: Prevent duplicate service names
-    const existingService = await Service.findOne({ name });
+    // Business logic: Prevent duplicate service names within a branch
+    const existingService = await Service.findOne({ clinic, name });
     if (existingService) {
       return res.status(400).json({ message: 'Service with this name already exists' });
     }
@@ -83,6 +108,8 @@ router.post('/create', auth, authorize('doctor'), async (req, res) => {
       description,
       duration,
       price,
+      category,
+      clinic,
       createdBy: req.user._id // Uncomment when auth is enabled
     });
     
@@ -99,9 +126,9 @@ router.post('/create', auth, authorize('doctor'), async (req, res) => {
  * @desc    Update an existing service
  * @access  Private (doctors only)
  */
-router.put('/edit-service/:id', auth, authorize('doctor'), async (req, res) => {
+router.put('/edit-service/:id', auth, requirePermission('services:write'), async (req, res) => {
   try {
-    const { name, description, duration, price, isActive } = req.body;
+    const { name, description, duration, price, category, isActive } = req.body;
     
     // Find service by ID
     const service = await Service.findById(req.params.id);
@@ -109,9 +136,18 @@ router.put('/edit-service/:id', auth, authorize('doctor'), async (req, res) => {
       return res.status(404).json({ message: 'Service not found' });
     }
     
-    // Business logic: Prevent duplicate service names
+    // Authorization check: Only the service's creator or a manager can edit it
+    if (!canManageService(req.user, service)) {
+      return res.status(403).json({ message: 'Not authorized to edit this service' });
+    }
+    
+    if (category && !Service.CATEGORIES.includes(category)) {
+      return res.status(400).json({ message: 'Invalid service category' });
+    }
+    
+    // Business logic: Prevent duplicate service names within a branch
     if (name && name !== service.name) {
-      const existingService = await Service.findOne({ name });
+      const existingService = await Service.findOne({ clinic: service.clinic, name });
       if (existingService) {
         return res.status(400).json({ message: 'Service with this name already exists' });
       }
@@ -122,6 +158,7 @@ router.put('/edit-service/:id', auth, authorize('doctor'), async (req, res) => {
     if (description !== undefined) service.description = description;
     if (duration) service.duration = duration;
     if (price !== undefined) service.price = price;
+    if (category) service.category = category;
     if (isActive !== undefined) service.isActive = isActive;
     
     // Save and return the updated service
@@ -138,13 +175,20 @@ router.put('/edit-service/:id', auth, authorize('doctor'), async (req, res) => {
  * @access  Private (doctors only)
  * @note    Auth middleware is commented out during development
  */
-router.delete('/delete-service/:id', auth, authorize('doctor'), async (req, res) => {
+router.delete('/delete-service/:id', auth, requirePermission('services:write'), async (req, res) => {
   try {
-    // Find and delete service by ID
-    const service = await Service.findByIdAndDelete(req.params.id);
+    // Find service by ID
+    const service = await Service.findById(req.params.id);
     if (!service) {
       return res.status(404).json({ message: 'Service not found' });
     }
+    
+    // Authorization check: Only the service's creator or a manager can delete it
+    if (!canManageService(req.user, service)) {
+      return res.status(403).json({ message: 'Not authorized to delete this service' });
+    }
+    
+    await Service.findByIdAndDelete(service._id);
     res.json({ message: 'Service deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: error.message });
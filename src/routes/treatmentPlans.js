@@ -0,0 +1,495 @@
+/**
+ * Treatment Plan Routes
+ * Handles multi-visit treatment plans: ordered steps referencing services with
+ * price estimates, patient acceptance and signature, and progress tracking as
+ * the appointments linked to each step are completed
+ * Mounted under /api/patients/:patientId/treatment-plans (":patientId" may be "me")
+ */
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, validationResult } = require('express-validator');
+const TreatmentPlan = require('../models/TreatmentPlan');
+const Appointment = require('../models/Appointment');
+const Service = require('../models/services');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const { patientAccess } = require('../middleware/patientAccess');
+const { canAccessDoctor, canAccessAppointment } = require('../utils/ownership');
+const { recordAudit, snapshot, diffFields } = require('../utils/audit');
+const { NUMBERING_SYSTEMS, toFdi } = require('../utils/teeth');
+
+// Fields whose changes are recorded in the audit log
+const AUDITED_FIELDS = ['doctor', 'title', 'notes', 'steps', 'status'];
+
+// Patients can view their own plans and accept or decline them; doctors write them
+const canRead = patientAccess('patientInfo:read', { allowSelf: true });
+const canWrite = patientAccess('treatmentPlans:write');
+const canRespond = patientAccess('treatmentPlans:write', { allowSelf: true });
+const canSchedule = patientAccess('appointments:writeAll');
+
+/**
+ * Validation middleware for treatment plan data
+ * Step teeth are given in FDI numbering unless numbering is "universal"
+ */
+const validatePlan = [
+  body('title').trim().notEmpty().withMessage('Title is required'),
+  body('notes').optional().trim(),
+  body('doctor').optional().isMongoId().withMessage('Invalid doctor ID'),
+  body('numbering').optional().isIn(NUMBERING_SYSTEMS).withMessage('Invalid numbering system'),
+  body('steps').isArray({ min: 1 }).withMessage('A plan needs at least one step'),
+  body('steps.*.service').isMongoId().withMessage('Invalid service ID'),
+  body('steps.*.phase').optional().isInt({ min: 1 }).withMessage('Phase must be a positive number'),
+  body('steps.*.description').optional().trim(),
+  body('steps.*.estimatedPrice').optional().isFloat({ min: 0 }).withMessage('Estimated price must be a positive number')
+];
+
+/**
+ * Populate the references shown with treatment plans
+ */
+const populatePlan = (queryOrDoc) => queryOrDoc.populate([
+  { path: 'doctor', select: 'name email' },
+  { path: 'steps.service', select: 'name duration price' },
+  { path: 'steps.appointment', select: 'date status' }
+]);
+
+/**
+ * Build plan steps from request data, pricing each from its service unless an estimate is given
+ * Returns { steps } or { error }
+ */
+const buildSteps = async (input, numbering) => {
+  const serviceIds = [...new Set(input.map(step => step.service))];
+  const services = await Service.find({ _id: { $in: serviceIds } });
+  const servicesById = new Map(services.map(service => [service._id.toString(), service]));
+
+  const steps = [];
+  for (const [index, step] of input.entries()) {
+    const service = servicesById.get(step.service);
+    if (!service) {
+      return { error: `Service not found for step ${index + 1}` };
+    }
+
+    let tooth;
+    if (step.tooth !== undefined && step.tooth !== null && step.tooth !== '') {
+      tooth = toFdi(step.tooth, numbering);
+      if (!tooth) {
+        return { error: `Invalid tooth for step ${index + 1}` };
+      }
+    }
+
+    steps.push({
+      order: index + 1,
+      phase: step.phase || 1,
+      service: service._id,
+      tooth,
+      description: step.description,
+      estimatedPrice: step.estimatedPrice !== undefined ? Number(step.estimatedPrice) : service.price
+    });
+  }
+  return { steps };
+};
+
+/**
+ * Resolve the doctor responsible for a plan: the given one, or the current user when a doctor
+ * Returns the doctor's ID or null when invalid or outside the user's scope
+ */
+const resolveDoctor = async (user, doctorId) => {
+  const id = doctorId || (user.role === 'doctor' ? user._id : null);
+  if (!id || !canAccessDoctor(user, id)) {
+    return null;
+  }
+  const doctor = await User.findById(id);
+  return doctor && doctor.role === 'doctor' ? doctor._id : null;
+};
+
+/**
+ * Load a plan of the patient in the URL; patients never see drafts
+ */
+const findPlan = async (req) => {
+  const plan = await TreatmentPlan.findOne({ _id: req.params.planId, patient: req.patient._id });
+  if (!plan || (plan.status === 'draft' && req.user._id.equals(req.patient._id))) {
+    return null;
+  }
+  return plan;
+};
+
+/**
+ * Record a plan audit entry with the diff against a snapshot taken before the change
+ */
+const auditPlan = (req, action, plan, before) => recordAudit(req, {
+  action,
+  targetType: 'TreatmentPlan',
+  targetId: plan._id,
+  patient: plan.patient,
+  changes: diffFields(before, plan, AUDITED_FIELDS)
+});
+
+/**
+ * @route   GET /api/patients/:patientId/treatment-plans
+ * @desc    Get a patient's treatment plans, newest first
+ * @access  Private (own plans or staff with patientInfo:read)
+ */
+router.get('/', auth, canRead, async (req, res) => {
+  try {
+    const query = { patient: req.patient._id };
+
+    // Drafts are only visible to staff
+    if (req.user._id.equals(req.patient._id)) {
+      query.status = { $ne: 'draft' };
+    }
+
+    const plans = await populatePlan(TreatmentPlan.find(query)).sort({ createdAt: -1 });
+    res.json(plans);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/patients/:patientId/treatment-plans/:planId
+ * @desc    Get a treatment plan with its steps, estimates and progress
+ * @access  Private (own plans or staff with patientInfo:read)
+ */
+router.get('/:planId', auth, canRead, async (req, res) => {
+  try {
+    const plan = await findPlan(req);
+    if (!plan) {
+      return res.status(404).json({ message: 'Treatment plan not found' });
+    }
+    res.json(await populatePlan(plan));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/patients/:patientId/treatment-plans
+ * @desc    Create a draft treatment plan
+ * @access  Private (treatmentPlans:write)
+ */
+router.post('/', auth, canWrite, validatePlan, async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const doctor = await resolveDoctor(req.user, req.body.doctor);
+    if (!doctor) {
+      return res.status(400).json({ message: 'Please provide a doctor you work for' });
+    }
+
+    const { steps, error } = await buildSteps(req.body.steps, req.body.numbering);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const plan = new TreatmentPlan({
+      patient: req.patient._id,
+      doctor,
+      title: req.body.title,
+      notes: req.body.notes,
+      steps,
+      createdBy: req.user._id
+    });
+    await plan.save();
+
+    await auditPlan(req, 'treatmentPlan.create', plan, snapshot({}, AUDITED_FIELDS));
+
+    res.status(201).json(await populatePlan(plan));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/patients/:patientId/treatment-plans/:planId
+ * @desc    Replace a plan's details and steps (only before the patient accepts it)
+ * @access  Private (treatmentPlans:write)
+ */
+router.put('/:planId', auth, canWrite, validatePlan, async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const plan = await findPlan(req);
+    if (!plan) {
+      return res.status(404).json({ message: 'Treatment plan not found' });
+    }
+    if (!canAccessDoctor(req.user, plan.doctor)) {
+      return res.status(403).json({ message: 'Not authorized to edit this treatment plan' });
+    }
+
+    // Business logic: What the patient agreed to cannot change afterwards
+    if (!['draft', 'proposed'].includes(plan.status)) {
+      return res.status(400).json({ message: 'Only draft or proposed plans can be edited' });
+    }
+
+    const doctor = await resolveDoctor(req.user, req.body.doctor || plan.doctor);
+    if (!doctor) {
+      return res.status(400).json({ message: 'Please provide a doctor you work for' });
+    }
+
+    const { steps, error } = await buildSteps(req.body.steps, req.body.numbering);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const before = snapshot(plan, AUDITED_FIELDS);
+    plan.doctor = doctor;
+    plan.title = req.body.title;
+    plan.notes = req.body.notes;
+    plan.steps = steps;
+    await plan.save();
+
+    await auditPlan(req, 'treatmentPlan.update', plan, before);
+
+    res.json(await populatePlan(plan));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/patients/:patientId/treatment-plans/:planId/propose
+ * @desc    Present a draft plan to the patient for acceptance
+ * @access  Private (treatmentPlans:write)
+ */
+router.post('/:planId/propose', auth, canWrite, async (req, res) => {
+  try {
+    const plan = await findPlan(req);
+    if (!plan) {
+      return res.status(404).json({ message: 'Treatment plan not found' });
+    }
+    if (!canAccessDoctor(req.user, plan.doctor)) {
+      return res.status(403).json({ message: 'Not authorized to change this treatment plan' });
+    }
+    if (plan.status !== 'draft') {
+      return res.status(400).json({ message: 'Only draft plans can be proposed' });
+    }
+
+    const before = snapshot(plan, AUDITED_FIELDS);
+    plan.status = 'proposed';
+    await plan.save();
+
+    await auditPlan(req, 'treatmentPlan.propose', plan, before);
+
+    res.json(await populatePlan(plan));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/patients/:patientId/treatment-plans/:planId/accept
+ * @desc    Accept a proposed plan with the patient's signature
+ * @access  Private (the patient, or staff recording an in-person signature)
+ */
+router.post('/:planId/accept', auth, canRespond, [
+  body('signedName').trim().notEmpty().withMessage('Signed name is required'),
+  body('signature').optional().isString().withMessage('Invalid signature')
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const plan = await findPlan(req);
+    if (!plan) {
+      return res.status(404).json({ message: 'Treatment plan not found' });
+    }
+    if (plan.status !== 'proposed') {
+      return res.status(400).json({ message: 'Only proposed plans can be accepted' });
+    }
+
+    const before = snapshot(plan, AUDITED_FIELDS);
+    plan.status = 'accepted';
+    plan.acceptance = {
+      acceptedAt: new Date(),
+      signedName: req.body.signedName,
+      signature: req.body.signature,
+      recordedBy: req.user._id,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+    await plan.save();
+
+    await auditPlan(req, 'treatmentPlan.accept', plan, before);
+
+    res.json(await populatePlan(plan));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/patients/:patientId/treatment-plans/:planId/decline
+ * @desc    Decline a proposed plan
+ * @access  Private (the patient, or staff on their behalf)
+ */
+router.post('/:planId/decline', auth, canRespond, [
+  body('reason').optional().trim()
+], async (req, res) => {
+  try {
+    const plan = await findPlan(req);
+    if (!plan) {
+      return res.status(404).json({ message: 'Treatment plan not found' });
+    }
+    if (plan.status !== 'proposed') {
+      return res.status(400).json({ message: 'Only proposed plans can be declined' });
+    }
+
+    const before = snapshot(plan, AUDITED_FIELDS);
+    plan.status = 'declined';
+    plan.acceptance = {
+      declinedAt: new Date(),
+      declineReason: req.body.reason,
+      recordedBy: req.user._id,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+    await plan.save();
+
+    await auditPlan(req, 'treatmentPlan.decline', plan, before);
+
+    res.json(await populatePlan(plan));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/patients/:patientId/treatment-plans/:planId/cancel
+ * @desc    Cancel a plan that will not be carried out (completed steps are kept)
+ * @access  Private (treatmentPlans:write)
+ */
+router.post('/:planId/cancel', auth, canWrite, async (req, res) => {
+  try {
+    const plan = await findPlan(req);
+    if (!plan) {
+      return res.status(404).json({ message: 'Treatment plan not found' });
+    }
+    if (!canAccessDoctor(req.user, plan.doctor)) {
+      return res.status(403).json({ message: 'Not authorized to change this treatment plan' });
+    }
+    if (['completed', 'cancelled'].includes(plan.status)) {
+      return res.status(400).json({ message: `Treatment plan is already ${plan.status}` });
+    }
+
+    const before = snapshot(plan, AUDITED_FIELDS);
+    plan.status = 'cancelled';
+    await plan.save();
+
+    await auditPlan(req, 'treatmentPlan.cancel', plan, before);
+
+    res.json(await populatePlan(plan));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/patients/:patientId/treatment-plans/:planId/steps/:stepId/appointment
+ * @desc    Link (or with appointment: null, unlink) the appointment in which a step is done
+ * @access  Private (appointments:writeAll)
+ */
+router.put('/:planId/steps/:stepId/appointment', auth, canSchedule, [
+  body('appointment').optional({ nullable: true }).isMongoId().withMessage('Invalid appointment ID')
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const plan = await findPlan(req);
+    if (!plan) {
+      return res.status(404).json({ message: 'Treatment plan not found' });
+    }
+
+    // Business logic: Work can only be scheduled once the patient accepted the plan
+    if (!plan.isActive()) {
+      return res.status(400).json({ message: 'Only accepted plans can be scheduled' });
+    }
+
+    const step = plan.steps.id(req.params.stepId);
+    if (!step) {
+      return res.status(404).json({ message: 'Step not found' });
+    }
+    if (step.status === 'completed') {
+      return res.status(400).json({ message: 'Completed steps cannot be rescheduled' });
+    }
+
+    const before = snapshot(plan, AUDITED_FIELDS);
+    if (req.body.appointment) {
+      const appointment = await Appointment.findById(req.body.appointment);
+      if (!appointment || !appointment.user.equals(plan.patient)) {
+        return res.status(400).json({ message: 'Appointment not found for this patient' });
+      }
+      if (!canAccessAppointment(req.user, appointment)) {
+        return res.status(403).json({ message: 'Not authorized to use this appointment' });
+      }
+      if (appointment.status === 'cancelled') {
+        return res.status(400).json({ message: 'Cancelled appointments cannot be linked' });
+      }
+
+      step.appointment = appointment._id;
+      step.status = appointment.status === 'completed' ? 'completed' : 'scheduled';
+      step.completedAt = appointment.status === 'completed' ? new Date() : null;
+    } else {
+      step.appointment = null;
+      step.status = 'pending';
+    }
+
+    plan.updateProgress();
+    await plan.save();
+
+    await auditPlan(req, 'treatmentPlan.step.schedule', plan, before);
+
+    res.json(await populatePlan(plan));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/patients/:patientId/treatment-plans/:planId
+ * @desc    Delete a draft plan (other plans are cancelled instead)
+ * @access  Private (treatmentPlans:write)
+ */
+router.delete('/:planId', auth, canWrite, async (req, res) => {
+  try {
+    const plan = await findPlan(req);
+    if (!plan) {
+      return res.status(404).json({ message: 'Treatment plan not found' });
+    }
+    if (!canAccessDoctor(req.user, plan.doctor)) {
+      return res.status(403).json({ message: 'Not authorized to delete this treatment plan' });
+    }
+    if (plan.status !== 'draft') {
+      return res.status(400).json({ message: 'Only draft plans can be deleted' });
+    }
+
+    await TreatmentPlan.findByIdAndDelete(plan._id);
+
+    await recordAudit(req, {
+      action: 'treatmentPlan.delete',
+      targetType: 'TreatmentPlan',
+      targetId: plan._id,
+      patient: plan.patient,
+      changes: diffFields(snapshot(plan, AUDITED_FIELDS), {}, AUDITED_FIELDS)
+    });
+
+    res.json({ message: 'Treatment plan deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
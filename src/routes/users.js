@@ -8,7 +8,40 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const PatientInfo = require('../models/patientInfo');
-const { auth, authorize } = require('../middleware/auth');
+const Session = require('../models/Session');
+const { recordAudit, snapshot, diffFields } = require('../utils/audit');
+const { resetFailures } = require('../utils/loginThrottle');
+const { canAccessPatient } = require('../utils/ownership');
+const { getClinicScope } = require('../utils/clinics');
+const Clinic = require('../models/Clinic');
+const { auth, requirePermission } = require('../middleware/auth');
+const { ROLES, ROLE_PERMISSIONS, hasPermission } = require('../config/permissions');
+const { isValidTimezone } = require('../utils/timezone');
+
+// Fields whose changes are recorded in the audit log
+const AUDITED_USER_FIELDS = ['name', 'email', 'phone', 'timezone'];
+const AUDITED_PATIENT_INFO_FIELDS = [
+  'age', 'gender', 'address', 'bloodType', 'medicalHistory',
+  'allergies', 'medications', 'emergencyContact', 'lastVisit'
+];
+
+/**
+ * Validation middleware for patient medical information
+ * Allergies, medications and medical history are lists of structured entries
+ */
+const medicalEntryValidators = (field, nameField) => [
+  body(field).optional().isArray().withMessage(`${field} must be an array`),
+  body(`${field}.*.${nameField}`).trim().notEmpty().withMessage(`${field} entries need a ${nameField}`),
+  body(`${field}.*.severity`).optional({ nullable: true }).isIn(PatientInfo.SEVERITIES).withMessage('Invalid severity'),
+  body(`${field}.*.startDate`).optional({ nullable: true }).isISO8601().withMessage('Invalid start date'),
+  body(`${field}.*.endDate`).optional({ nullable: true }).isISO8601().withMessage('Invalid end date')
+];
+
+const validatePatientInfo = [
+  ...medicalEntryValidators('allergies', 'substance'),
+  ...medicalEntryValidators('medications', 'name'),
+  ...medicalEntryValidators('medicalHistory', 'condition')
+];
 
 /**
  * Validation middleware for user data
@@ -17,20 +50,78 @@ const { auth, authorize } = require('../middleware/auth');
 const validateUser = [
   body('name').trim().notEmpty().withMessage('Name is required'),
   body('email').isEmail().withMessage('Please enter a valid email'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
-  body('role').isIn(['patient', 'doctor', 'assistant']).withMessage('Invalid role')
+  body('role').optional().isIn(ROLES).withMessage('Invalid role'),
+  body('timezone').optional().custom(isValidTimezone).withMessage('Invalid timezone')
 ];
 
 /**
- * @route   GET /api/users
+ * Check whether a user's role holds permissions the acting user lacks
+ */
+const outranks = (user, actor) => {
+  const ownPermissions = ROLE_PERMISSIONS[actor.role] || [];
+  if (ownPermissions.includes('*')) {
+    return false;
+  }
+  return (ROLE_PERMISSIONS[user.role] || []).some(permission => !ownPermissions.includes(permission));
+};
+
+/**
+ * Check whether staff may see another user: patients are shared by all branches,
+ * colleagues only when they work at one of the same branches
+ */
+const canSeeUser = (actor, user) => {
+  const scope = getClinicScope(actor);
+  return !scope || user.role === 'patient' ||
+    (user.clinics || []).some(clinic => scope.includes(clinic.toString()));
+};
+
+/**
+ * Load a user the acting staff member may manage (the permission is checked by the route):
+ * never one whose role holds permissions they lack, patients they work with, and
+ * colleagues at their branches
+ * Returns { user } or { error: [status, message] }
+ */
+const findManagedUser = async (req) => {
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    return { error: [404, 'User not found'] };
+  }
+  if (user._id.equals(req.user._id)) {
+    return { user };
+  }
+  if (outranks(user, req.user)) {
+    return { error: [403, 'Not authorized to manage users with more permissions than your own'] };
+  }
+  const inScope = user.role === 'patient'
+    ? await canAccessPatient(req.user, user._id)
+    : canSeeUser(req.user, user);
+  if (!inScope) {
+    return { error: [403, 'Not authorized to manage this user'] };
+  }
+  return { user };
+};
+
+/**
+ * @route   GET /api/users?role=&clinic=
  * @desc    Get all users
- * @access  Private (doctors and assistants only)
- * @note    Auth middleware is commented out during development
+ * @access  Private (users:read)
  */
-router.get('/', /* auth, authorize('doctor', 'assistant')*/ async (req, res) => {
+router.get('/', auth, requirePermission('users:read'), async (req, res) => {
   try {
+    // Optionally filter by role (e.g. ?role=doctor) and branch
+    const query = req.query.role ? { role: req.query.role } : {};
+    if (req.query.clinic) {
+      query.clinics = req.query.clinic;
+    }
+
+    // Patients are shared by all branches; staff only see colleagues at their own branches
+    const scope = getClinicScope(req.user);
+    if (scope) {
+      query.$or = [{ role: 'patient' }, { clinics: { $in: scope } }];
+    }
+
     // Retrieve all users but exclude password field for security
-    const users = await User.find().select('-password');
+    const users = await User.find(query).select('-password');
     res.json(users);
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -40,14 +131,21 @@ router.get('/', /* auth, authorize('doctor', 'assistant')*/ async (req, res) =>
 /**
  * @route   GET /api/users/:id
  * @desc    Get user by ID
- * @access  Private
+ * @access  Private (own profile or staff with users:read)
  * @note    Auth middleware is commented out during development
  */
 router.get('/:id', auth, async (req, res) => {
   try {
+    // Authorization check:
+    // Users can only view their own profile unless they have users:read
+    if (req.user._id.toString() !== req.params.id &&
+        !hasPermission(req.user, 'users:read')) {
+      return res.status(403).json({ message: 'Not authorized to view this user' });
+    }
+
     // Find user by ID and exclude password
     const user = await User.findById(req.params.id).select('-password');
-    if (!user) {
+    if (!user || (!user._id.equals(req.user._id) && !canSeeUser(req.user, user))) {
       return res.status(404).json({ message: 'User not found' });
     }
     res.json(user);
@@ -71,22 +169,62 @@ router.put('/:id', auth, validateUser, async (req, res) => {
     }
 
     // Authorization check:
-    // Users can only update their own profile unless they're doctor/assistant
+    // Users can only update their own profile unless they have users:write
     if (req.user._id.toString() !== req.params.id && 
-        !['doctor', 'assistant'].includes(req.user.role)) {
+        !hasPermission(req.user, 'users:write')) {
       return res.status(403).json({ message: 'Not authorized to update this user' });
     }
 
-    // Find user by ID
-    const user = await User.findById(req.params.id);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    // Security: Staff only edit users they manage, never those with more permissions
+    const { user, error } = await findManagedUser(req);
+    if (error) {
+      return res.status(error[0]).json({ message: error[1] });
+    }
+
+    // Security: Email addresses receive password resets, so only their owner can change them
+    if (req.body.email && req.body.email !== user.email && !user._id.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Users can only change their own email address' });
+    }
+
+    // Security: Roles can only be changed through the staff-only role endpoint
+    if (req.body.role && req.body.role !== user.role) {
+      return res.status(403).json({ message: 'Roles can only be changed through PUT /api/users/:id/role' });
     }
+    delete req.body.role;
+
+    // Security: Passwords change only through the auth routes, which check the current password
+    if (req.body.password !== undefined) {
+      return res.status(400).json({ message: 'Use PUT /api/auth/change-password to change passwords' });
+    }
+
+    // Security: Verification, lockout and 2FA state are managed by the auth flows
+    delete req.body.emailVerified;
+    delete req.body.emailVerifiedAt;
+    delete req.body.failedLoginAttempts;
+    delete req.body.lockedUntil;
+    delete req.body.mfa;
+    delete req.body.assignedDoctors;
+    delete req.body.clinics;
 
     // Update user fields with request body data
+    const before = snapshot(user, AUDITED_USER_FIELDS);
     Object.assign(user, req.body);
+
+    // A new email address has to be verified again
+    if (user.isModified('email')) {
+      user.emailVerified = false;
+      user.emailVerifiedAt = null;
+    }
     await user.save();
 
+    await recordAudit(req, {
+      action: 'user.update',
+      targetType: 'User',
+      targetId: user._id,
+      patient: user.role === 'patient' ? user._id : undefined,
+      changes: diffFields(before, user, AUDITED_USER_FIELDS)
+    });
+
     // Return updated user data (excluding password)
     res.json({
       id: user._id,
@@ -99,6 +237,185 @@ router.put('/:id', auth, validateUser, async (req, res) => {
   }
 });
 
+/**
+ * @route   PUT /api/users/:id/role
+ * @desc    Change a user's role (recorded in the audit log)
+ * @access  Private (doctors and assistants only)
+ */
+router.put('/:id/role', auth, requirePermission('users:roles'), [
+  body('role').isIn(ROLES).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Business logic: Staff cannot change their own role
+    if (user._id.equals(req.user._id)) {
+      return res.status(403).json({ message: 'You cannot change your own role' });
+    }
+
+    const previousRole = user.role;
+    if (previousRole !== req.body.role) {
+      user.role = req.body.role;
+      await user.save();
+
+      await recordAudit(req, {
+        action: 'user.role.change',
+        targetType: 'User',
+        targetId: user._id,
+        patient: previousRole === 'patient' ? user._id : undefined,
+        changes: [{ field: 'role', from: previousRole, to: user.role }]
+      });
+    }
+
+    res.json({
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/users/:id/assigned-doctors
+ * @desc    Set the doctors whose records a doctor or assistant may access
+ * @access  Private (users:assign)
+ */
+router.put('/:id/assigned-doctors', auth, requirePermission('users:assign'), [
+  body('doctors').isArray().withMessage('Doctors must be an array'),
+  body('doctors.*').isMongoId().withMessage('Invalid doctor ID')
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!['doctor', 'assistant'].includes(user.role)) {
+      return res.status(400).json({ message: 'Only doctors and assistants can be assigned to doctors' });
+    }
+
+    // Business logic: Every assigned ID must be another doctor
+    const doctorIds = [...new Set(req.body.doctors)].filter(id => id !== user._id.toString());
+    const doctorCount = await User.countDocuments({ _id: { $in: doctorIds }, role: 'doctor' });
+    if (doctorCount !== doctorIds.length) {
+      return res.status(400).json({ message: 'All assigned users must be doctors' });
+    }
+
+    const before = snapshot(user, ['assignedDoctors']);
+    user.assignedDoctors = doctorIds;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.assignedDoctors.change',
+      targetType: 'User',
+      targetId: user._id,
+      changes: diffFields(before, user, ['assignedDoctors'])
+    });
+
+    const populatedUser = await User.findById(user._id)
+      .select('name email role assignedDoctors')
+      .populate('assignedDoctors', 'name email');
+    res.json(populatedUser);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/users/:id/clinics
+ * @desc    Set the branches a doctor or assistant works at
+ * @access  Private (clinics:manage)
+ */
+router.put('/:id/clinics', auth, requirePermission('clinics:manage'), [
+  body('clinics').isArray().withMessage('Clinics must be an array'),
+  body('clinics.*').isMongoId().withMessage('Invalid clinic ID')
+], async (req, res) => {
+  try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Business logic: Patients are not tied to a branch
+    if (user.role === 'patient') {
+      return res.status(400).json({ message: 'Patients cannot be assigned to clinics' });
+    }
+
+    const clinicIds = [...new Set(req.body.clinics)];
+    const clinicCount = await Clinic.countDocuments({ _id: { $in: clinicIds } });
+    if (clinicCount !== clinicIds.length) {
+      return res.status(400).json({ message: 'Clinic not found' });
+    }
+
+    const before = snapshot(user, ['clinics']);
+    user.clinics = clinicIds;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.clinics.change',
+      targetType: 'User',
+      targetId: user._id,
+      changes: diffFields(before, user, ['clinics'])
+    });
+
+    const populatedUser = await User.findById(user._id)
+      .select('name email role clinics')
+      .populate('clinics', 'name');
+    res.json(populatedUser);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/users/:id/unlock
+ * @desc    Clear failed logins and lift a temporary account lockout
+ * @access  Private (doctors and assistants only)
+ */
+router.post('/:id/unlock', auth, requirePermission('users:unlock'), async (req, res) => {
+  try {
+    const { user, error } = await findManagedUser(req);
+    if (error) {
+      return res.status(error[0]).json({ message: error[1] });
+    }
+
+    await resetFailures(user._id);
+    await recordAudit(req, {
+      action: 'user.unlock',
+      targetType: 'User',
+      targetId: user._id,
+      changes: [{ field: 'lockedUntil', from: user.lockedUntil, to: null }]
+    });
+
+    res.json({ message: 'Account unlocked successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 /**
  * @route   DELETE /api/users/:id
  * @desc    Delete a user
@@ -108,9 +425,9 @@ router.put('/:id', auth, validateUser, async (req, res) => {
 router.delete('/:id', auth, async (req, res) => {
   try {
     // Authorization check:
-    // Users can only delete their own account unless they're doctor/assistant
+    // Users can only delete their own account unless they have users:delete
     if (req.user._id.toString() !== req.params.id && 
-        !['doctor', 'assistant'].includes(req.user.role)) {
+        !hasPermission(req.user, 'users:delete')) {
       return res.status(403).json({ message: 'Not authorized to delete this user' });
     }
 
@@ -120,12 +437,88 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'User',
+      targetId: user._id,
+      patient: user.role === 'patient' ? user._id : undefined,
+      changes: [{ field: 'email', from: user.email, to: null }]
+    });
+
     res.json({ message: 'User deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
+/**
+ * @route   GET /api/users/:id/sessions
+ * @desc    Get a user's active sessions
+ * @access  Private (doctors and assistants only)
+ */
+router.get('/:id/sessions', auth, requirePermission('sessions:manage'), async (req, res) => {
+  try {
+    const { error } = await findManagedUser(req);
+    if (error) {
+      return res.status(error[0]).json({ message: error[1] });
+    }
+
+    const sessions = await Session.find({
+      user: req.params.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ip createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+    res.json(sessions);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/users/:id/sessions
+ * @desc    Revoke all of a user's sessions
+ * @access  Private (doctors and assistants only)
+ */
+router.delete('/:id/sessions', auth, requirePermission('sessions:manage'), async (req, res) => {
+  try {
+    const { error } = await findManagedUser(req);
+    if (error) {
+      return res.status(error[0]).json({ message: error[1] });
+    }
+
+    const result = await Session.revokeAllForUser(req.params.id, `Revoked by ${req.user.role} ${req.user._id}`);
+    res.json({ message: 'Sessions revoked successfully', revoked: result.modifiedCount });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/users/:id/sessions/:sessionId
+ * @desc    Revoke one of a user's sessions
+ * @access  Private (doctors and assistants only)
+ */
+router.delete('/:id/sessions/:sessionId', auth, requirePermission('sessions:manage'), async (req, res) => {
+  try {
+    const { error } = await findManagedUser(req);
+    if (error) {
+      return res.status(error[0]).json({ message: error[1] });
+    }
+
+    const session = await Session.findOne({ _id: req.params.sessionId, user: req.params.id });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await session.revoke(`Revoked by ${req.user.role} ${req.user._id}`);
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 /**
  * @route   GET /api/users/patient-info/:patientId
  * @desc    Get patient information
@@ -139,9 +532,10 @@ router.get('/patient-info/:patientId', auth, async (req, res) => {
     const targetPatientId = patientId === 'me' ? req.user._id : patientId;
     
     // Authorization check:
-    // Users can only view their own info unless they're doctor/assistant
+    // Users can only view their own info unless they have patientInfo:read
+    // and the patient is seen by a doctor they work for
     if (req.user._id.toString() !== targetPatientId.toString() && 
-        !['doctor', 'assistant'].includes(req.user.role)) {
+        (!hasPermission(req.user, 'patientInfo:read') || !await canAccessPatient(req.user, targetPatientId))) {
       return res.status(403).json({ message: 'Not authorized to view this patient info' });
     }
     
@@ -150,6 +544,13 @@ router.get('/patient-info/:patientId', auth, async (req, res) => {
     if (!patientInfo) {
       return res.status(404).json({ message: 'Patient information not found' });
     }
+
+    await recordAudit(req, {
+      action: 'patientInfo.read',
+      targetType: 'PatientInfo',
+      targetId: patientInfo._id,
+      patient: patientInfo.patientId
+    });
     
     res.json(patientInfo);
   } catch (error) {
@@ -163,8 +564,14 @@ router.get('/patient-info/:patientId', auth, async (req, res) => {
  * @desc    Create patient information
  * @access  Private (own profile or staff members)
  */
-router.post('/patient-info', auth, async (req, res) => {
+router.post('/patient-info', auth, validatePatientInfo, async (req, res) => {
   try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { 
       patientId, 
       age, 
@@ -181,9 +588,10 @@ router.post('/patient-info', auth, async (req, res) => {
     const targetPatientId = patientId || req.user._id;
     
     // Authorization check:
-    // Users can only create their own info unless they're doctor/assistant
+    // Users can only create their own info unless they have patientInfo:write
+    // and the patient is seen by a doctor they work for
     if (req.user._id.toString() !== targetPatientId.toString() && 
-        !['doctor', 'assistant'].includes(req.user.role)) {
+        (!hasPermission(req.user, 'patientInfo:write') || !await canAccessPatient(req.user, targetPatientId))) {
       return res.status(403).json({ message: 'Not authorized to create info for this patient' });
     }
     
@@ -207,6 +615,15 @@ router.post('/patient-info', auth, async (req, res) => {
     });
     
     await patientInfo.save();
+
+    await recordAudit(req, {
+      action: 'patientInfo.create',
+      targetType: 'PatientInfo',
+      targetId: patientInfo._id,
+      patient: patientInfo.patientId,
+      changes: diffFields(snapshot({}, AUDITED_PATIENT_INFO_FIELDS), patientInfo, AUDITED_PATIENT_INFO_FIELDS)
+    });
+
     res.status(201).json(patientInfo);
   } catch (error) {
     console.error('Error creating patient info:', error);
@@ -219,17 +636,24 @@ router.post('/patient-info', auth, async (req, res) => {
  * @desc    Update patient information
  * @access  Private (own profile or staff members)
  */
-router.put('/patient-info/:patientId', auth, async (req, res) => {
+router.put('/patient-info/:patientId', auth, validatePatientInfo, async (req, res) => {
   try {
+    // Validate request data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const patientId = req.params.patientId;
     
     // Special case for 'me' - use the current user's ID
     const targetPatientId = patientId === 'me' ? req.user._id : patientId;
     
     // Authorization check:
-    // Users can only update their own info unless they're doctor/assistant
+    // Users can only update their own info unless they have patientInfo:write
+    // and the patient is seen by a doctor they work for
     if (req.user._id.toString() !== targetPatientId.toString() && 
-        !['doctor', 'assistant'].includes(req.user.role)) {
+        (!hasPermission(req.user, 'patientInfo:write') || !await canAccessPatient(req.user, targetPatientId))) {
       return res.status(403).json({ message: 'Not authorized to update this patient info' });
     }
     
@@ -243,6 +667,9 @@ router.put('/patient-info/:patientId', auth, async (req, res) => {
       });
     }
     
+    const isNew = patientInfo.isNew;
+    const before = snapshot(patientInfo, AUDITED_PATIENT_INFO_FIELDS);
+
     // Update fields
     const fieldsToUpdate = [
       'age', 'gender', 'address', 'bloodType', 'medicalHistory', 
@@ -261,6 +688,15 @@ router.put('/patient-info/:patientId', auth, async (req, res) => {
     }
     
     await patientInfo.save();
+
+    await recordAudit(req, {
+      action: isNew ? 'patientInfo.create' : 'patientInfo.update',
+      targetType: 'PatientInfo',
+      targetId: patientInfo._id,
+      patient: patientInfo.patientId,
+      changes: diffFields(before, patientInfo, AUDITED_PATIENT_INFO_FIELDS)
+    });
+
     res.json(patientInfo);
   } catch (error) {
     console.error('Error updating patient info:', error);
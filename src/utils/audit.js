@@ -0,0 +1,49 @@
+/**
+ * Audit helpers
+ * Records who did what to which record, from the request that did it
+ */
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Write an audit log entry for the authenticated user of the request
+ */
+const recordAudit = (req, { action, targetType, targetId, patient, changes = [] }) => {
+  return AuditLog.create({
+    actor: req.user && req.user._id,
+    action,
+    targetType,
+    targetId,
+    patient,
+    changes,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+};
+
+/**
+ * Plain JSON-comparable value of a field (ObjectIds, dates and subdocuments included)
+ */
+const toPlain = (value) => {
+  if (value === undefined || value === null) return null;
+  return JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Snapshot the given fields of a document, to diff against after an update
+ */
+const snapshot = (doc, fields) => fields.reduce((values, field) => {
+  values[field] = toPlain(doc.get ? doc.get(field) : doc[field]);
+  return values;
+}, {});
+
+/**
+ * Field-level diff between a snapshot and the current state of a document
+ */
+const diffFields = (before, doc, fields) => {
+  const after = snapshot(doc, fields);
+  return fields
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, from: before[field], to: after[field] }));
+};
+
+module.exports = { recordAudit, snapshot, diffFields };
@@ -0,0 +1,62 @@
+/**
+ * Clinic (branch) scoping helpers
+ * Staff work at one or more branches and only see the services, schedules and
+ * appointments of those branches. Roles with clinics:all are unrestricted.
+ * Patients are not tied to a branch: they keep one account across all of them.
+ */
+const { hasPermission } = require('../config/permissions');
+
+/**
+ * IDs of the clinics the user works at, or null when unrestricted
+ */
+const getClinicScope = (user) => {
+  if (hasPermission(user, 'clinics:all')) {
+    return null;
+  }
+  return (user.clinics || []).map(id => id.toString());
+};
+
+/**
+ * Query filter restricting a clinic field to the user's clinics
+ */
+const clinicScopeFilter = (user, field = 'clinic') => {
+  const scope = getClinicScope(user);
+  return scope ? { [field]: { $in: scope } } : {};
+};
+
+/**
+ * Check whether the user works at the given clinic
+ */
+const canAccessClinic = (user, clinicId) => {
+  const scope = getClinicScope(user);
+  if (!scope) {
+    return true;
+  }
+  return Boolean(clinicId) && scope.includes((clinicId._id || clinicId).toString());
+};
+
+/**
+ * Resolve the clinic a staff member is acting in: the requested one if they work there,
+ * otherwise their only clinic. Returns null when none can be determined.
+ */
+const resolveClinic = (user, requested) => {
+  if (requested) {
+    return canAccessClinic(user, requested) ? requested.toString() : null;
+  }
+  const scope = getClinicScope(user);
+  return scope && scope.length === 1 ? scope[0] : null;
+};
+
+/**
+ * Check whether a user (typically a doctor) works at the given clinic
+ */
+const worksAtClinic = (user, clinicId) =>
+  Boolean(clinicId) && (user.clinics || []).some(id => id.toString() === clinicId.toString());
+
+module.exports = {
+  getClinicScope,
+  clinicScopeFilter,
+  canAccessClinic,
+  resolveClinic,
+  worksAtClinic
+};
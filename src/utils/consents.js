@@ -0,0 +1,40 @@
+/**
+ * Consent helpers
+ * A service can require one or more consent forms (ConsentTemplate.services).
+ * A requirement is met once the patient has signed the template's current
+ * version; revising a template's wording asks patients to sign it again.
+ */
+const ConsentTemplate = require('../models/ConsentTemplate');
+const SignedConsent = require('../models/SignedConsent');
+
+/**
+ * Active consent templates that are required for a service and not yet
+ * signed in their current version by the patient
+ * Returns [{ _id, title, version }]
+ */
+const getMissingConsents = async (patientId, serviceId) => {
+  const templates = await ConsentTemplate.find({ services: serviceId, isActive: true })
+    .select('title version')
+    .sort({ title: 1 });
+  if (!templates.length) {
+    return [];
+  }
+
+  const signed = await SignedConsent.find({
+    patient: patientId,
+    template: { $in: templates.map(template => template._id) }
+  }).select('template templateVersion');
+  const signedVersions = new Set(signed.map(consent => `${consent.template}:${consent.templateVersion}`));
+
+  return templates
+    .filter(template => !signedVersions.has(`${template._id}:${template.version}`))
+    .map(template => ({ _id: template._id, title: template.title, version: template.version }));
+};
+
+/**
+ * Whether completing an appointment with missing consents is refused ("block", the default)
+ * or only reported ("warn"), from CONSENT_ENFORCEMENT
+ */
+const blocksWithoutConsent = () => (process.env.CONSENT_ENFORCEMENT || 'block') !== 'warn';
+
+module.exports = { getMissingConsents, blocksWithoutConsent };
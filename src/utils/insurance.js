@@ -0,0 +1,77 @@
+/**
+ * Insurance helpers
+ * Split what a patient is charged into the insurer's and the patient's portions:
+ * each item is covered at the policy's percentage for its service category, and
+ * the insurer never pays more than what is left of the annual maximum (claims
+ * submitted, approved or paid in the current benefit year count against it).
+ */
+const InsurancePolicy = require('../models/InsurancePolicy');
+const Claim = require('../models/Claim');
+const Invoice = require('../models/Invoice');
+
+const { roundMoney } = Invoice;
+
+/**
+ * The patient's policy to use: the given one, else the active primary policy
+ * in force (falling back to a secondary one); null when uninsured
+ */
+const findPolicy = async (patientId, policyId, at = new Date()) => {
+  if (policyId) {
+    return InsurancePolicy.findOne({ _id: policyId, patient: patientId });
+  }
+  const policies = await InsurancePolicy.find({ patient: patientId, isActive: true }).sort({ priority: 1, createdAt: 1 });
+  return policies.find(policy => policy.isInForce(at)) || null;
+};
+
+/**
+ * Insurer amounts counted against the policy's maximum in the benefit year containing a date
+ */
+const getBenefitsUsed = async (policy, at = new Date(), { excludeClaim } = {}) => {
+  const { start, end } = policy.benefitYear(at);
+  const filter = {
+    policy: policy._id,
+    status: { $in: Claim.BENEFIT_STATUSES },
+    submittedAt: { $gte: start, $lt: end }
+  };
+  if (excludeClaim) filter._id = { $ne: excludeClaim };
+
+  const claims = await Claim.find(filter);
+  return roundMoney(claims.reduce((total, claim) => total + claim.benefitAmount(), 0));
+};
+
+/**
+ * Estimate the insurer and patient portions of a list of items
+ * ({ service, description, category, price }), given what the policy already paid this year
+ */
+const estimateCoverage = (policy, items, used = 0) => {
+  let remaining = policy.annualMaximum === null || policy.annualMaximum === undefined
+    ? Infinity
+    : Math.max(policy.annualMaximum - used, 0);
+  const remainingMaximum = remaining;
+
+  const estimated = items.map(item => {
+    const coveragePercent = (policy.coverage && policy.coverage[item.category]) || 0;
+    const insurerPortion = roundMoney(Math.min(item.price * coveragePercent / 100, remaining));
+    remaining -= insurerPortion;
+    return {
+      ...item,
+      coveragePercent,
+      insurerPortion,
+      patientPortion: roundMoney(item.price - insurerPortion)
+    };
+  });
+
+  const total = (field) => roundMoney(estimated.reduce((sum, item) => sum + item[field], 0));
+  return {
+    policy: policy._id,
+    carrier: policy.carrier,
+    items: estimated,
+    totalPrice: total('price'),
+    insurerPortion: total('insurerPortion'),
+    patientPortion: total('patientPortion'),
+    annualMaximum: policy.annualMaximum,
+    remainingMaximum: remainingMaximum === Infinity ? null : roundMoney(remainingMaximum)
+  };
+};
+
+module.exports = { findPolicy, getBenefitsUsed, estimateCoverage };
@@ -0,0 +1,97 @@
+/**
+ * Login throttling
+ * Tracks failed logins per account and per IP address and locks either out
+ * for an exponentially growing period once a threshold is passed
+ */
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+
+const MAX_ACCOUNT_FAILURES = Number(process.env.MAX_ACCOUNT_FAILURES) || 5;
+const MAX_IP_FAILURES = Number(process.env.MAX_IP_FAILURES) || 20;
+const IP_WINDOW_MINUTES = 15;
+const BASE_LOCKOUT_MINUTES = 1;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+// Attempts refused because of a lockout are not guesses, so they do not extend it
+const GUESS_REASONS = ['unknown-email', 'bad-password', 'bad-mfa-code'];
+
+/**
+ * Lockout length after `excess` failures beyond the threshold: 1, 2, 4, ... minutes
+ */
+const lockoutMs = (excess) => Math.min(BASE_LOCKOUT_MINUTES * 2 ** excess, MAX_LOCKOUT_MINUTES) * 60000;
+
+/**
+ * Record a login attempt for reporting and IP throttling
+ */
+const recordAttempt = (req, { email, user, success, reason }) => LoginAttempt.create({
+  email,
+  user: user ? user._id : null,
+  ip: req.ip,
+  userAgent: req.get('User-Agent'),
+  success,
+  reason
+});
+
+/**
+ * Seconds until the IP address may try again, or 0 when it is not blocked
+ * The block starts after MAX_IP_FAILURES failures within IP_WINDOW_MINUTES; its length
+ * grows with every failure over the longest lockout, so it keeps growing across windows
+ */
+const getIpRetryAfter = async (ip) => {
+  const failed = { ip, success: false, reason: { $in: GUESS_REASONS } };
+  const windowStart = new Date(Date.now() - IP_WINDOW_MINUTES * 60000);
+  const recentFailures = await LoginAttempt.countDocuments({ ...failed, createdAt: { $gt: windowStart } });
+  if (recentFailures < MAX_IP_FAILURES) {
+    return 0;
+  }
+
+  const lockoutStart = new Date(Date.now() - MAX_LOCKOUT_MINUTES * 60000);
+  const failures = await LoginAttempt.countDocuments({ ...failed, createdAt: { $gt: lockoutStart } });
+  const lastFailure = await LoginAttempt.findOne(failed).sort({ createdAt: -1 });
+  const blockedUntil = lastFailure.createdAt.getTime() + lockoutMs(failures - MAX_IP_FAILURES);
+  return Math.max(0, Math.ceil((blockedUntil - Date.now()) / 1000));
+};
+
+/**
+ * Seconds until a locked account may try again, or 0 when it is not locked
+ */
+const getAccountRetryAfter = (user) => {
+  if (!user.lockedUntil || user.lockedUntil <= new Date()) {
+    return 0;
+  }
+  return Math.ceil((user.lockedUntil.getTime() - Date.now()) / 1000);
+};
+
+/**
+ * Count a failed password for the account and lock it once past the threshold
+ */
+const registerFailure = async (user) => {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  const excess = updated.failedLoginAttempts - MAX_ACCOUNT_FAILURES;
+  if (excess >= 0) {
+    await User.updateOne(
+      { _id: user._id },
+      { lockedUntil: new Date(Date.now() + lockoutMs(excess)) }
+    );
+  }
+};
+
+/**
+ * Clear the failure count and any lockout of an account
+ */
+const resetFailures = (userId) => User.updateOne(
+  { _id: userId },
+  { failedLoginAttempts: 0, lockedUntil: null }
+);
+
+module.exports = {
+  recordAttempt,
+  getIpRetryAfter,
+  getAccountRetryAfter,
+  registerFailure,
+  resetFailures
+};
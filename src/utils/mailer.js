@@ -0,0 +1,54 @@
+/**
+ * Mail delivery
+ * Messages go through a pluggable transport selected with MAIL_TRANSPORT.
+ * Built-in transports are for development: "console" logs messages and
+ * "file" writes each one as JSON to MAIL_DIR. Production transports
+ * (SMTP, an email API, ...) plug in through registerTransport. Outside
+ * production an unset MAIL_TRANSPORT falls back to "console"; in production
+ * nothing is sent until a transport is configured, rather than printing
+ * reset links and tokens to the logs.
+ */
+const fs = require('fs/promises');
+const path = require('path');
+
+const transports = {
+  console: async (message) => {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+  },
+  file: async (message) => {
+    const dir = process.env.MAIL_DIR || path.join(process.cwd(), 'mail');
+    await fs.mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+    await fs.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+  }
+};
+
+/**
+ * Register a transport: an async function receiving { from, to, subject, text }
+ */
+const registerTransport = (name, send) => {
+  transports[name] = send;
+};
+
+/**
+ * Send a message through the configured transport
+ */
+const sendMail = async ({ to, subject, text }) => {
+  const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? null : 'console');
+  if (!name) {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+  const send = transports[name];
+  if (!send) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  await send({
+    from: process.env.MAIL_FROM || 'no-reply@dental-clinic.local',
+    to,
+    subject,
+    text
+  });
+};
+
+module.exports = { registerTransport, sendMail };
@@ -0,0 +1,107 @@
+/**
+ * Medical alert helpers
+ * Summarises what staff must know before treating a patient: every current allergy,
+ * plus current medications and conditions that are severe or carry a known dental risk
+ */
+const PatientInfo = require('../models/patientInfo');
+
+// Medications and conditions that matter for dental treatment regardless of recorded severity
+const RISK_CATEGORIES = [
+  {
+    label: 'Bleeding risk (anticoagulant or antiplatelet)',
+    appliesTo: 'medication',
+    keywords: ['warfarin', 'coumadin', 'heparin', 'enoxaparin', 'apixaban', 'eliquis', 'rivaroxaban',
+      'xarelto', 'dabigatran', 'pradaxa', 'edoxaban', 'clopidogrel', 'plavix', 'ticagrelor', 'aspirin']
+  },
+  {
+    label: 'Osteonecrosis risk (bisphosphonate or denosumab)',
+    appliesTo: 'medication',
+    keywords: ['alendronate', 'fosamax', 'risedronate', 'ibandronate', 'zoledronic', 'denosumab', 'prolia']
+  },
+  {
+    label: 'Bleeding disorder',
+    appliesTo: 'condition',
+    keywords: ['hemophilia', 'haemophilia', 'von willebrand', 'thrombocytopenia']
+  },
+  {
+    label: 'Endocarditis risk',
+    appliesTo: 'condition',
+    keywords: ['endocarditis', 'prosthetic valve', 'heart valve', 'valve replacement']
+  },
+  {
+    label: 'Pregnancy',
+    appliesTo: 'condition',
+    keywords: ['pregnan']
+  }
+];
+
+const SEVERITY_RANK = PatientInfo.SEVERITIES.reduce((ranks, severity, index) => ({ ...ranks, [severity]: index }), {});
+
+const matchRisk = (appliesTo, text) => {
+  const value = String(text || '').toLowerCase();
+  const category = RISK_CATEGORIES.find(risk =>
+    risk.appliesTo === appliesTo && risk.keywords.some(keyword => value.includes(keyword))
+  );
+  return category ? category.label : null;
+};
+
+const isSerious = (entry) => SEVERITY_RANK[entry.severity] >= SEVERITY_RANK.severe;
+
+/**
+ * Build the alert list for a patient's medical information, most severe first
+ */
+const buildMedicalAlerts = (patientInfo, at = new Date()) => {
+  if (!patientInfo) {
+    return [];
+  }
+
+  const current = (entries) => (entries || []).filter(entry => PatientInfo.isCurrent(entry, at));
+  const alerts = [];
+
+  current(patientInfo.allergies).forEach(allergy => {
+    alerts.push({
+      type: 'allergy',
+      label: `Allergy: ${allergy.substance}`,
+      severity: allergy.severity || null,
+      detail: allergy.reaction || null
+    });
+  });
+
+  current(patientInfo.medications).forEach(medication => {
+    const risk = matchRisk('medication', medication.name);
+    if (risk || isSerious(medication)) {
+      alerts.push({
+        type: 'medication',
+        label: `Medication: ${medication.name}`,
+        severity: medication.severity || null,
+        detail: risk || medication.dosage || null
+      });
+    }
+  });
+
+  current(patientInfo.medicalHistory).forEach(condition => {
+    const risk = matchRisk('condition', condition.condition);
+    if (risk || isSerious(condition)) {
+      alerts.push({
+        type: 'condition',
+        label: `Condition: ${condition.condition}`,
+        severity: condition.severity || null,
+        detail: risk || condition.notes || null
+      });
+    }
+  });
+
+  // Unknown severity sorts with moderate, so unrated allergies are not buried
+  const rank = (alert) => (alert.severity ? SEVERITY_RANK[alert.severity] : SEVERITY_RANK.moderate);
+  return alerts.sort((a, b) => rank(b) - rank(a));
+};
+
+/**
+ * Load a patient's medical information and build their alert list
+ */
+const getMedicalAlerts = async (patientId) => {
+  const patientInfo = await PatientInfo.findOne({ patientId });
+  return buildMedicalAlerts(patientInfo);
+};
+
+module.exports = { buildMedicalAlerts, getMedicalAlerts };
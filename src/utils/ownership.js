@@ -0,0 +1,94 @@
+/**
+ * Ownership helpers
+ * Staff only see records of the doctors they work for: doctors their own and
+ * those they were granted access to, assistants the doctors they are assigned to.
+ * Roles with records:allDoctors (administrators) are unrestricted.
+ * Appointment-based checks also apply the branch scope from utils/clinics.js.
+ */
+const Appointment = require('../models/Appointment');
+const { hasPermission } = require('../config/permissions');
+const { getClinicScope, clinicScopeFilter, canAccessClinic } = require('./clinics');
+
+/**
+ * IDs of the doctors whose records the user may access, or null when unrestricted
+ */
+const getDoctorScope = (user) => {
+  if (hasPermission(user, 'records:allDoctors')) {
+    return null;
+  }
+
+  const doctors = (user.assignedDoctors || []).map(id => id.toString());
+  if (user.role === 'doctor') {
+    doctors.push(user._id.toString());
+  }
+  return doctors;
+};
+
+/**
+ * Query filter restricting a doctor field to the user's scope
+ */
+const doctorScopeFilter = (user, field = 'doctor') => {
+  const scope = getDoctorScope(user);
+  return scope ? { [field]: { $in: scope } } : {};
+};
+
+/**
+ * Check whether the user may access records of the given doctor
+ */
+const canAccessDoctor = (user, doctorId) => {
+  const scope = getDoctorScope(user);
+  return !scope || scope.includes(doctorId.toString());
+};
+
+/**
+ * Query filter restricting appointments to the user's doctors and branches
+ */
+const appointmentScopeFilter = (user) => ({
+  ...doctorScopeFilter(user),
+  ...clinicScopeFilter(user)
+});
+
+/**
+ * Check whether the user may access an appointment (by its doctor and branch)
+ */
+const canAccessAppointment = (user, appointment) => {
+  const doctor = appointment.doctor._id || appointment.doctor;
+  return canAccessDoctor(user, doctor) && canAccessClinic(user, appointment.clinic);
+};
+
+/**
+ * Check whether the user may access a patient's records: the patient has an
+ * appointment with a doctor in scope, or has not been seen by any doctor yet
+ */
+const canAccessPatient = async (user, patientId) => {
+  if (!getDoctorScope(user) && !getClinicScope(user)) {
+    return true;
+  }
+
+  const [inScope, anyAppointment] = await Promise.all([
+    Appointment.exists({ user: patientId, ...appointmentScopeFilter(user) }),
+    Appointment.exists({ user: patientId })
+  ]);
+  return Boolean(inScope) || !anyAppointment;
+};
+
+/**
+ * IDs of the appointments in the user's scope, or null when unrestricted
+ * Used to scope records that hang off appointments (reminders, payments)
+ */
+const getScopedAppointmentIds = async (user) => {
+  if (!getDoctorScope(user) && !getClinicScope(user)) {
+    return null;
+  }
+  return Appointment.distinct('_id', appointmentScopeFilter(user));
+};
+
+module.exports = {
+  getDoctorScope,
+  doctorScopeFilter,
+  appointmentScopeFilter,
+  canAccessDoctor,
+  canAccessAppointment,
+  canAccessPatient,
+  getScopedAppointmentIds
+};
@@ -0,0 +1,95 @@
+/**
+ * Payment providers
+ * Checkouts go through a pluggable provider chosen per payment from those
+ * enabled in PAYMENT_PROVIDERS. Built-in providers: "cash" and "insurance"
+ * are settled offline and confirmed by staff; "fake" is a local card gateway
+ * for development that confirms payments through signed webhooks, like a real
+ * one would. Since anyone can "pay" on it, "fake" is only enabled when listed
+ * in PAYMENT_PROVIDERS, and never when NODE_ENV is production. Card gateways
+ * plug in through registerProvider.
+ *
+ * A provider is an object with:
+ *   method             payment method recorded on the payment ("card", "cash", ...)
+ *   confirmsByWebhook  whether the provider reports the outcome through webhooks
+ *   createCheckout({ payment, amount, currency, description, returnUrl })
+ *                      async; returns { reference, checkoutUrl?, clientSecret?, instructions? }
+ *   verifyWebhook(req) checks the signature of a webhook request and returns
+ *                      { eventId, reference, status: 'completed' | 'failed', reason? };
+ *                      throws when the signature is invalid
+ */
+const crypto = require('crypto');
+
+/**
+ * Secret the fake provider signs its webhooks with
+ */
+const fakeSecret = () => process.env.FAKE_PROVIDER_SECRET || process.env.JWT_SECRET;
+
+/**
+ * HMAC-SHA256 signature of a fake provider webhook body
+ */
+const signFakeEvent = (rawBody) => crypto.createHmac('sha256', fakeSecret()).update(rawBody).digest('hex');
+
+const providers = {
+  cash: {
+    method: 'cash',
+    confirmsByWebhook: false,
+    createCheckout: async ({ payment }) => ({
+      reference: `cash_${payment._id}`,
+      instructions: 'Pay at the front desk; the payment is completed once staff confirm it'
+    })
+  },
+  insurance: {
+    method: 'insurance',
+    confirmsByWebhook: false,
+    createCheckout: async ({ payment }) => ({
+      reference: `insurance_${payment._id}`,
+      instructions: 'Billed to the insurer; the payment is completed once the claim is paid'
+    })
+  },
+  fake: {
+    method: 'card',
+    confirmsByWebhook: true,
+    createCheckout: async () => {
+      const reference = `fake_${crypto.randomUUID()}`;
+      const appUrl = process.env.APP_URL || `http://localhost:${process.env.PORT || 8080}`;
+      return { reference, checkoutUrl: `${appUrl}/api/checkout/fake/${reference}` };
+    },
+    verifyWebhook: (req) => {
+      const signature = req.get('X-Fake-Signature') || '';
+      const expected = signFakeEvent(req.rawBody || '');
+      if (signature.length !== expected.length ||
+          !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw new Error('Invalid webhook signature');
+      }
+      const { id, reference, status, reason } = req.body;
+      return { eventId: id, reference, status, reason };
+    }
+  }
+};
+
+/**
+ * Register a provider (see the shape above)
+ */
+const registerProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+// Providers that settle payments without any money changing hands
+const DEVELOPMENT_PROVIDERS = ['fake'];
+
+/**
+ * Names of the providers enabled in PAYMENT_PROVIDERS (default: cash and insurance)
+ * Development providers are left out in production even when listed
+ */
+const getEnabledProviders = () => (process.env.PAYMENT_PROVIDERS || 'cash,insurance')
+  .split(',')
+  .map(name => name.trim())
+  .filter(name => providers[name])
+  .filter(name => process.env.NODE_ENV !== 'production' || !DEVELOPMENT_PROVIDERS.includes(name));
+
+/**
+ * An enabled provider by name, or null
+ */
+const getProvider = (name) => (getEnabledProviders().includes(name) ? providers[name] : null);
+
+module.exports = { registerProvider, getEnabledProviders, getProvider, signFakeEvent };
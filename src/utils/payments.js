@@ -0,0 +1,129 @@
+/**
+ * Payment helpers
+ * Work out what a payment is for and how much is still owed on it. A payment
+ * is taken against an appointment, or against the invoice issued for it once
+ * there is one; what is owed is the service price or the invoice total, less
+ * payments already received or awaiting confirmation (net of refunds).
+ */
+const Payment = require('../models/Payment');
+const Appointment = require('../models/Appointment');
+const Invoice = require('../models/Invoice');
+const Service = require('../models/services');
+
+// Statuses of payments that count towards what has been paid
+const COMMITTED_STATUSES = ['pending', ...Payment.SETTLED_STATUSES];
+
+// Invoice statuses that take payments, and those that replace the service price
+const PAYABLE_INVOICE_STATUSES = ['issued', 'partially-paid'];
+const ACTIVE_INVOICE_STATUSES = ['issued', 'partially-paid', 'paid'];
+
+// Identical payments within this many minutes are treated as duplicates
+const DUPLICATE_WINDOW_MINUTES = Number(process.env.PAYMENT_DUPLICATE_WINDOW_MINUTES) || 10;
+
+/**
+ * Amount committed by a patient's payments matching a filter
+ */
+const committedAmount = async (filter) => {
+  const [committed] = await Payment.aggregate([
+    { $match: { ...filter, status: { $in: COMMITTED_STATUSES } } },
+    { $group: { _id: null, total: { $sum: { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] } } } }
+  ]);
+  return committed ? committed.total : 0;
+};
+
+/**
+ * Resolve what a payment is for from an appointment and/or invoice ID, for a patient
+ * Payments for an appointment with an issued invoice are applied to that invoice
+ * Returns { appointment, invoice, amountDue } or { error: [status, message] }
+ */
+const resolvePaymentTarget = async ({ appointment: appointmentId, invoice: invoiceId }, patientId) => {
+  let invoice = null;
+  if (invoiceId) {
+    invoice = await Invoice.findById(invoiceId);
+    if (!invoice || !invoice.patient.equals(patientId)) {
+      return { error: [404, 'Invoice not found'] };
+    }
+    if (appointmentId && appointmentId.toString() !== invoice.appointment.toString()) {
+      return { error: [400, 'The invoice belongs to another appointment'] };
+    }
+    appointmentId = invoice.appointment;
+  }
+
+  const appointment = await Appointment.findById(appointmentId);
+  if (!appointment) {
+    return { error: [404, 'Appointment not found'] };
+  }
+  if (!appointment.user.equals(patientId)) {
+    return { error: [400, 'The appointment belongs to another patient'] };
+  }
+  if (appointment.status === 'cancelled') {
+    return { error: [400, 'Cancelled appointments cannot be paid'] };
+  }
+
+  if (!invoice) {
+    invoice = await Invoice.findOne({ appointment: appointment._id, status: { $in: ACTIVE_INVOICE_STATUSES } });
+  }
+
+  let total;
+  let committed;
+  if (invoice) {
+    if (!PAYABLE_INVOICE_STATUSES.includes(invoice.status)) {
+      return { error: [409, invoice.status === 'paid' ? 'This invoice has already been paid' : 'Only issued invoices can take payments'] };
+    }
+    total = invoice.total;
+    committed = await committedAmount({ invoice: invoice._id });
+  } else {
+    const service = await Service.findById(appointment.service);
+    if (!service) {
+      return { error: [400, 'The appointment\'s service no longer exists; issue an invoice instead'] };
+    }
+    total = service.price;
+    committed = await committedAmount({ appointment: appointment._id });
+  }
+
+  const amountDue = Invoice.roundMoney(total - committed);
+  if (amountDue <= 0) {
+    return { error: [409, 'This appointment has already been paid'] };
+  }
+
+  return { appointment, invoice, amountDue };
+};
+
+/**
+ * A recent payment of the same amount by the patient for the same appointment, if any
+ */
+const findDuplicatePayment = ({ user, appointment, amount }) => Payment.findOne({
+  user,
+  appointment,
+  amount,
+  status: { $in: COMMITTED_STATUSES },
+  createdAt: { $gte: new Date(Date.now() - DUPLICATE_WINDOW_MINUTES * 60 * 1000) }
+});
+
+/**
+ * Check a new payment of a patient: its target, that the amount (defaulting to
+ * what is due) does not exceed what is due, and that it is not a duplicate
+ * Returns { appointment, invoice, amount } or { error: [status, body] }
+ */
+const checkNewPayment = async ({ user, appointment, invoice, amount }, { allowDuplicate = false } = {}) => {
+  const target = await resolvePaymentTarget({ appointment, invoice }, user);
+  if (target.error) {
+    return { error: [target.error[0], { message: target.error[1] }] };
+  }
+
+  // Reject overpayments
+  const paymentAmount = amount !== undefined ? Invoice.roundMoney(Number(amount)) : target.amountDue;
+  if (paymentAmount > target.amountDue) {
+    return { error: [400, { message: `Amount exceeds the ${target.amountDue} still due`, amountDue: target.amountDue }] };
+  }
+
+  // Reject likely double submissions unless explicitly allowed
+  const duplicate = await findDuplicatePayment({ user, appointment: target.appointment._id, amount: paymentAmount });
+  if (duplicate && !allowDuplicate) {
+    return { error: [409, { message: 'An identical payment was just recorded for this appointment', duplicate: duplicate._id }] };
+  }
+
+  return { appointment: target.appointment, invoice: target.invoice, amount: paymentAmount };
+};
+
+module.exports = { resolvePaymentTarget, findDuplicatePayment, checkNewPayment };
@@ -0,0 +1,112 @@
+/**
+ * Working-hours helpers
+ * Resolves the schedule that applies to a doctor at a branch (their own weekly schedule
+ * there, falling back to the branch schedule) and turns it into bookable time intervals
+ */
+const Schedule = require('../models/Schedule');
+const Closure = require('../models/Closure');
+const Clinic = require('../models/Clinic');
+const { getClinicTimezone, getZonedParts, zonedTimeToUtc } = require('./timezone');
+
+// Used until staff save a clinic schedule: Saturday to Wednesday, 8 AM to 6 PM
+const DEFAULT_WORKING_DAYS = [6, 0, 1, 2, 3].map(day => ({
+  day,
+  start: '08:00',
+  end: '18:00',
+  breaks: []
+}));
+
+/**
+ * Convert an "HH:mm" string to minutes since midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Load the weekly schedule and closures that apply to a doctor at a branch within [from, to)
+ */
+const loadSchedule = async (clinicId, doctorId, from, to) => {
+  const [clinic, doctorSchedule, clinicSchedule, closures] = await Promise.all([
+    Clinic.findById(clinicId),
+    Schedule.findOne({ clinic: clinicId, doctor: doctorId }),
+    Schedule.findOne({ clinic: clinicId, doctor: null }),
+    Closure.find({
+      startDate: { $lt: to },
+      endDate: { $gt: from },
+      $or: [{ clinic: clinicId, doctor: null }, { doctor: doctorId }]
+    })
+  ]);
+
+  const source = doctorSchedule || clinicSchedule;
+  return {
+    workingDays: source ? source.workingDays : DEFAULT_WORKING_DAYS,
+    closures,
+    timezone: getClinicTimezone(clinic)
+  };
+};
+
+/**
+ * Get the open [start, end) intervals (in ms) of the clinic-local day containing `day`,
+ * with breaks and closures cut out
+ */
+const getWorkingIntervals = (schedule, day) => {
+  const { year, month, day: date, weekday } = getZonedParts(day, schedule.timezone);
+  const workingDay = schedule.workingDays.find(entry => entry.day === weekday);
+  if (!workingDay) {
+    return [];
+  }
+
+  const at = (time) => zonedTimeToUtc(year, month, date, toMinutes(time), schedule.timezone).getTime();
+
+  const blocked = [
+    ...workingDay.breaks.map(pause => [at(pause.start), at(pause.end)]),
+    ...schedule.closures.map(closure => [closure.startDate.getTime(), closure.endDate.getTime()])
+  ];
+
+  let intervals = [[at(workingDay.start), at(workingDay.end)]];
+  blocked.forEach(([blockStart, blockEnd]) => {
+    intervals = intervals.flatMap(([start, end]) => {
+      if (blockEnd <= start || blockStart >= end) {
+        return [[start, end]];
+      }
+      const parts = [];
+      if (blockStart > start) parts.push([start, blockStart]);
+      if (blockEnd < end) parts.push([blockEnd, end]);
+      return parts;
+    });
+  });
+
+  return intervals;
+};
+
+/**
+ * Check that [start, end) falls entirely within the doctor's working hours at a branch
+ * Returns an error message, or null when the time is bookable
+ */
+const checkWorkingHours = async (clinicId, doctorId, start, end) => {
+  const schedule = await loadSchedule(clinicId, doctorId, start, end);
+
+  const closure = schedule.closures[0];
+  if (closure) {
+    const subject = closure.doctor ? 'The doctor is unavailable' : 'The clinic is closed';
+    return `${subject} at this time${closure.reason ? ` (${closure.reason})` : ''}`;
+  }
+
+  const fits = getWorkingIntervals(schedule, start).some(([intervalStart, intervalEnd]) =>
+    start.getTime() >= intervalStart && end.getTime() <= intervalEnd
+  );
+  if (!fits) {
+    return 'Appointments can only be booked within working hours';
+  }
+
+  return null;
+};
+
+module.exports = {
+  DEFAULT_WORKING_DAYS,
+  loadSchedule,
+  getWorkingIntervals,
+  checkWorkingHours
+};
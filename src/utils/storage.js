@@ -0,0 +1,80 @@
+/**
+ * File storage
+ * Uploaded files go through a pluggable backend selected with STORAGE_BACKEND.
+ * The built-in "local" backend keeps files on disk under STORAGE_DIR. Other
+ * backends (S3, Azure Blob, ...) plug in through registerBackend.
+ * Each stored file is recorded with the backend that holds it, so changing
+ * STORAGE_BACKEND does not orphan files saved earlier.
+ */
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Resolve a storage key to a path inside STORAGE_DIR, refusing keys that escape it
+ */
+const localPath = (key) => {
+  const root = path.resolve(process.env.STORAGE_DIR || path.join(process.cwd(), 'uploads'));
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+const backends = {
+  local: {
+    save: async (key, data) => {
+      const filePath = localPath(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, data, { flag: 'wx' });
+    },
+    read: async (key) => fs.readFile(localPath(key)),
+    remove: async (key) => {
+      try {
+        await fs.unlink(localPath(key));
+      } catch (error) {
+        // Already gone: removal is idempotent
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Register a backend: { save(key, buffer), read(key) -> buffer, remove(key) }, all async
+ */
+const registerBackend = (name, backend) => {
+  backends[name] = backend;
+};
+
+const getBackend = (name) => {
+  const backend = backends[name];
+  if (!backend) {
+    throw new Error(`Unknown storage backend: ${name}`);
+  }
+  return backend;
+};
+
+/**
+ * Store a file under a new random key within the given folder
+ * Returns { backend, key } to be kept with the file's record
+ */
+const saveFile = async (folder, data) => {
+  const name = process.env.STORAGE_BACKEND || 'local';
+  const key = `${folder}/${crypto.randomUUID()}`;
+  await getBackend(name).save(key, data);
+  return { backend: name, key };
+};
+
+/**
+ * Read a stored file's contents
+ */
+const readFile = ({ backend, key }) => getBackend(backend).read(key);
+
+/**
+ * Delete a stored file
+ */
+const removeFile = ({ backend, key }) => getBackend(backend).remove(key);
+
+module.exports = { registerBackend, saveFile, readFile, removeFile };
@@ -0,0 +1,82 @@
+/**
+ * Tooth numbering helpers
+ * Teeth are stored by their FDI (ISO 3950) number; the Universal system is supported
+ * for input and display. Permanent teeth: FDI 11-48, Universal 1-32.
+ * Primary teeth: FDI 51-85, Universal A-T.
+ */
+
+// Universal order runs from the upper right, across the upper arch, then back along the lower arch
+const UNIVERSAL_PERMANENT = [
+  18, 17, 16, 15, 14, 13, 12, 11, 21, 22, 23, 24, 25, 26, 27, 28,
+  38, 37, 36, 35, 34, 33, 32, 31, 41, 42, 43, 44, 45, 46, 47, 48
+];
+const UNIVERSAL_PRIMARY = [
+  55, 54, 53, 52, 51, 61, 62, 63, 64, 65,
+  75, 74, 73, 72, 71, 81, 82, 83, 84, 85
+];
+const PRIMARY_LETTERS = 'ABCDEFGHIJKLMNOPQRST';
+
+const NUMBERING_SYSTEMS = ['fdi', 'universal'];
+
+// Tooth surfaces: mesial, distal, occlusal, incisal, buccal/facial, lingual/palatal
+const SURFACES = ['M', 'D', 'O', 'I', 'B', 'L'];
+
+const CONDITIONS = [
+  'sound',
+  'caries',
+  'filling',
+  'crown',
+  'root-canal',
+  'bridge',
+  'sealant',
+  'veneer',
+  'fracture',
+  'implant',
+  'missing',
+  'extraction-planned'
+];
+
+/**
+ * Check whether a number is a valid FDI tooth number
+ */
+const isFdiTooth = (value) => UNIVERSAL_PERMANENT.includes(value) || UNIVERSAL_PRIMARY.includes(value);
+
+/**
+ * Convert a tooth designation in the given numbering system to its FDI number
+ * Returns null when the designation is not a valid tooth
+ */
+const toFdi = (value, numbering = 'fdi') => {
+  const input = String(value).trim().toUpperCase();
+
+  if (numbering === 'universal') {
+    if (/^[A-T]$/.test(input)) {
+      return UNIVERSAL_PRIMARY[PRIMARY_LETTERS.indexOf(input)];
+    }
+    const position = Number(input);
+    return Number.isInteger(position) && position >= 1 && position <= 32 ? UNIVERSAL_PERMANENT[position - 1] : null;
+  }
+
+  const tooth = Number(input);
+  return isFdiTooth(tooth) ? tooth : null;
+};
+
+/**
+ * Convert an FDI tooth number to its Universal designation ("1"-"32" or "A"-"T")
+ */
+const toUniversal = (fdi) => {
+  const permanent = UNIVERSAL_PERMANENT.indexOf(fdi);
+  if (permanent !== -1) {
+    return String(permanent + 1);
+  }
+  const primary = UNIVERSAL_PRIMARY.indexOf(fdi);
+  return primary !== -1 ? PRIMARY_LETTERS[primary] : null;
+};
+
+module.exports = {
+  NUMBERING_SYSTEMS,
+  SURFACES,
+  CONDITIONS,
+  isFdiTooth,
+  toFdi,
+  toUniversal
+};
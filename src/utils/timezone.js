@@ -0,0 +1,132 @@
+/**
+ * Timezone helpers
+ * All dates are stored in UTC; these helpers resolve calendar days, times of day
+ * and local renderings in the clinic's (or a user's) IANA timezone
+ */
+
+// Cached Intl formatters, one per timezone
+const formatters = {};
+
+/**
+ * Check whether a string is a valid IANA timezone name (e.g. "Africa/Algiers")
+ */
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get a branch's timezone, falling back to CLINIC_TIMEZONE and then UTC
+ */
+const getClinicTimezone = (clinic) => (clinic && clinic.timezone) || process.env.CLINIC_TIMEZONE || 'UTC';
+
+/**
+ * Timezone used to render dates for a user: their own setting, else the clinic's
+ */
+const getUserTimezone = (user) => (user && user.timezone) || getClinicTimezone();
+
+const getFormatter = (timeZone) => {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+  return formatters[timeZone];
+};
+
+/**
+ * Split a date into its calendar fields as seen in the given timezone
+ * weekday follows Date#getDay (0 = Sunday, ..., 6 = Saturday)
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  parts.weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+  return parts;
+};
+
+/**
+ * Offset of the timezone from UTC at the given instant, in milliseconds
+ */
+const getOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * Convert a local calendar date and minutes since midnight in a timezone to a UTC Date
+ * Day and minute overflow roll over like Date.UTC (e.g. day + 1 at month end)
+ */
+const zonedTimeToUtc = (year, month, day, minutes, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+  const offset = getOffset(new Date(guess), timeZone);
+  const result = guess - offset;
+
+  // Re-check in case the offset changes between the guess and the result (DST)
+  const correctedOffset = getOffset(new Date(result), timeZone);
+  return new Date(guess - correctedOffset);
+};
+
+/**
+ * Start of the local day containing `date`, shifted by `days` whole days
+ */
+const startOfDay = (date, timeZone, days = 0) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedTimeToUtc(year, month, day + days, 0, timeZone);
+};
+
+/**
+ * Render a date as local ISO 8601 with offset, e.g. "2026-10-20T10:00:00+01:00"
+ */
+const formatLocal = (date, timeZone) => {
+  if (!date) return null;
+
+  const pad = (value) => String(value).padStart(2, '0');
+  const parts = getZonedParts(date, timeZone);
+  const offsetMinutes = Math.round(getOffset(date, timeZone) / 60000);
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absolute = Math.abs(offsetMinutes);
+
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+    `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+};
+
+/**
+ * Add local-time renderings of an appointment's start and end next to the UTC values
+ */
+const localizeAppointment = (appointment, timeZone) => {
+  if (!appointment) return appointment;
+
+  const data = appointment.toObject ? appointment.toObject() : appointment;
+  return {
+    ...data,
+    timezone: timeZone,
+    localDate: formatLocal(data.date, timeZone),
+    localEndDate: formatLocal(data.endDate, timeZone)
+  };
+};
+
+module.exports = {
+  isValidTimezone,
+  getClinicTimezone,
+  getUserTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+  startOfDay,
+  formatLocal,
+  localizeAppointment
+};
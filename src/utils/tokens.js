@@ -0,0 +1,158 @@
+/**
+ * Token helpers
+ * Issues short-lived JWT access tokens bound to a server-side session,
+ * and rotating opaque refresh tokens whose hashes are stored on the session
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+const MFA_TOKEN_TTL = '5m';
+
+/**
+ * Hash a refresh token for storage and lookup
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Sign an access token for the current generation of a session
+ */
+const signAccessToken = (user, session) => jwt.sign(
+  { userId: user._id, sessionId: session._id, gen: session.generation },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+/**
+ * Verify an access token and return its payload (throws when invalid or expired)
+ */
+const verifyAccessToken = (token) => jwt.verify(token, JWT_SECRET);
+
+/**
+ * Start a new session for a user and return its access and refresh tokens
+ */
+const createSession = async (user, req) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 86400000)
+  });
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+/**
+ * Replace a session's refresh token and bump its generation so that
+ * access tokens issued before the refresh stop working
+ */
+const rotateSession = async (session, user) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  session.previousTokenHash = session.refreshTokenHash;
+  session.refreshTokenHash = hashToken(refreshToken);
+  session.generation += 1;
+  session.lastUsedAt = Date.now();
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+/**
+ * Sign a token that lets its holder register with the role of an invite
+ */
+const signInviteToken = (invite) => jwt.sign(
+  { inviteId: invite._id, purpose: 'invite' },
+  JWT_SECRET,
+  { expiresIn: Math.floor((invite.expiresAt - Date.now()) / 1000) }
+);
+
+/**
+ * Verify an invite token and return the invite ID it was signed for
+ */
+const verifyInviteToken = (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (decoded.purpose !== 'invite') {
+    throw new Error('Invalid invite token');
+  }
+  return decoded.inviteId;
+};
+
+/**
+ * Sign the limited token returned by login while the second factor is pending
+ * It cannot be used as an access token: it only identifies the user to /mfa/verify
+ */
+const signMfaToken = (user) => jwt.sign(
+  { userId: user._id, purpose: 'mfa' },
+  JWT_SECRET,
+  { expiresIn: MFA_TOKEN_TTL }
+);
+
+/**
+ * Verify an MFA pending token and return the user ID it was signed for
+ */
+const verifyMfaToken = (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (decoded.purpose !== 'mfa') {
+    throw new Error('Invalid MFA token');
+  }
+  return decoded.userId;
+};
+
+/**
+ * Create a single-use emailed token (password reset, email verification)
+ * Any earlier unused token of the same purpose is invalidated
+ */
+const createUserToken = async (user, purpose, ttlMinutes) => {
+  await UserToken.updateMany(
+    { user: user._id, purpose, usedAt: null },
+    { usedAt: Date.now() }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await UserToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60000)
+  });
+  return token;
+};
+
+/**
+ * Mark a single-use token as used and return it, or null when it is
+ * unknown, expired or already used
+ */
+const consumeUserToken = (token, purpose) => UserToken.findOneAndUpdate(
+  { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+  { usedAt: Date.now() },
+  { new: true }
+);
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  verifyAccessToken,
+  createSession,
+  rotateSession,
+  signInviteToken,
+  verifyInviteToken,
+  signMfaToken,
+  verifyMfaToken,
+  createUserToken,
+  consumeUserToken
+};
@@ -0,0 +1,133 @@
+/**
+ * TOTP helpers (RFC 6238)
+ * Generates and verifies 6-digit, 30-second authenticator app codes, recovery codes,
+ * and encrypts TOTP secrets at rest with AES-256-GCM
+ */
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = process.env.MFA_ISSUER || 'Dental Clinic';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = '';
+  input.replace(/=+$/, '').toUpperCase().split('').forEach(char => {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    bits += index.toString(2).padStart(5, '0');
+  });
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new base32-encoded TOTP secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Compute the code for a secret at a given time step
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code against the current time step, allowing one step of clock drift
+ * Returns the matching time step (to prevent replays), or null when invalid
+ */
+const verifyCode = (secret, code, lastUsedStep = -1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const currentStep = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  for (let step = currentStep - 1; step <= currentStep + 1; step++) {
+    if (step <= lastUsedStep) {
+      continue;
+    }
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Build the otpauth:// URL that authenticator apps import (usually as a QR code)
+ */
+const buildOtpauthUrl = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}` +
+    `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+};
+
+/**
+ * Generate single-use recovery codes in the form "xxxxx-xxxxx"
+ */
+const generateRecoveryCodes = (count = 10) => Array.from({ length: count }, () => {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+});
+
+const getEncryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+/**
+ * Encrypt a TOTP secret for storage as "iv:tag:ciphertext" (base64)
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+};
+
+/**
+ * Decrypt a TOTP secret stored by encryptSecret
+ */
+const decryptSecret = (stored) => {
+  const [iv, tag, ciphertext] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  encryptSecret,
+  decryptSecret
+};
@@ -0,0 +1,159 @@
+/**
+ * Overlapping appointments (Appointment.findOverlapping and PUT /api/appointments/:id)
+ */
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Appointment = require('../src/models/Appointment');
+const Service = require('../src/models/services');
+const AuditLog = require('../src/models/AuditLog');
+const appointmentRoutes = require('../src/routes/appointments');
+const { buildApp, makeUser, authHeader, mockSave } = require('./helpers');
+
+// Working hours are covered by the schedule helpers; every time is open here
+jest.mock('../src/utils/schedule', () => ({
+  ...jest.requireActual('../src/utils/schedule'),
+  checkWorkingHours: jest.fn().mockResolvedValue(null)
+}));
+
+const app = buildApp('/api/appointments', appointmentRoutes);
+
+const MINUTE = 60000;
+
+/**
+ * A query resolving to a document, whatever is populated on it
+ */
+const queryOf = (doc) => {
+  const query = {
+    populate: () => query,
+    then: (resolve, reject) => Promise.resolve(doc).then(resolve, reject)
+  };
+  return query;
+};
+
+describe('Appointment.findOverlapping', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('looks for scheduled appointments of the doctor that start before the end and end after the start', () => {
+    const findOne = jest.spyOn(Appointment, 'findOne').mockResolvedValue(null);
+    const doctor = new mongoose.Types.ObjectId();
+    const excluded = new mongoose.Types.ObjectId();
+    const start = new Date('2024-03-04T09:00:00Z');
+    const end = new Date('2024-03-04T09:30:00Z');
+
+    Appointment.findOverlapping(doctor, start, end, excluded);
+
+    expect(findOne).toHaveBeenCalledWith({
+      doctor,
+      status: 'scheduled',
+      date: { $lt: end },
+      endDate: { $gt: start },
+      _id: { $ne: excluded }
+    });
+  });
+});
+
+describe('PUT /api/appointments/:id', () => {
+  let service;
+  let appointment;
+  let others;
+  let header;
+
+  const start = new Date('2030-03-04T09:00:00Z');
+
+  // An appointment as loaded from the database
+  const book = (date, minutes, fields = {}) => Appointment.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    user: new mongoose.Types.ObjectId(),
+    doctor: appointment ? appointment.doctor : new mongoose.Types.ObjectId(),
+    clinic: service.clinic,
+    service: service._id,
+    date,
+    endDate: new Date(date.getTime() + minutes * MINUTE),
+    status: 'scheduled',
+    ...fields
+  });
+
+  const move = (date, fields = {}) => request(app)
+    .put(`/api/appointments/${appointment._id}`)
+    .set('Authorization', header)
+    .send({
+      user: appointment.user.toString(),
+      doctor: appointment.doctor.toString(),
+      service: appointment.service.toString(),
+      date: date.toISOString(),
+      ...fields
+    });
+
+  beforeEach(() => {
+    service = new Service({ name: 'Cleaning', duration: 30, price: 80, clinic: new mongoose.Types.ObjectId() });
+    appointment = null;
+    appointment = book(start, 30);
+    others = [];
+    header = authHeader(makeUser({ role: 'admin' }));
+
+    jest.spyOn(Appointment, 'findById').mockImplementation(() => queryOf(appointment));
+    jest.spyOn(Service, 'findById').mockImplementation(async () => service);
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+    mockSave(Appointment);
+
+    // Stored appointments, matched the way the overlap query matches them
+    jest.spyOn(Appointment, 'findOne').mockImplementation(async (query) => [appointment, ...others].find(other =>
+      other.doctor.equals(query.doctor) &&
+      other.status === query.status &&
+      other.date < query.date.$lt &&
+      other.endDate > query.endDate.$gt &&
+      (!query._id || !other._id.equals(query._id.$ne))
+    ) || null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rejects a move onto another appointment of the doctor', async () => {
+    const other = book(new Date(start.getTime() + 60 * MINUTE), 30);
+    others.push(other);
+
+    const res = await move(new Date(start.getTime() + 45 * MINUTE));
+
+    expect(res.status).toBe(409);
+    expect(res.body.conflictingAppointment.id).toBe(other._id.toString());
+    expect(Appointment.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('allows a move next to another appointment', async () => {
+    others.push(book(new Date(start.getTime() + 60 * MINUTE), 30));
+
+    const res = await move(new Date(start.getTime() + 30 * MINUTE));
+
+    expect(res.status).toBe(200);
+  });
+
+  it('does not conflict with the appointment being updated', async () => {
+    const res = await move(new Date(start.getTime() + 15 * MINUTE));
+
+    expect(res.status).toBe(200);
+    expect(Appointment.findOne.mock.calls[0][0]._id).toEqual({ $ne: appointment._id });
+    expect(appointment.endDate).toEqual(new Date(start.getTime() + 45 * MINUTE));
+  });
+
+  it('ignores an end date sent by the client', async () => {
+    const res = await move(start, { endDate: new Date(start.getTime() + 5 * MINUTE).toISOString() });
+
+    expect(res.status).toBe(200);
+    expect(appointment.endDate).toEqual(new Date(start.getTime() + 30 * MINUTE));
+  });
+
+  it('keeps the booked length when the service was deleted', async () => {
+    appointment.endDate = new Date(start.getTime() + 50 * MINUTE);
+    service = null;
+    const later = new Date(start.getTime() + 120 * MINUTE);
+
+    const res = await move(later);
+
+    expect(res.status).toBe(200);
+    expect(appointment.endDate).toEqual(new Date(later.getTime() + 50 * MINUTE));
+  });
+});
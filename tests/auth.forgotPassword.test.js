@@ -0,0 +1,42 @@
+/**
+ * Password reset requests (POST /api/auth/forgot-password)
+ */
+const request = require('supertest');
+const User = require('../src/models/User');
+const UserToken = require('../src/models/UserToken');
+const authRoutes = require('../src/routes/auth');
+const { buildApp, makeUser } = require('./helpers');
+
+const app = buildApp('/api/auth', authRoutes);
+
+describe('POST /api/auth/forgot-password', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    // Production without a mail transport: every send fails
+    process.env.NODE_ENV = 'production';
+    delete process.env.MAIL_TRANSPORT;
+
+    jest.spyOn(UserToken, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(UserToken, 'create').mockResolvedValue({});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it('responds the same way for known and unknown emails when mail cannot be sent', async () => {
+    const user = makeUser();
+    jest.spyOn(User, 'findOne').mockResolvedValueOnce(user).mockResolvedValueOnce(null);
+
+    const known = await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+    const unknown = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+
+    expect(known.status).toBe(200);
+    expect(unknown.status).toBe(200);
+    expect(known.body).toEqual(unknown.body);
+    expect(console.error).toHaveBeenCalledWith('Error sending password reset email:', expect.any(Error));
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Failed login lockout per account and throttling per IP address (POST /api/auth/login)
+ */
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const LoginAttempt = require('../src/models/LoginAttempt');
+const authRoutes = require('../src/routes/auth');
+const { buildApp, makeUser, mockSave } = require('./helpers');
+
+const app = buildApp('/api/auth', authRoutes);
+
+const PASSWORD = 'correct-password';
+const MINUTE = 60000;
+
+describe('POST /api/auth/login lockout', () => {
+  let user;
+  let attempts;
+
+  const login = (password) => request(app)
+    .post('/api/auth/login')
+    .send({ email: user.email, password });
+
+  beforeEach(() => {
+    user = makeUser({ password: bcrypt.hashSync(PASSWORD, 4) });
+    attempts = [];
+
+    // The account's failure count and lock live on the in-memory user
+    jest.spyOn(User, 'findOne').mockImplementation(async () => user);
+    jest.spyOn(User, 'findByIdAndUpdate').mockImplementation(async (id, update) => {
+      user.failedLoginAttempts += update.$inc.failedLoginAttempts;
+      return user;
+    });
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+      Object.assign(user, update);
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(LoginAttempt, 'create').mockImplementation(async (attempt) => {
+      attempts.push(attempt);
+      return attempt;
+    });
+    jest.spyOn(LoginAttempt, 'countDocuments').mockResolvedValue(0);
+    mockSave(Session);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('locks the account after five failed passwords, even for the right one', async () => {
+    for (let i = 0; i < 4; i++) {
+      expect((await login('wrong-password')).status).toBe(401);
+    }
+    expect(user.lockedUntil).toBeFalsy();
+
+    expect((await login('wrong-password')).status).toBe(401);
+    expect(user.failedLoginAttempts).toBe(5);
+    expect(user.lockedUntil.getTime()).toBeGreaterThan(Date.now());
+
+    const res = await login(PASSWORD);
+    expect(res.status).toBe(423);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect(res.body.token).toBeUndefined();
+    expect(attempts.map(attempt => attempt.reason)).toEqual([
+      ...Array(5).fill('bad-password'),
+      'account-locked'
+    ]);
+  });
+
+  it('doubles the lockout with each further failure', async () => {
+    user.failedLoginAttempts = 4;
+    await login('wrong-password');
+    const firstLock = user.lockedUntil.getTime() - Date.now();
+
+    // Let the lock expire, then fail once more
+    user.lockedUntil = new Date(Date.now() - 1000);
+    await login('wrong-password');
+    const secondLock = user.lockedUntil.getTime() - Date.now();
+
+    expect(firstLock).toBeGreaterThan(0.9 * MINUTE);
+    expect(firstLock).toBeLessThanOrEqual(MINUTE);
+    expect(secondLock).toBeGreaterThan(1.9 * MINUTE);
+    expect(secondLock).toBeLessThanOrEqual(2 * MINUTE);
+  });
+
+  it('lets the account in once the lock expires and clears the failures', async () => {
+    user.failedLoginAttempts = 5;
+    user.lockedUntil = new Date(Date.now() - 1000);
+
+    const res = await login(PASSWORD);
+
+    expect(res.status).toBe(200);
+    expect(res.body.refreshToken).toBeDefined();
+    expect(user.failedLoginAttempts).toBe(0);
+    expect(user.lockedUntil).toBeNull();
+  });
+
+  describe('per IP address', () => {
+    const ip = '::ffff:127.0.0.1';
+
+    // Stored attempts of the IP, matched the way the throttle queries them
+    const storeFailures = (count, minutesAgo) => {
+      for (let i = 0; i < count; i++) {
+        attempts.push({ ip, success: false, reason: 'bad-password', createdAt: new Date(Date.now() - minutesAgo * MINUTE) });
+      }
+    };
+    const matches = (filter) => attempts.filter(attempt => attempt.ip === filter.ip &&
+      attempt.success === filter.success &&
+      filter.reason.$in.includes(attempt.reason) &&
+      (!filter.createdAt || attempt.createdAt > filter.createdAt.$gt));
+
+    beforeEach(() => {
+      LoginAttempt.create.mockImplementation(async (attempt) => {
+        attempts.push({ ...attempt, createdAt: new Date() });
+        return attempt;
+      });
+      LoginAttempt.countDocuments.mockImplementation(async filter => matches(filter).length);
+      jest.spyOn(LoginAttempt, 'findOne').mockImplementation(filter => ({
+        sort: async () => matches(filter).sort((a, b) => b.createdAt - a.createdAt)[0] || null
+      }));
+    });
+
+    it('does not extend the block with attempts refused while blocked', async () => {
+      storeFailures(20, 0);
+
+      const first = await login(PASSWORD);
+      for (let i = 0; i < 5; i++) {
+        await login(PASSWORD);
+      }
+      const last = await login(PASSWORD);
+
+      expect(first.status).toBe(429);
+      expect(last.status).toBe(429);
+      expect(Number(last.headers['retry-after'])).toBeLessThanOrEqual(Number(first.headers['retry-after']));
+      expect(Number(last.headers['retry-after'])).toBeLessThanOrEqual(60);
+    });
+
+    it('keeps growing the block across counting windows', async () => {
+      storeFailures(20, 120);
+      storeFailures(20, 0);
+
+      const res = await login(PASSWORD);
+
+      expect(res.status).toBe(429);
+      expect(Number(res.headers['retry-after'])).toBeGreaterThan(23 * 60 * 60);
+    });
+
+    it('only starts a block on failures within the last 15 minutes', async () => {
+      storeFailures(20, 120);
+
+      const res = await login(PASSWORD);
+
+      expect(res.status).toBe(200);
+    });
+  });
+
+  it('throttles an IP address with too many recent failures', async () => {
+    LoginAttempt.countDocuments.mockResolvedValue(20);
+    jest.spyOn(LoginAttempt, 'findOne').mockReturnValue({
+      sort: jest.fn().mockResolvedValue({ createdAt: new Date() })
+    });
+
+    const res = await login(PASSWORD);
+
+    expect(res.status).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect(attempts.map(attempt => attempt.reason)).toEqual(['ip-blocked']);
+    expect(User.findOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * TOTP codes and the two-step login (POST /api/auth/login, POST /api/auth/mfa/verify)
+ */
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const LoginAttempt = require('../src/models/LoginAttempt');
+const authRoutes = require('../src/routes/auth');
+const { auth } = require('../src/middleware/auth');
+const { hashToken } = require('../src/utils/tokens');
+const {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  encryptSecret,
+  decryptSecret
+} = require('../src/utils/totp');
+const { buildApp, makeUser, mockSave } = require('./helpers');
+
+const app = buildApp('/api/auth', authRoutes);
+app.get('/protected', auth, (req, res) => res.json({ ok: true }));
+
+const PASSWORD = 'correct-password';
+const RECOVERY_CODE = 'abcde-12345';
+
+const currentStep = () => Math.floor(Date.now() / 30000);
+
+describe('TOTP helpers', () => {
+  const secret = generateSecret();
+
+  it('accepts the current code and one step of clock drift', () => {
+    const step = currentStep();
+    expect(verifyCode(secret, generateCode(secret, step))).toBe(step);
+    expect(verifyCode(secret, generateCode(secret, step - 1))).toBe(step - 1);
+    expect(verifyCode(secret, generateCode(secret, step + 1))).toBe(step + 1);
+  });
+
+  it('rejects stale, replayed and malformed codes', () => {
+    const step = currentStep();
+    expect(verifyCode(secret, generateCode(secret, step - 3))).toBeNull();
+    expect(verifyCode(secret, generateCode(secret, step), step)).toBeNull();
+    expect(verifyCode(secret, '12345')).toBeNull();
+    expect(verifyCode(secret, 'abcdef')).toBeNull();
+  });
+
+  it('matches the RFC 6238 SHA-1 test vector', () => {
+    // "12345678901234567890" in base32, at T = 59 seconds (step 1)
+    expect(generateCode('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', 1)).toBe('287082');
+  });
+
+  it('encrypts secrets at rest', () => {
+    const stored = encryptSecret(secret);
+    expect(stored).not.toContain(secret);
+    expect(decryptSecret(stored)).toBe(secret);
+  });
+});
+
+describe('two-step login', () => {
+  let user;
+  let secret;
+
+  beforeEach(() => {
+    secret = generateSecret();
+    user = makeUser({
+      role: 'doctor',
+      password: bcrypt.hashSync(PASSWORD, 4),
+      mfa: {
+        enabled: true,
+        secret: encryptSecret(secret),
+        recoveryCodes: [hashToken(RECOVERY_CODE)],
+        lastUsedStep: -1
+      }
+    });
+
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+    jest.spyOn(User, 'findByIdAndUpdate').mockImplementation(async (id, update) => {
+      user.failedLoginAttempts += update.$inc.failedLoginAttempts;
+      return user;
+    });
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+      Object.assign(user, update);
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(LoginAttempt, 'create').mockImplementation(async attempt => attempt);
+    jest.spyOn(LoginAttempt, 'countDocuments').mockResolvedValue(0);
+    mockSave(User);
+    mockSave(Session);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const startLogin = async () => {
+    const res = await request(app).post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+    return res.body.mfaToken;
+  };
+
+  const verify = (mfaToken, fields) => request(app).post('/api/auth/mfa/verify').send({ mfaToken, ...fields });
+
+  it('asks for a second factor instead of issuing tokens', async () => {
+    const res = await request(app).post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ mfaRequired: true, mfaToken: expect.any(String) });
+  });
+
+  it('does not accept the MFA token as an access token', async () => {
+    const mfaToken = await startLogin();
+
+    const res = await request(app).get('/protected').set('Authorization', `Bearer ${mfaToken}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('completes the login with a valid code, which cannot be used again', async () => {
+    const mfaToken = await startLogin();
+    const step = currentStep();
+    const code = generateCode(secret, step);
+
+    const res = await verify(mfaToken, { code });
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeDefined();
+    expect(res.body.refreshToken).toBeDefined();
+    expect(user.mfa.lastUsedStep).toBe(step);
+
+    const replay = await verify(mfaToken, { code });
+    expect(replay.status).toBe(401);
+  });
+
+  it('counts wrong codes towards the account lockout', async () => {
+    const mfaToken = await startLogin();
+    const wrong = generateCode(secret, currentStep() - 5);
+
+    for (let i = 0; i < 5; i++) {
+      expect((await verify(mfaToken, { code: wrong })).status).toBe(401);
+    }
+    expect(user.failedLoginAttempts).toBe(5);
+
+    const res = await verify(mfaToken, { code: generateCode(secret, currentStep()) });
+    expect(res.status).toBe(423);
+  });
+
+  it('accepts a recovery code only once', async () => {
+    const mfaToken = await startLogin();
+
+    const res = await verify(mfaToken, { recoveryCode: ` ${RECOVERY_CODE.toUpperCase()} ` });
+    expect(res.status).toBe(200);
+    expect(user.mfa.recoveryCodes).toHaveLength(0);
+
+    const reuse = await verify(mfaToken, { recoveryCode: RECOVERY_CODE });
+    expect(reuse.status).toBe(401);
+  });
+
+  it('rejects an invalid MFA token', async () => {
+    const res = await verify('not-a-token', { code: generateCode(secret, currentStep()) });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid or expired MFA token');
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Refresh token rotation and reuse detection (POST /api/auth/refresh)
+ */
+const request = require('supertest');
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const authRoutes = require('../src/routes/auth');
+const { auth } = require('../src/middleware/auth');
+const { createSession, hashToken } = require('../src/utils/tokens');
+const { buildApp, makeUser, mockSave } = require('./helpers');
+
+const app = buildApp('/api/auth', authRoutes);
+app.get('/protected', auth, (req, res) => res.json({ ok: true }));
+
+describe('POST /api/auth/refresh', () => {
+  let user;
+  let sessions;
+  let tokens;
+
+  beforeEach(async () => {
+    user = makeUser();
+    sessions = [];
+
+    // In-memory sessions, looked up the way the routes and middleware query them
+    jest.spyOn(Session.prototype, 'save').mockImplementation(function() {
+      if (!sessions.includes(this)) sessions.push(this);
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Session, 'findOne').mockImplementation(async (query) => sessions.find(session =>
+      query.$or.some(condition => Object.entries(condition).every(([field, value]) => session[field] === value))
+    ) || null);
+    jest.spyOn(Session, 'findById').mockImplementation(async (id) =>
+      sessions.find(session => session._id.equals(id)) || null);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    mockSave(User);
+
+    tokens = await createSession(user, { get: () => 'jest', ip: '127.0.0.1' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rotates the refresh token and bumps the session generation', async () => {
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken: tokens.refreshToken });
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeDefined();
+    expect(res.body.refreshToken).not.toBe(tokens.refreshToken);
+
+    const [session] = sessions;
+    expect(session.generation).toBe(1);
+    expect(session.refreshTokenHash).toBe(hashToken(res.body.refreshToken));
+    expect(session.previousTokenHash).toBe(hashToken(tokens.refreshToken));
+  });
+
+  it('rejects access tokens issued before the refresh', async () => {
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken: tokens.refreshToken });
+
+    const stale = await request(app).get('/protected').set('Authorization', `Bearer ${tokens.token}`);
+    expect(stale.status).toBe(401);
+
+    const fresh = await request(app).get('/protected').set('Authorization', `Bearer ${res.body.token}`);
+    expect(fresh.status).toBe(200);
+  });
+
+  it('revokes the session when a rotated-out refresh token is reused', async () => {
+    const rotated = await request(app).post('/api/auth/refresh').send({ refreshToken: tokens.refreshToken });
+
+    const replay = await request(app).post('/api/auth/refresh').send({ refreshToken: tokens.refreshToken });
+    expect(replay.status).toBe(401);
+
+    const [session] = sessions;
+    expect(session.revokedAt).toBeInstanceOf(Date);
+    expect(session.revokedReason).toBe('Refresh token reuse detected');
+
+    // The legitimate holder's newer tokens stop working too
+    const next = await request(app).post('/api/auth/refresh').send({ refreshToken: rotated.body.refreshToken });
+    expect(next.status).toBe(401);
+
+    const access = await request(app).get('/protected').set('Authorization', `Bearer ${rotated.body.token}`);
+    expect(access.status).toBe(401);
+  });
+
+  it('rejects unknown refresh tokens', async () => {
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken: 'not-a-token' });
+
+    expect(res.status).toBe(401);
+    expect(sessions[0].generation).toBe(0);
+  });
+
+  it('requires a refresh token', async () => {
+    const res = await request(app).post('/api/auth/refresh').send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].path).toBe('refreshToken');
+  });
+});
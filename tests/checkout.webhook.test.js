@@ -0,0 +1,107 @@
+/**
+ * Payment provider webhooks (POST /api/checkout/webhooks/:provider)
+ */
+const crypto = require('crypto');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Payment = require('../src/models/Payment');
+const AuditLog = require('../src/models/AuditLog');
+const checkoutRoutes = require('../src/routes/checkout');
+const { signFakeEvent, getEnabledProviders } = require('../src/utils/paymentProviders');
+const { buildApp, mockSave } = require('./helpers');
+
+const app = buildApp('/api/checkout', checkoutRoutes);
+
+const REFERENCE = 'fake_reference';
+
+/**
+ * Post a webhook body exactly as given, with an optional signature
+ */
+const postWebhook = (rawBody, signature) => {
+  const req = request(app)
+    .post('/api/checkout/webhooks/fake')
+    .set('Content-Type', 'application/json');
+  if (signature !== undefined) req.set('X-Fake-Signature', signature);
+  return req.send(rawBody);
+};
+
+describe('POST /api/checkout/webhooks/:provider', () => {
+  const env = { ...process.env };
+  let payment;
+  let rawBody;
+
+  beforeEach(() => {
+    process.env.PAYMENT_PROVIDERS = 'cash,fake';
+    process.env.NODE_ENV = 'test';
+
+    payment = new Payment({
+      user: new mongoose.Types.ObjectId(),
+      appointment: new mongoose.Types.ObjectId(),
+      amount: 80,
+      provider: 'fake',
+      providerReference: REFERENCE
+    });
+    payment.isNew = false;
+    rawBody = JSON.stringify({ id: 'evt_1', reference: REFERENCE, status: 'completed' });
+
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+    mockSave(Payment);
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it('rejects events without a signature', async () => {
+    const res = await postWebhook(rawBody);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid webhook signature');
+    expect(Payment.findOne).not.toHaveBeenCalled();
+  });
+
+  it('rejects events signed with another secret', async () => {
+    const forged = crypto.createHmac('sha256', 'guessed-secret').update(rawBody).digest('hex');
+
+    const res = await postWebhook(rawBody, forged);
+
+    expect(res.status).toBe(400);
+    expect(Payment.findOne).not.toHaveBeenCalled();
+  });
+
+  it('rejects events changed after they were signed', async () => {
+    const signature = signFakeEvent(rawBody);
+    const tampered = rawBody.replace('"completed"', '"failed"');
+
+    const res = await postWebhook(tampered, signature);
+
+    expect(res.status).toBe(400);
+    expect(payment.status).toBe('pending');
+  });
+
+  it('applies a correctly signed event once', async () => {
+    const signature = signFakeEvent(rawBody);
+
+    const res = await postWebhook(rawBody, signature);
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ received: true, applied: true });
+    expect(payment.status).toBe('completed');
+    expect(payment.providerEvents).toEqual(['evt_1']);
+
+    const retry = await postWebhook(rawBody, signature);
+    expect(retry.body).toEqual({ received: true, duplicate: true });
+    expect(Payment.prototype.save).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not accept fake provider events in production', async () => {
+    process.env.NODE_ENV = 'production';
+
+    const res = await postWebhook(rawBody, signFakeEvent(rawBody));
+
+    expect(getEnabledProviders()).toEqual(['cash']);
+    expect(res.status).toBe(404);
+    expect(Payment.findOne).not.toHaveBeenCalled();
+  });
+});
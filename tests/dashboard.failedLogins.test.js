@@ -0,0 +1,74 @@
+/**
+ * Failed login report (GET /api/dashboard/security/failed-logins)
+ */
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const Appointment = require('../src/models/Appointment');
+const LoginAttempt = require('../src/models/LoginAttempt');
+const dashboardRoutes = require('../src/routes/dashboard');
+const { buildApp, makeUser, authHeader } = require('./helpers');
+
+const app = buildApp('/api/dashboard', dashboardRoutes);
+
+describe('GET /api/dashboard/security/failed-logins', () => {
+  beforeEach(() => {
+    jest.spyOn(LoginAttempt, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(LoginAttempt, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(LoginAttempt, 'find').mockReturnValue({
+      sort: () => ({ limit: jest.fn().mockResolvedValue([]) })
+    });
+    jest.spyOn(User, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rejects dates that are not ISO 8601', async () => {
+    const header = authHeader(makeUser({ role: 'admin' }));
+
+    const res = await request(app)
+      .get('/api/dashboard/security/failed-logins?from=yesterday&to=2024-13-45')
+      .set('Authorization', header);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.path)).toEqual(['from', 'to']);
+    expect(LoginAttempt.countDocuments).not.toHaveBeenCalled();
+  });
+
+  it('reports every account to staff without a clinic restriction', async () => {
+    const header = authHeader(makeUser({ role: 'admin' }));
+
+    const res = await request(app)
+      .get('/api/dashboard/security/failed-logins?from=2024-01-01T00:00:00Z&to=2024-01-31T00:00:00Z')
+      .set('Authorization', header);
+
+    expect(res.status).toBe(200);
+    expect(LoginAttempt.countDocuments).toHaveBeenCalledWith({
+      success: false,
+      createdAt: { $gte: new Date('2024-01-01T00:00:00Z'), $lte: new Date('2024-01-31T00:00:00Z') }
+    });
+  });
+
+  it('limits clinic staff to the accounts of their clinics', async () => {
+    const clinic = new mongoose.Types.ObjectId();
+    const colleague = new mongoose.Types.ObjectId();
+    const patient = new mongoose.Types.ObjectId();
+    const header = authHeader(makeUser({ role: 'assistant', clinics: [clinic] }));
+    jest.spyOn(User, 'distinct').mockResolvedValue([colleague]);
+    jest.spyOn(Appointment, 'distinct').mockResolvedValue([patient]);
+
+    const res = await request(app)
+      .get('/api/dashboard/security/failed-logins')
+      .set('Authorization', header);
+
+    expect(res.status).toBe(200);
+    expect(User.distinct).toHaveBeenCalledWith('_id', { role: { $ne: 'patient' }, clinics: { $in: [clinic.toString()] } });
+    expect(Appointment.distinct).toHaveBeenCalledWith('user', { clinic: { $in: [clinic.toString()] } });
+
+    const [match] = LoginAttempt.countDocuments.mock.calls[0];
+    expect(match.user).toEqual({ $in: [colleague, patient] });
+    expect(User.find.mock.calls[0][0]._id).toEqual({ $in: [colleague, patient] });
+  });
+});
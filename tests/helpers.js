@@ -0,0 +1,58 @@
+/**
+ * Test helpers
+ * Route tests mount a router on a bare Express app and mock the models' database
+ * calls with jest, so they run without a MongoDB server
+ */
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const { signAccessToken } = require('../src/utils/tokens');
+
+/**
+ * An Express app serving a router at a path, parsing JSON like src/index.js does
+ * (including the raw body kept for webhook signatures)
+ */
+const buildApp = (path, router) => {
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buf) => { req.rawBody = buf; }
+  }));
+  app.use(path, router);
+  return app;
+};
+
+/**
+ * An unsaved user document
+ */
+const makeUser = (fields = {}) => new User({
+  name: 'Test User',
+  email: `user-${new mongoose.Types.ObjectId()}@example.com`,
+  password: 'password123',
+  role: 'patient',
+  ...fields
+});
+
+/**
+ * Authorization header of an active session of the user; the auth middleware
+ * finds the session and the user through mocked lookups
+ */
+const authHeader = (user) => {
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: 'unused',
+    expiresAt: new Date(Date.now() + 3600000)
+  });
+  jest.spyOn(Session, 'findById').mockResolvedValue(session);
+  jest.spyOn(User, 'findOne').mockResolvedValue(user);
+  return `Bearer ${signAccessToken(user, session)}`;
+};
+
+/**
+ * Make every save of a model's documents resolve without a database
+ */
+const mockSave = (model) => jest.spyOn(model.prototype, 'save').mockImplementation(function() {
+  return Promise.resolve(this);
+});
+
+module.exports = { buildApp, makeUser, authHeader, mockSave };
@@ -0,0 +1,229 @@
+/**
+ * Refund limits (Payment.reserveRefund, Payment.releaseRefund and POST /api/payments/:id/refunds)
+ */
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Payment = require('../src/models/Payment');
+const Appointment = require('../src/models/Appointment');
+const Invoice = require('../src/models/Invoice');
+const Refund = require('../src/models/Refund');
+const AuditLog = require('../src/models/AuditLog');
+const paymentRoutes = require('../src/routes/payments');
+const { buildApp, makeUser, authHeader, mockSave } = require('./helpers');
+
+const app = buildApp('/api/payments', paymentRoutes);
+
+/**
+ * Evaluate the aggregation expressions reserveRefund and releaseRefund use against a stored payment
+ */
+const evaluate = (expr, doc) => {
+  if (typeof expr === 'string' && expr.startsWith('$')) return doc[expr.slice(1)];
+  if (Array.isArray(expr)) return expr.map(item => evaluate(item, doc));
+  if (!expr || expr.constructor !== Object) return expr;
+
+  const [operator] = Object.keys(expr);
+  const args = expr[operator];
+  switch (operator) {
+    case '$literal': return args;
+    case '$ifNull': return evaluate(args[0], doc) ?? evaluate(args[1], doc);
+    case '$and': return args.every(arg => evaluate(arg, doc));
+    case '$lt': return evaluate(args[0], doc) < evaluate(args[1], doc);
+    case '$gte': return evaluate(args[0], doc) >= evaluate(args[1], doc);
+    case '$lte': return evaluate(args[0], doc) <= evaluate(args[1], doc);
+    case '$gt': return evaluate(args[0], doc) > evaluate(args[1], doc);
+    case '$add': return args.reduce((sum, arg) => sum + evaluate(arg, doc), 0);
+    case '$subtract': return evaluate(args[0], doc) - evaluate(args[1], doc);
+    case '$max': return Math.max(...evaluate(args, doc));
+    case '$cond': return evaluate(args[0], doc) ? evaluate(args[1], doc) : evaluate(args[2], doc);
+    case '$round': return Math.round(evaluate(args[0], doc) * 100) / 100;
+    case '$concatArrays': return args.flatMap(arg => evaluate(arg, doc));
+    default: return Object.fromEntries(Object.entries(expr).map(([key, value]) => [key, evaluate(value, doc)]));
+  }
+};
+
+describe('Payment.reserveRefund and releaseRefund', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = { _id: new mongoose.Types.ObjectId(), amount: 100, status: 'completed', statusHistory: [] };
+
+    // An in-memory payment updated the way MongoDB applies the filter and pipeline
+    jest.spyOn(Payment, 'findById').mockReturnValue({ select: jest.fn(async () => ({ amount: stored.amount })) });
+    jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async (filter, [{ $set }]) => {
+      if (!filter.status.$in.includes(stored.status) || (filter.$expr && !evaluate(filter.$expr, stored))) {
+        return null;
+      }
+      stored = { ...stored, ...evaluate($set, stored) };
+      return stored;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('takes a partial refund and then the rest', async () => {
+    const partial = await Payment.reserveRefund(stored._id, 30.1, { reason: 'Overcharged' });
+    expect(partial).toMatchObject({ refundedAmount: 30.1, status: 'partially-refunded' });
+
+    const rest = await Payment.reserveRefund(stored._id, 69.9, { reason: 'Cancelled treatment' });
+    expect(rest).toMatchObject({ refundedAmount: 100, status: 'refunded' });
+    expect(rest.statusHistory.map(change => [change.from, change.to])).toEqual([
+      ['completed', 'partially-refunded'],
+      ['partially-refunded', 'refunded']
+    ]);
+  });
+
+  it('never refunds more than was paid, even when refunds race', async () => {
+    const results = await Promise.all([
+      Payment.reserveRefund(stored._id, 60, { reason: 'First' }),
+      Payment.reserveRefund(stored._id, 60, { reason: 'Second' })
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(stored.refundedAmount).toBe(60);
+  });
+
+  it('refuses payments that were not completed', async () => {
+    stored.status = 'pending';
+
+    expect(await Payment.reserveRefund(stored._id, 10, { reason: 'Pending' })).toBeNull();
+    expect(stored.refundedAmount).toBeUndefined();
+  });
+
+  it('stores the reason as text, even when it looks like a field path', async () => {
+    const refunded = await Payment.reserveRefund(stored._id, 10, { reason: '$amount' });
+
+    expect(refunded.statusHistory[0].reason).toBe('$amount');
+  });
+
+  it('gives a released refund back, keeping the other refunds', async () => {
+    await Payment.reserveRefund(stored._id, 30, { reason: 'First' });
+    await Payment.reserveRefund(stored._id, 70, { reason: 'Second' });
+
+    const released = await Payment.releaseRefund(stored._id, 70, { reason: 'Not recorded' });
+    expect(released).toMatchObject({ refundedAmount: 30, status: 'partially-refunded' });
+
+    const untouched = await Payment.releaseRefund(stored._id, 30, { reason: 'Not recorded' });
+    expect(untouched).toMatchObject({ refundedAmount: 0, status: 'completed' });
+    expect(untouched.statusHistory.map(change => change.to)).toEqual([
+      'partially-refunded', 'refunded', 'partially-refunded', 'completed'
+    ]);
+  });
+});
+
+describe('POST /api/payments/:id/refunds', () => {
+  let payment;
+  let header;
+
+  beforeEach(() => {
+    payment = new Payment({
+      user: new mongoose.Types.ObjectId(),
+      appointment: new mongoose.Types.ObjectId(),
+      amount: 100,
+      status: 'completed',
+      refundedAmount: 40
+    });
+    header = authHeader(makeUser({ role: 'admin' }));
+
+    jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+    jest.spyOn(Appointment, 'findById').mockResolvedValue(null);
+    jest.spyOn(Invoice, 'syncPayments').mockResolvedValue(null);
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+    mockSave(Refund);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const refund = (fields) => request(app)
+    .post(`/api/payments/${payment._id}/refunds`)
+    .set('Authorization', header)
+    .send({ reason: 'Treatment cancelled', ...fields });
+
+  it('reserves the amount before recording the refund', async () => {
+    const reserve = jest.spyOn(Payment, 'reserveRefund').mockImplementation(async () => {
+      payment.refundedAmount = 60;
+      payment.status = 'partially-refunded';
+      return payment;
+    });
+
+    const res = await refund({ amount: 20 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.refund.amount).toBe(20);
+    expect(reserve).toHaveBeenCalledWith(payment._id, 20, expect.objectContaining({ reason: 'Treatment cancelled' }));
+    expect(reserve.mock.invocationCallOrder[0]).toBeLessThan(Refund.prototype.save.mock.invocationCallOrder[0]);
+  });
+
+  it('defaults to what is left of the payment', async () => {
+    const reserve = jest.spyOn(Payment, 'reserveRefund').mockResolvedValue(payment);
+
+    await refund({});
+
+    expect(reserve).toHaveBeenCalledWith(payment._id, 60, expect.anything());
+  });
+
+  it('rejects refunds above what is left', async () => {
+    const reserve = jest.spyOn(Payment, 'reserveRefund');
+
+    const res = await refund({ amount: 60.01 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('At most 60 can be refunded from this payment');
+    expect(reserve).not.toHaveBeenCalled();
+  });
+
+  it('rejects amounts that round to less than a cent', async () => {
+    const reserve = jest.spyOn(Payment, 'reserveRefund');
+
+    const res = await refund({ amount: 0.001 });
+
+    expect(res.status).toBe(400);
+    expect(reserve).not.toHaveBeenCalled();
+  });
+
+  it('releases the reservation when the refund cannot be saved', async () => {
+    jest.spyOn(Payment, 'reserveRefund').mockResolvedValue(payment);
+    const release = jest.spyOn(Payment, 'releaseRefund').mockResolvedValue(payment);
+    Refund.prototype.save.mockRejectedValue(new Error('Database unavailable'));
+
+    const res = await refund({ amount: 20 });
+
+    expect(res.status).toBe(500);
+    expect(release).toHaveBeenCalledWith(payment._id, 20, expect.objectContaining({
+      reason: 'Refund could not be recorded: Database unavailable'
+    }));
+    expect(AuditLog.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects refunds of payments that were not completed', async () => {
+    payment.status = 'pending';
+    const reserve = jest.spyOn(Payment, 'reserveRefund');
+
+    const res = await refund({ amount: 10 });
+
+    expect(res.status).toBe(400);
+    expect(reserve).not.toHaveBeenCalled();
+  });
+
+  it('records no refund when the reservation loses a race', async () => {
+    jest.spyOn(Payment, 'reserveRefund').mockResolvedValue(null);
+
+    const res = await refund({ amount: 50 });
+
+    expect(res.status).toBe(409);
+    expect(Refund.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('is reserved to staff with payments:write', async () => {
+    header = authHeader(makeUser({ role: 'patient' }));
+    const reserve = jest.spyOn(Payment, 'reserveRefund');
+
+    const res = await refund({ amount: 10 });
+
+    expect(res.status).toBe(403);
+    expect(reserve).not.toHaveBeenCalled();
+  });
+});
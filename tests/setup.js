@@ -0,0 +1,7 @@
+/**
+ * Test environment
+ * Secrets are read when the token and signature helpers are loaded, so they are set
+ * before any test file requires the application code
+ */
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.FAKE_PROVIDER_SECRET = 'test-fake-provider-secret';